@@ -3,17 +3,64 @@
 var Promise = require('bluebird');
 var fs = Promise.promisifyAll(require('fs'));
 var Transform = require('stream').Transform;
-var grep = require('grep1');
+var PassThrough = require('stream').PassThrough;
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var StringDecoder = require('string_decoder').StringDecoder;
 var mkdirp = Promise.promisify(require('mkdirp'));
 var path = require('path');
-var parsePath = require('parse-filepath');
+var walk = require('./lib/walker');
+var Watcher = require('./lib/watcher');
+var Matcher = require('./lib/matcher');
+var keywords = require('./lib/keywords');
+var results = require('./lib/results');
+var formatters = require('./lib/formatters');
+var extractors = require('./lib/extractors');
+var segments = require('./lib/segments');
+var proximity = require('./lib/proximity');
+var statistics = require('./lib/statistics');
+var Discovery = require('./lib/discovery');
+var thresholds = require('./lib/thresholds');
+var sources = require('./lib/sources');
+var files = require('./lib/files');
+var folding = require('./lib/folding');
+var stemmers = require('./lib/stemmers');
+var archives = require('./lib/archives');
+var Cache = require('./lib/cache').Cache;
+var maps = require('./lib/maps');
 
 
 /**
- * Default file path that the analyzer results are written to.
+ * Default file path that the analyzer results are written to, without the
+ * extension. The extension depends on the output format.
  * @type {String}
  */
-var DEFAULT_OUTPUT_PATH = 'target/results.json';
+var DEFAULT_OUTPUT_PATH = 'target/results';
+
+/**
+ * Target and output path that stand for stdin and stdout.
+ * @type {String}
+ */
+var STDIO_PATH = '-';
+
+/**
+ * File name that results of text read from stdin are stored under.
+ * @type {String}
+ */
+var STDIN_NAME = 'stdin';
+
+/**
+ * Default output format.
+ * @type {String}
+ */
+var DEFAULT_FORMAT = 'json';
+
+/**
+ * Default number of characters before and after a match kept as its context
+ * when `positions` is true.
+ * @type {Number}
+ */
+var DEFAULT_CONTEXT = 30;
 
 /**
  * Default name of keyword array in keyword json.
@@ -22,147 +69,1036 @@ var DEFAULT_OUTPUT_PATH = 'target/results.json';
 var DEFAULT_KEY_NAME = 'keywords';
 
 
+/**
+ * Default number of terms of each n-gram length reported in discovery mode.
+ * @type {Number}
+ */
+var DEFAULT_TOP = 20;
+
+
+/**
+ * Default number of files read at once.
+ * @type {Number}
+ */
+var DEFAULT_CONCURRENCY = 16;
+
+
+/**
+ * Supported values of the `groupBy` option
+ * @type {Array}
+ */
+var GROUP_BY_OPTIONS = ['file', 'directory'];
+
+/**
+ * Supported values of the `oversized` option. `skip` leaves out files larger
+ * than `maxFileSize` and `truncate` reads only their first `maxFileSize` bytes.
+ * @type {Array}
+ */
+var OVERSIZED_OPTIONS = ['skip', 'truncate'];
+
+
+/**
+ * Number of temporary output files created by this process, used to give
+ * each one a unique name.
+ * @type {Number}
+ */
+var tempFiles = 0;
+
+
+/**
+ * Gets a unique temporary path next to a file that output is written to
+ * before it is renamed to the file
+ * @param  {String} file    File path
+ * @return {String}         Temporary path
+ */
+function tempPath(file) {
+    tempFiles++;
+
+    return path.join(path.dirname(file),
+        '.' + path.basename(file) + '.' + process.pid + '-' + tempFiles + '.tmp');
+}
+
+/**
+ * Checks whether a path is a file or a temporary file of `tempPath()`
+ * @param  {String} changed    Path to check
+ * @param  {String} file       File path
+ * @return {Boolean}           True if the path is the file or one of its
+ *                             temporary files
+ */
+function isOutputFile(changed, file) {
+    var name = path.basename(changed);
+    var prefix = '.' + path.basename(file) + '.';
+
+    changed = path.resolve(changed);
+    file = path.resolve(file);
+
+    return changed === file || (path.dirname(changed) === path.dirname(file) &&
+        name.indexOf(prefix) === 0 && path.extname(name) === '.tmp');
+}
+
+/**
+ * Sums the co-occurrence matrices of every file in a results map
+ * @param  {Object} resultsMap    Map of file keys to keyword counts with `$cooccurrence`
+ * @return {Object}               Co-occurrence matrix of all files
+ */
+function cooccurrence(resultsMap) {
+    return Object.keys(resultsMap).reduce(function(total, key) {
+        return results.isMetaKey(key) || !resultsMap[key].$cooccurrence ? total :
+            proximity.addMatrix(total, resultsMap[key].$cooccurrence);
+    }, maps.create());
+}
+
+/**
+ * Checks that every keyword in a list has a term and a supported mode
+ * @param  {Array} list    List of keywords
+ * @return {Object}        A promise that resolves with the list
+ */
+function validateKeywords(list) {
+    try {
+        keywords.normalizeAll(list);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return Promise.resolve(list);
+}
+
+
 /**
  * Analyzes a directory or file for keywords and writes the results
- * to a JSON file
+ * to a JSON file.
+ * While keywords are counted, the analyzer emits `start` with the number of
+ * files to analyze, `file:start` with a file's key, `match` with every match
+ * and the key of its file, `file:done` with a file's key and its keyword
+ * counts, `file:skip` with the key and reason of a skipped file, and `end`
+ * with the results object. If a file can't be read and there is an `error`
+ * listener, `error` is emitted with the error and the file's key and the
+ * analysis goes on without the file. Otherwise the analysis is rejected.
  * @param {Object} opts    Configuration object
  */
 function Analyzer(opts) {
+    EventEmitter.call(this);
+
     opts = opts ? opts : {};
 
     this.target = opts.target || '';
     this.keywordsList = opts.keywordsList || '';
-    this.outputPath = opts.outputPath || DEFAULT_OUTPUT_PATH;
+    this.keywordFiles = opts.keywordFiles ? [].concat(opts.keywordFiles) : [];
+    this.format = opts.format || DEFAULT_FORMAT;
+    this.outputPath = opts.outputPath ||
+        DEFAULT_OUTPUT_PATH + (formatters.EXTENSIONS[this.format] || '');
     this.keyName = opts.keyName || DEFAULT_KEY_NAME;
     this.ignoreCase = opts.ignoreCase || false;
+    this.locale = opts.locale;
+    this.normalize = opts.normalize;
+    this.ignoreDiacritics = opts.ignoreDiacritics || false;
+    this.stem = opts.stem || false;
+    this.include = opts.include || [];
+    this.exclude = opts.exclude || [];
+    this.ignoreFiles = opts.ignoreFiles || [];
+    this.groupBy = opts.groupBy || 'file';
+    this.rollup = opts.rollup || false;
+    this.positions = opts.positions || false;
+    this.context = opts.context !== undefined ? opts.context : DEFAULT_CONTEXT;
+    this.extract = opts.extract !== undefined ? opts.extract : true;
+    this.extractors = opts.extractors || {};
+    this.stats = opts.stats || false;
+    this.segment = opts.segment || false;
+    this.segmentSize = opts.segmentSize;
+    this.cooccurrence = opts.cooccurrence || false;
+    this.discover = opts.discover || false;
+    this.top = opts.top || DEFAULT_TOP;
+    this.ngrams = opts.ngrams;
+    this.language = opts.language;
+    this.stopWords = opts.stopWords;
+    this.keywordsOutputPath = opts.keywordsOutputPath || '';
+    this.concurrency = opts.concurrency || DEFAULT_CONCURRENCY;
+    this.maxFileSize = opts.maxFileSize || 0;
+    this.oversized = opts.oversized || 'skip';
+    this.skipBinary = opts.skipBinary !== undefined ? opts.skipBinary : true;
+    this.archives = opts.archives !== undefined ? opts.archives : true;
+    this.cache = opts.cache || false;
+    this.cacheDir = opts.cacheDir;
+    this.clearCache = opts.clearCache || false;
+    this.write = opts.write !== undefined ? opts.write : true;
+    this.stdin = opts.stdin || process.stdin;
+    this.stdout = opts.stdout || process.stdout;
 
     this.keywords = [];
-    this.resultsMap = {};
+    this.fileCache = null;
+    this.resultsMap = maps.create();
+    this.skipped = maps.create();
+    this.violations = [];
 }
 
+util.inherits(Analyzer, EventEmitter);
+
+/**
+ * Checks the options of the analyzer and parses `maxFileSize`
+ * @throws {Error}    If an option is invalid
+ */
+Analyzer.prototype.validate = function() {
+    if (GROUP_BY_OPTIONS.indexOf(this.groupBy) === -1) {
+        throw new Error('Unknown groupBy option: ' + this.groupBy);
+    }
+
+    if (!formatters.EXTENSIONS.hasOwnProperty(this.format)) {
+        throw new Error('Unknown format: ' + this.format);
+    }
+
+    if (OVERSIZED_OPTIONS.indexOf(this.oversized) === -1) {
+        throw new Error('Unknown oversized option: ' + this.oversized);
+    }
+
+    this.maxFileSize = files.parseSize(this.maxFileSize);
+    folding.validate(this.foldOptions());
+    stemmers.resolve(this.stem, this.language);
+    segments.validate({ segment: this.segment, segmentSize: this.segmentSize });
+    proximity.validate(this.cooccurrence);
+};
+
 /**
  * Runs the text analysis of the target file against the keywordList to produce
  * a map of keywords and their respective count
- * @return {Object}    A promise that resolves with the results map
+ * @return {Object}    A promise that resolves with the results report
  */
 Analyzer.prototype.analyze = function() {
     var self = this;
     var target = self.target;
     var setup = [];
 
-    setup.push(fs.lstatAsync(target));
+    try {
+        self.validate();
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    if (self.discover) {
+        return self.discoverTerms();
+    }
+
+    setup.push(target === STDIO_PATH ? null : fs.lstatAsync(target));
     setup.push(self.getKeywords());
 
     return Promise.all(setup)
         .then(function(results) {
-            var stats = results[0];
-
             self.keywords = results[1];
 
-            if (stats.isFile()) {
-                return self.grepFile(target);
+            return self.openCache()
+                .then(function() {
+                    return results[0];
+                });
+        })
+        .then(function(stats) {
+            if (!stats) {
+                self.emit('start', 1);
+                return self.grepStream(self.stdin, STDIN_NAME);
+            } else if (stats.isFile()) {
+                return self.grepFiles([target]);
             } else if (stats.isDirectory()) {
                 return self.grepDir(target);
             }
         })
         .then(function() {
-            return Promise.resolve(self.resultsMap);
+            return self.writeOutput();
+        })
+        .then(function() {
+            var report = self.report();
+
+            self.emit('end', report);
+
+            return report;
         });
 };
 
 /**
- * Performs a grep for the keywords in all files in a directory
- * @return {Object}     A promise
+ * Runs keyword discovery instead of counting keywords. The text of the target
+ * is split into words and the most frequent words and phrases that don't
+ * start or end with a stop word are reported with their counts. The report is
+ * written to `outputPath` and, if `keywordsOutputPath` is set, a keyword list
+ * of the discovered terms is written there under `keyName`.
+ * @return {Object}    A promise that resolves with the discovery report, i.e.
+ *                     `{ unigrams: [{ term: 'Rabbit', count: 3 }], bigrams: [], trigrams: [] }`
  */
-Analyzer.prototype.grepDir = function() {
+Analyzer.prototype.discoverTerms = function() {
+    var self = this;
+    var target = self.target;
+    var discovery;
+
+    try {
+        discovery = new Discovery(Object.assign({
+            ngrams: self.ngrams,
+            language: self.language,
+            stopWords: self.stopWords
+        }, self.foldOptions()));
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return Promise.resolve(target === STDIO_PATH ? null : fs.lstatAsync(target))
+        .then(function(stats) {
+            if (!stats) {
+                return [null];
+            } else if (stats.isDirectory()) {
+                return walk(target, {
+                    include: self.include,
+                    exclude: self.exclude,
+                    ignoreFiles: self.ignoreFiles,
+                    concurrency: self.concurrency
+                });
+            }
+
+            return [target];
+        })
+        .then(function(list) {
+            return Promise.map(list, function(file) {
+                if (!file) {
+                    return self.readText(self.stdin).then(discovery.add.bind(discovery));
+                }
+
+                return self.eachSource(file, null, function(source) {
+                    return self.readText(source.search, source.file).then(discovery.add.bind(discovery));
+                });
+            }, { concurrency: self.concurrency });
+        })
+        .then(function() {
+            var report;
+            var list = {};
+
+            report = discovery.top(self.top);
+            list[self.keyName] = Discovery.toKeywords(report);
+
+            return Promise.all([
+                    self.writeOutput(formatters.discovery(self.format, report)),
+                    self.keywordsOutputPath ?
+                        self.writeFile(self.keywordsOutputPath, formatters.json(list)) : null
+                ])
+                .then(function() {
+                    return report;
+                });
+        });
+};
+
+/**
+ * Reads the whole text of a readable stream. If `extract` is true and an
+ * extractor is registered for the file's extension, resolves with the text
+ * it extracts.
+ * @param  {Object} search    Readable stream
+ * @param  {String} file      Optional. File name used to pick an extractor
+ * @return {Object}           A promise that resolves with the text
+ */
+Analyzer.prototype.readText = function(search, file) {
+    var self = this;
+    var extractor = self.extract ? extractors.get(file, self.extractors) : null;
+
+    return new Promise(function(resolve, reject) {
+        var decoder = new StringDecoder('utf8');
+        var source = search;
+        var text = '';
+
+        search.on('error', reject);
+
+        if (extractor) {
+            source = search
+                .pipe(self.extractor(extractor, file))
+                .on('error', reject);
+        }
+
+        source
+            .on('data', function(data) {
+                text += typeof data === 'string' ? data : decoder.write(data);
+            })
+            .on('end', function() {
+                resolve(text + decoder.end());
+            });
+    });
+};
+
+/**
+ * Analyzes the target and keeps watching it for changes. After each change,
+ * only files that were changed or added are analyzed again, deleted files are
+ * dropped from `resultsMap` and the output is rewritten. With `discover`,
+ * the terms of the target are discovered again instead.
+ * The returned watcher emits `results` with the results report after every
+ * update and `error` if an update fails. Listen to `error` to learn about
+ * failed updates, which are otherwise skipped. Later changes are analyzed
+ * either way. Call `close()` on it to stop watching.
+ * @param  {Object} opts    Optional. `delay`, the number of milliseconds to
+ *                          wait for changes to settle, default 100
+ * @return {Object}         A promise that resolves with the watcher once the
+ *                          target is analyzed and watched
+ */
+Analyzer.prototype.watch = function(opts) {
+    var self = this;
+    var updates = Promise.resolve();
+
+    if (self.target === STDIO_PATH) {
+        return Promise.reject(new Error('Cannot watch stdin'));
+    }
+
+    return self.analyze()
+        .then(function() {
+            var watcher = new Watcher(self.target, opts);
+
+            watcher.on('change', function(paths) {
+                paths = paths.filter(function(changed) {
+                    return !isOutputFile(changed, self.outputPath) && !self.isCacheFile(changed) &&
+                        !(self.keywordsOutputPath && isOutputFile(changed, self.keywordsOutputPath));
+                });
+
+                if (!paths.length) {
+                    return;
+                }
+
+                updates = updates.then(function() {
+                    return self.update(paths)
+                        .then(function(report) {
+                            watcher.emit('results', report);
+                        })
+                        .catch(function(err) {
+                            // Emitting `error` without a listener throws, which would
+                            // leave the chain rejected and skip every later update
+                            if (watcher.listenerCount('error')) {
+                                watcher.emit('error', err);
+                            }
+                        });
+                });
+            });
+
+            return watcher.start();
+        });
+};
+
+/**
+ * Updates the results after files in the target changed. Files that are at or
+ * below a changed path, or that have no results yet, are analyzed again and
+ * results of files that no longer exist or no longer pass the `include`/`exclude`
+ * globs and `ignoreFiles` are dropped. At most `concurrency` files are read at
+ * once. The output is then rewritten. With `discover`, the terms of the whole
+ * target are discovered again and written instead.
+ * @param  {Array} paths    Changed files or directories
+ * @return {Object}         A promise that resolves with the results report,
+ *                          or with the discovery report if `discover` is true
+ */
+Analyzer.prototype.update = function(paths) {
     var self = this;
-    var grepped = [];
+    var target = self.target;
+
+    if (self.discover) {
+        return self.discoverTerms();
+    }
+
+    function isChanged(file) {
+        file = path.normalize(file);
+
+        return paths.some(function(changed) {
+            changed = path.normalize(changed);
+
+            return file === changed || file.indexOf(changed + path.sep) === 0;
+        });
+    }
+
+    return fs.lstatAsync(target)
+        .then(function(stats) {
+            if (stats.isDirectory()) {
+                return walk(target, {
+                    include: self.include,
+                    exclude: self.exclude,
+                    ignoreFiles: self.ignoreFiles,
+                    concurrency: self.concurrency
+                });
+            }
+
+            return [target];
+        }, function(err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+
+            return Promise.reject(err);
+        })
+        .then(function(list) {
+            var keys = maps.create();
+            var analyzed = maps.create();
 
-    return fs.readdirAsync(self.target)
-        .then(function(files) {
-            files.forEach(function(file) {
-                var filename = self.target + '/' + file;
-                grepped.push(self.grepFile(filename));
+            list = list.filter(function(file) {
+                return !self.isCacheFile(file);
             });
+            list.forEach(function(file) {
+                keys[self.getFileKey(file)] = file;
+            });
+
+            // Results of archive entries belong to the archive's key
+            Object.keys(self.resultsMap).concat(Object.keys(self.skipped)).forEach(function(key) {
+                var owner = key.split(archives.SEPARATOR)[0];
+
+                if (!(owner in keys)) {
+                    delete self.resultsMap[key];
+                    delete self.skipped[key];
+                } else {
+                    analyzed[owner] = true;
+                }
+            });
+
+            return self.grepFiles(list.filter(function(file) {
+                return isChanged(file) || !(self.getFileKey(file) in analyzed);
+            }));
+        })
+        .then(function() {
+            return self.writeOutput();
+        })
+        .then(function() {
+            var report = self.report();
+
+            self.emit('end', report);
+
+            return report;
+        });
+};
+
+/**
+ * Builds the results object that is resolved by `analyze()` and written to
+ * `outputPath` as JSON. File results are grouped by directory if `groupBy` is
+ * "directory", `$directories` and `$total` keyword counts are added if
+ * `rollup` is true, and TF-IDF scores and `$corpus` statistics are added if
+ * `stats` is true, and the `$cooccurrence` matrix of all files is added if
+ * `cooccurrence` is set. If keywords declare `min`/`max` thresholds, the counts are
+ * checked against them, and the violations are kept in `violations` and added
+ * as `$violations`. Files that were skipped because they are binary or larger
+ * than `maxFileSize` are listed under `$skipped` with the reason.
+ * @param  {Object} resultsMap    Optional. Map of file keys to keyword counts,
+ *                                defaults to `this.resultsMap`
+ * @return {Object}               Results object
+ */
+Analyzer.prototype.report = function(resultsMap) {
+    var report = resultsMap || this.resultsMap;
+    var limits = thresholds.fromKeywords(this.keywords);
+    var corpus;
+    var rollup;
+
+    if (this.stats) {
+        corpus = statistics.annotate(report);
+    }
+
+    this.violations = thresholds.check(limits, report);
+
+    if (this.groupBy === 'directory') {
+        report = results.groupByDirectory(report);
+    }
+
+    if (this.rollup) {
+        rollup = results.rollup(resultsMap || this.resultsMap);
+        report = Object.assign(maps.create(), report, {
+            $directories: rollup.directories,
+            $total: rollup.total
+        });
+    }
+
+    if (corpus) {
+        report = Object.assign(maps.create(), report, { $corpus: corpus });
+    }
+
+    if (this.cooccurrence) {
+        report = Object.assign(maps.create(), report, {
+            $cooccurrence: cooccurrence(resultsMap || this.resultsMap)
+        });
+    }
 
-            return Promise.all(grepped);
+    if (limits.length) {
+        report = Object.assign(maps.create(), report, { $violations: this.violations });
+    }
+
+    if (Object.keys(this.skipped).length) {
+        report = Object.assign(maps.create(), report, {
+            $skipped: Object.assign(maps.create(), this.skipped)
+        });
+    }
+
+    return report;
+};
+
+/**
+ * Formats results in the `format` the analyzer was configured with. Tabular
+ * formats (`csv`, `tsv`, `markdown`) produce a file x keyword matrix with a
+ * column for every keyword and group of the keyword list, and
+ * `ndjson` produces one record per file.
+ * @param  {Object} resultsMap    Optional. Map of file keys to keyword counts,
+ *                                defaults to `this.resultsMap`
+ * @return {String}               Formatted results
+ */
+Analyzer.prototype.serialize = function(resultsMap) {
+    resultsMap = resultsMap || this.resultsMap;
+
+    if (this.format === 'json') {
+        return formatters.json(this.report(resultsMap));
+    }
+
+    return formatters[this.format](
+        this.report(resultsMap),
+        formatters.toRows(resultsMap, this.rollup ? results.rollup(resultsMap) : null),
+        this.keywords.length ? keywords.names(this.keywords) : undefined
+    );
+};
+
+/**
+ * Performs a grep for the keywords in all files in the target directory and
+ * its subdirectories that pass the `include`/`exclude` globs and `ignoreFiles`.
+ * At most `concurrency` files are read at once.
+ * @return {Object}     A promise
+ */
+Analyzer.prototype.grepDir = function() {
+    var self = this;
+
+    return walk(self.target, {
+            include: self.include,
+            exclude: self.exclude,
+            ignoreFiles: self.ignoreFiles,
+            concurrency: self.concurrency
+        })
+        .then(function(list) {
+            return self.grepFiles(list.filter(function(file) {
+                return !self.isCacheFile(file);
+            }));
         });
 };
 
 /**
- * Runs a grep on a file for keywords
+ * Runs a search on a list of files for keywords, reading at most `concurrency`
+ * files at once. Emits `start` with the number of files. If a file can't be
+ * read and there is an `error` listener, its results are dropped, it is kept
+ * in `skipped` with the reason `error` and `error` is emitted with the error
+ * and the file's key.
+ * @param  {Array} list    List of file names
+ * @return {Object}        A promise that rejects with the first error if
+ *                         there is no `error` listener
+ */
+Analyzer.prototype.grepFiles = function(list) {
+    var self = this;
+
+    self.emit('start', list.length);
+
+    return Promise.map(list, function(file) {
+        return self.grepFile(file)
+            .catch(function(err) {
+                var key = self.getFileKey(file);
+
+                if (!self.listenerCount('error')) {
+                    return Promise.reject(err);
+                }
+
+                delete self.resultsMap[key];
+                self.skipped[key] = 'error';
+                self.emit('error', err, key);
+            });
+    }, { concurrency: self.concurrency });
+};
+
+/**
+ * Runs a search on a file, or on every entry of an archive file, for keywords,
+ * unless it is skipped. If `cache` is true, the results of a file whose
+ * content, keywords and options are unchanged are read from the cache
+ * instead, and the results of other files are stored in it. A file that is
+ * not an archive is checked by `admit()` first, so the content of a skipped
+ * file is never hashed and only the bytes that are read are.
  * @param  {String} file    File name
  * @return {Object}         A promise
  */
 Analyzer.prototype.grepFile = function(file) {
     var self = this;
-    var stringify = self.stringifier();
-    var mapper = self.mapper(file);
+    var cache = self.fileCache;
+    var info;
+    var key;
 
-    return new Promise(function(resolve, reject) {
-        self.prepOutputPath()
-            .then(function() {
-                var writable = fs.createWriteStream(self.outputPath);
-                var flags = (self.ignoreCase) ? '-Eio' : '-Eo';
-                var search = grep([flags, self.keywords.join('|'), file]);
-
-                search
-                    .pipe(mapper)
-                    .pipe(stringify)
-                    .pipe(writable)
-                    .on('finish', function() {
-                        resolve();
-                    });
-
-                search.on('error', function(err) {
-                    console.error(err);
-                    reject(err);
+    if (!cache) {
+        return self.searchFile(file);
+    }
+
+    return Promise.resolve(self.archives && archives.type(file) ? null : files.inspect(file))
+        .then(function(inspected) {
+            var length;
+
+            info = inspected;
+            length = info ? self.admit(file, info) : undefined;
+
+            if (length === null) {
+                return null;
+            }
+
+            return cache.key(file, length)
+                .then(function(hash) {
+                    key = hash;
+
+                    return cache.get(key);
+                })
+                .then(function(cached) {
+                    if (cached) {
+                        self.restore(file, cached);
+                        return;
+                    }
+
+                    return self.searchFile(file, info)
+                        .then(function() {
+                            // A result that can't be stored is only searched again next time
+                            return cache.set(key, self.collect(file)).catch(function() {});
+                        });
                 });
-            })
-            .catch(function(err) {
-                console.error(err)
-            });
+        });
+};
+
+/**
+ * Runs a search on a file, or on every entry of an archive file, for keywords,
+ * unless it is skipped
+ * @param  {String} file    File name
+ * @param  {Object} info    Optional. The file's `size` and whether it is
+ *                          `binary`, if it was already inspected
+ * @return {Object}         A promise
+ */
+Analyzer.prototype.searchFile = function(file, info) {
+    var self = this;
+
+    return self.eachSource(file, info, function(source) {
+        return self.grepStream(source.search, source.file);
     });
 };
 
 /**
- * Gets the keywords.
- * Returns a promise that resolves with the keyword array from
- * parsed json or the provided array if `keywordList` is already an array.
- * @return {Object}    A promise
+ * Opens the text of a file and passes it to a function, unless it is skipped.
+ * If `archives` is true, gzip files are decompressed and the entries of zip
+ * and tar archives are opened one by one under names like
+ * `bundle.zip!/docs/intro.md`, each once the function is done with the last.
+ * @param  {String} file          File name
+ * @param  {Object} info          Optional. The file's `size` and whether it is
+ *                                `binary`, if it was already inspected
+ * @param  {Function} iterator    Called with a `{ file, search }` object, the
+ *                                name the results are stored under and a
+ *                                readable stream of its text, returns a promise
+ * @return {Object}               A promise that resolves once every text was
+ *                                passed to `iterator`
  */
-Analyzer.prototype.getKeywords = function() {
-    var keywordsList = this.keywordsList;
-    var keyName = this.keyName;
+Analyzer.prototype.eachSource = function(file, info, iterator) {
+    var kind = this.archives ? archives.type(file) : null;
 
-    if (!keywordsList) {
-        return Promise.reject(new Error("Keyword list not provided"));
+    if (kind) {
+        return this.openArchive(file, kind, iterator);
     }
 
-    if (Array.isArray(keywordsList)) {
-        return Promise.resolve(keywordsList);
+    return this.openFile(file, info)
+        .then(function(search) {
+            return search ? iterator({ file: file, search: search }) : null;
+        });
+};
+
+/**
+ * Opens a readable stream of a file, unless it is skipped, see `admit()`
+ * @param  {String} file    File name
+ * @param  {Object} info    Optional. The file's `size` and whether it is
+ *                          `binary`, if it was already inspected
+ * @return {Object}         A promise that resolves with the stream, or null
+ *                          if the file is skipped
+ */
+Analyzer.prototype.openFile = function(file, info) {
+    var self = this;
+
+    return Promise.resolve(info || files.inspect(file))
+        .then(function(info) {
+            var length = self.admit(file, info);
+
+            if (length === null) {
+                return null;
+            }
+
+            return fs.createReadStream(file, length < info.size ? { start: 0, end: length - 1 } : undefined);
+        });
+};
+
+/**
+ * Decompresses an archive file and passes a readable stream of each file it
+ * contains that is not skipped, see `admit()`, to a function. Entries are
+ * decompressed as a stream, one at a time, and no more than `maxFileSize`
+ * bytes of each are kept, or `archives.MAX_ENTRY_SIZE` without a
+ * `maxFileSize`, so an archive that expands far beyond its size is not held
+ * in memory. A gzip file is opened under its own name and archive entries
+ * under the archive's name followed by `!/` and their path. Results of the
+ * entries of an earlier search of the archive are dropped first.
+ * @param  {String} file          File name
+ * @param  {String} kind          Archive type, see `archives.type()`
+ * @param  {Function} iterator    Called with a `{ file, search }` object for
+ *                                each entry, returns a promise
+ * @return {Object}               A promise
+ */
+Analyzer.prototype.openArchive = function(file, kind, iterator) {
+    var self = this;
+    var limit = self.maxFileSize || archives.MAX_ENTRY_SIZE;
+
+    self.forget(file);
+
+    return archives.extract(file, kind, { limit: limit }, function(entry) {
+        var name = entry.name ? file + archives.SEPARATOR + entry.name : file;
+        var length = self.admit(name, {
+            size: entry.size,
+            binary: files.isBinary(entry.data.slice(0, files.SNIFF_BYTES)),
+            limit: limit
+        });
+        var search;
+
+        if (length === null) {
+            return null;
+        }
+
+        search = new PassThrough();
+        search.end(entry.data.slice(0, length));
+
+        return iterator({ file: name, search: search });
+    });
+};
+
+/**
+ * Drops the results and skip reasons of a file and of the entries of an
+ * archive file
+ * @param  {String} file    File name
+ */
+Analyzer.prototype.forget = function(file) {
+    var key = this.getFileKey(file);
+    var prefix = key + archives.SEPARATOR;
+
+    [this.resultsMap, this.skipped].forEach(function(map) {
+        Object.keys(map).forEach(function(name) {
+            if (name === key || name.indexOf(prefix) === 0) {
+                delete map[name];
+            }
+        });
+    });
+};
+
+/**
+ * Collects the results and skip reasons of a file and of the entries of an
+ * archive file to be cached. They are keyed by what follows the file's key,
+ * an empty string for the file itself and i.e. `!/docs/intro.md` for an
+ * entry, so they can be restored for a copy of the file under another name.
+ * @param  {String} file    File name
+ * @return {Object}         Object with `results` and `skipped` maps
+ */
+Analyzer.prototype.collect = function(file) {
+    var key = this.getFileKey(file);
+    var prefix = key + archives.SEPARATOR;
+    var entry = { results: maps.create(), skipped: maps.create() };
+
+    [['results', this.resultsMap], ['skipped', this.skipped]].forEach(function(pair) {
+        Object.keys(pair[1]).forEach(function(name) {
+            if (name === key || name.indexOf(prefix) === 0) {
+                entry[pair[0]][name.slice(key.length)] = pair[1][name];
+            }
+        });
+    });
+
+    return entry;
+};
+
+/**
+ * Restores the cached results of a file from `collect()`. Emits `file:start`
+ * and `file:done` for every file with results and `file:skip` for every
+ * skipped file, but no `match` events.
+ * @param  {String} file     File name
+ * @param  {Object} entry    Object with `results` and `skipped` maps
+ */
+Analyzer.prototype.restore = function(file, entry) {
+    var self = this;
+    var key = self.getFileKey(file);
+
+    self.forget(file);
+
+    Object.keys(entry.results).forEach(function(suffix) {
+        self.emit('file:start', key + suffix);
+        self.resultsMap[key + suffix] = entry.results[suffix];
+        self.emit('file:done', key + suffix, entry.results[suffix]);
+    });
+
+    Object.keys(entry.skipped).forEach(function(suffix) {
+        self.skipped[key + suffix] = entry.skipped[suffix];
+        self.emit('file:skip', key + suffix, entry.skipped[suffix]);
+    });
+};
+
+/**
+ * Checks whether a file is analyzed. If `skipBinary` is true, binary files
+ * are skipped. Files larger than `maxFileSize` are skipped if `oversized` is
+ * "skip", or only their first `maxFileSize` bytes are read if it is "truncate".
+ * Archive entries larger than the `limit` of bytes kept of them are treated
+ * the same way without a `maxFileSize`.
+ * A skipped file's results are dropped, the reason, `binary` or `size`, is
+ * kept in `skipped` under its key and `file:skip` is emitted with both.
+ * @param  {String} file    File name
+ * @param  {Object} info    The file's `size`, whether it is `binary` and
+ *                          optionally the `limit` of bytes that can be read
+ * @return {Number|null}    Number of bytes to read, or null if the file is skipped
+ */
+Analyzer.prototype.admit = function(file, info) {
+    var key = this.getFileKey(file);
+    var limit = this.maxFileSize || info.limit || 0;
+    var oversized = limit > 0 && info.size > limit;
+
+    delete this.skipped[key];
+
+    if (info.binary && this.skipBinary) {
+        this.skipped[key] = 'binary';
+    } else if (oversized && this.oversized === 'skip') {
+        this.skipped[key] = 'size';
     } else {
-        return fs.readFileAsync(keywordsList, 'utf8')
-            .then(function(data) {
-                if (!data) {
-                    return Promise.reject(new Error("Keyword JSON file is empty"));
-                }
+        return oversized ? limit : info.size;
+    }
 
-                return Promise.resolve(JSON.parse(data)[keyName]);
-            });
+    delete this.resultsMap[key];
+    this.emit('file:skip', key, this.skipped[key]);
+
+    return null;
+};
+
+/**
+ * Runs a search on a readable stream of text for keywords. Keywords are matched
+ * as literals, so characters like `+`, `.` or `(` have no special meaning.
+ * If `extract` is true and an extractor is registered for the file's extension,
+ * keywords are matched against the text it extracts. If `segment` is set, the
+ * file is split into segments counted on their own. Matches of keywords with
+ * `near` terms or `exclude` phrases only count if they satisfy them. Results are kept in
+ * `resultsMap` and written once all files are searched. Emits `file:start`
+ * with the file's key before the search and `file:done` with the key and the
+ * file's keyword counts after it.
+ * @param  {Object} search    Readable stream
+ * @param  {String} file      File name the results are stored under
+ * @return {Object}           A promise
+ */
+Analyzer.prototype.grepStream = function(search, file) {
+    var self = this;
+    var key = self.getFileKey(file);
+    var wordCounter = self.stats ? new statistics.WordCounter() : null;
+    var segmenter = self.segment ? new segments.Segmenter({
+        segment: self.segment,
+        segmentSize: self.segmentSize,
+        file: file
+    }) : null;
+    var matchOptions = Object.assign({ stem: self.stem, language: self.language }, self.foldOptions());
+    var constraints = new proximity.Constraints(self.keywords, matchOptions);
+    var mapper;
+    var extractor = self.extract ? extractors.get(file, self.extractors) : null;
+    var extraction = {};
+
+    if (!constraints.hasRules() && !self.cooccurrence) {
+        constraints = null;
     }
+
+    mapper = self.mapper(file, wordCounter, segmenter, constraints, extraction);
+
+    return new Promise(function(resolve, reject) {
+        var matcher = new Matcher(self.keywords, Object.assign({
+            positions: self.positions,
+            context: self.context
+        }, matchOptions));
+        var source = search;
+
+        self.emit('file:start', key);
+        search.on('error', reject);
+
+        // Headings are found in the raw text, lines and words in the extracted text
+        if (segmenter && self.segment === 'headings') {
+            source = source.pipe(segmenter.stream());
+        }
+
+        if (extractor) {
+            source = source
+                .pipe(self.extractor(extractor, file, extraction))
+                .on('error', reject);
+        }
+
+        if (segmenter && self.segment !== 'headings') {
+            source = source.pipe(segmenter.stream());
+        }
+
+        if (wordCounter) {
+            source = source.pipe(self.counter(wordCounter));
+        }
+
+        if (constraints) {
+            source = source
+                .pipe(constraints.stream())
+                .on('error', reject);
+        }
+
+        source
+            .pipe(matcher.stream())
+            .on('error', reject)
+            .pipe(mapper)
+            .on('error', reject)
+            .on('end', function() {
+                self.emit('file:done', key, self.resultsMap[key]);
+                resolve();
+            })
+            .resume();
+    });
 };
 
 /**
- * Creates an instance of a Transform stream that transforms data into formatted JSON
- * @return {Object}    A Transform stream
+ * Creates an instance of a Transform stream that reads the whole text of a file
+ * and pushes the text extracted from it. Extractors that remove text return
+ * it with its `offsets` in the file, which are turned into the `map` of the
+ * extraction.
+ * @param  {Function} extract       Extractor, returns the extracted text, or
+ *                                  `{ text, offsets }`, or a promise for it
+ * @param  {String} file            File name passed to the extractor
+ * @param  {Object} extraction      Optional. Object the `SourceMap` of the
+ *                                  extracted text is set on as `map`
+ * @return {Object}                 A Transform stream
  */
-Analyzer.prototype.stringifier = function() {
-    var transformer = new Transform({objectMode: true});
+Analyzer.prototype.extractor = function(extract, file, extraction) {
+    var transformer = new Transform();
+    var decoder = new StringDecoder('utf8');
+    var text = '';
+
+    transformer._transform = function(data, encoding, done) {
+        text += typeof data === 'string' ? data : decoder.write(data);
+        done();
+    };
+
+    transformer._flush = function(done) {
+        text += decoder.end();
+
+        Promise.try(function() {
+                return extract(text, file);
+            })
+            .then(function(extracted) {
+                if (extracted && Array.isArray(extracted.offsets)) {
+                    if (extraction) {
+                        extraction.map = new extractors.SourceMap(text, extracted.offsets);
+                    }
+
+                    extracted = extracted.text;
+                }
+
+                transformer.push(String(extracted));
+                done();
+            })
+            .catch(done);
+    };
+
+    return transformer;
+};
+
+/**
+ * Creates an instance of a Transform stream that passes text through unchanged
+ * while counting its words
+ * @param  {Object} wordCounter    `WordCounter` the text is written to
+ * @return {Object}                A Transform stream
+ */
+Analyzer.prototype.counter = function(wordCounter) {
+    var transformer = new Transform();
+    var decoder = new StringDecoder('utf8');
+
     transformer._transform = function(data, encoding, done) {
-        var output = JSON.stringify(data, null, 4);
-        this.push(output);
+        wordCounter.write(typeof data === 'string' ? data : decoder.write(data));
+        done(null, data);
+    };
 
+    transformer._flush = function(done) {
+        wordCounter.write(decoder.end());
         done();
     };
 
@@ -170,38 +1106,298 @@ Analyzer.prototype.stringifier = function() {
 };
 
 /**
- * Creates an instance of a Transform stream that parses through grep results
- * to create a map of keyword data for a given file
- * @param  {String} file    File name
- * @return {Object}         A Transform stream
+ * Writes the formatted results to `outputPath`, or to `stdout` if it is `-`.
+ * Nothing is written if `write` is false.
+ * @param  {String} output    Optional. Output to write, defaults to the
+ *                            serialized results
+ * @return {Object}           A promise
+ */
+Analyzer.prototype.writeOutput = function(output) {
+    if (!this.write) {
+        return Promise.resolve();
+    }
+
+    output = output !== undefined ? output : this.serialize();
+
+    if (this.outputPath === STDIO_PATH) {
+        return this.writeStdout(output);
+    }
+
+    return this.writeFile(this.outputPath, output);
+};
+
+/**
+ * Writes output to a file, creating its directory if it doesn't exist. The
+ * output is written to a temporary file next to it that is then renamed, so
+ * the file is never left partially written.
+ * @param  {String} file      File path
+ * @param  {String} output    Output to write
+ * @return {Object}           A promise
+ */
+Analyzer.prototype.writeFile = function(file, output) {
+    var temp = tempPath(file);
+
+    return this.prepOutputPath(file)
+        .then(function() {
+            return fs.writeFileAsync(temp, output);
+        })
+        .then(function() {
+            return fs.renameAsync(temp, file);
+        })
+        .catch(function(err) {
+            return fs.unlinkAsync(temp)
+                .catch(function() {})
+                .then(function() {
+                    return Promise.reject(err);
+                });
+        });
+};
+
+/**
+ * Writes the formatted results to `stdout`. The promise rejects if the write
+ * fails, i.e. with `EPIPE` if the reading end of a pipe is closed, instead of
+ * the error being thrown.
+ * @param  {String} output    Optional. Output to write, defaults to the
+ *                            serialized results
+ * @return {Object}           A promise
+ */
+Analyzer.prototype.writeStdout = function(output) {
+    var stdout = this.stdout;
+
+    output = output !== undefined ? output : this.serialize();
+
+    return new Promise(function(resolve, reject) {
+        function fail(err) {
+            stdout.removeListener('error', fail);
+            reject(err);
+        }
+
+        stdout.on('error', fail);
+        stdout.write(output, function(err) {
+            // A failed write emits `error` after its callback, so the
+            // listener is kept to catch it
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            stdout.removeListener('error', fail);
+            resolve();
+        });
+    });
+};
+
+/**
+ * Gets the keywords.
+ * Returns a promise that resolves with the keyword array read from the
+ * `keywordsList` file, or the provided array if `keywordsList` is already an
+ * array, merged with the keywords of any `keywordFiles`. JSON and YAML files
+ * hold the array under `keyName`, `.txt` files list one keyword per line and
+ * `.csv` files one per row.
+ * Keywords are strings or objects with a `term` and a match `mode`, i.e.
+ * `{ "term": "mad", "mode": "word" }`, and the promise rejects if one is invalid.
+ * @return {Object}    A promise
+ */
+Analyzer.prototype.getKeywords = function() {
+    var keywordsList = this.keywordsList;
+    var keyName = this.keyName;
+    var lists = [];
+
+    if (Array.isArray(keywordsList)) {
+        lists.push(keywordsList);
+    } else if (keywordsList) {
+        lists.push(sources.load(keywordsList, keyName));
+    }
+
+    this.keywordFiles.forEach(function(file) {
+        lists.push(sources.load(file, keyName));
+    });
+
+    if (!lists.length) {
+        return Promise.reject(new Error("Keyword list not provided"));
+    }
+
+    return Promise.all(lists)
+        .then(function(loaded) {
+            return validateKeywords(loaded.length === 1 ? loaded[0] : sources.merge(loaded));
+        });
+};
+
+/**
+ * Creates an instance of a Transform stream that reads keyword matches from
+ * the matcher to create a map of keyword data for a given file. Newline
+ * separated matches, like the output of `grep -o`, are also accepted.
+ * If `positions` is true, the line, column and context of every match are
+ * listed under `$positions`. If `stem` is set, the text each keyword matched
+ * is counted under `$forms`, i.e. `{ run: { runs: 2, ran: 1 } }`. If a word
+ * counter is given, the file's word count and keyword densities are added
+ * under `$stats`. If a segmenter is given, the keyword counts of each segment
+ * are listed under `$segments`. If constraints are given, matches are held
+ * until the file ends and only those that satisfy the `near` and `exclude`
+ * constraints of their keyword count, and with `cooccurrence` the keyword
+ * pairs found in the same line or window are counted under `$cooccurrence`.
+ * Emits `match` with every match that counts and the file's key.
+ * @param  {String} file           File name
+ * @param  {Object} wordCounter    Optional. `WordCounter` of the file's text
+ * @param  {Object} segmenter      Optional. `Segmenter` of the file's text
+ * @param  {Object} constraints    Optional. `Constraints` of the file's text
+ * @param  {Object} extraction     Optional. Holds the `map` of the file's
+ *                                 extracted text back to the file, once set by
+ *                                 `extractor()`
+ * @return {Object}                A Transform stream
  */
-Analyzer.prototype.mapper = function(file) {
+Analyzer.prototype.mapper = function(file, wordCounter, segmenter, constraints, extraction) {
     var self = this;
     var transformer = new Transform({objectMode: true});
+    var matches = [];
+    var held = [];
+    var units = [];
+    var key;
+    var map;
 
-    transformer._transform = function(data, encoding, done) {
-        var bufferString = data.toString();
-        var split = bufferString.split('\n');
-        var map = {};
-        var filename = parsePath(file).name;
+    function getMap() {
+        if (!map) {
+            key = self.getFileKey(file);
+            map = keywords.createCounts(self.keywords);
 
-        self.keywords.forEach(function(word) {
-            map[word] = 0;
-        });
+            if (self.positions) {
+                map.$positions = [];
+            }
 
-        split.forEach(function(word) {
-            var key;
+            if (self.stem) {
+                map.$forms = maps.create();
+            }
 
-            if (word) {
-                key = self.getKey(word, map);
+            self.resultsMap[key] = map;
+        }
 
-                if (key) {
-                    map[key] = map[key] + 1;
-                }
+        return map;
+    }
+
+    function position(match) {
+        var entry = { keyword: match.keyword };
+
+        if (match.group !== undefined) {
+            entry.group = match.group;
+        }
+
+        entry.text = match.text;
+        entry.line = match.line;
+        entry.column = match.column;
+
+        if (extraction && extraction.map) {
+            Object.assign(entry, extraction.map.position(match.index));
+        }
+
+        if (match.context !== undefined) {
+            entry.context = match.context;
+        }
+
+        return entry;
+    }
+
+    function addForm(match) {
+        var forms = map.$forms[match.keyword] = map.$forms[match.keyword] || maps.create();
+        var form = match.text.replace(/\s+/g, ' ');
+
+        forms[form] = (forms[form] || 0) + 1;
+    }
+
+    // Headings are found in the raw text, so matches are placed in them by
+    // their offset in the file
+    function sourceIndex(match) {
+        if (self.segment === 'headings' && extraction && extraction.map) {
+            return extraction.map.offset(match.index);
+        }
+
+        return match.index;
+    }
+
+    function segment() {
+        var list = segmenter.segments();
+        var counts = list.map(function() {
+            return keywords.createCounts(self.keywords);
+        });
+
+        matches.forEach(function(match) {
+            var index = segments.find(list, match.index);
+
+            if (index !== -1) {
+                keywords.countMatch(counts[index], match);
             }
         });
 
-        self.resultsMap[filename] = map;
+        return list.map(function(entry, index) {
+            return { label: entry.label, lines: entry.lines, counts: counts[index] };
+        });
+    }
+
+    function count(key) {
+        if (key) {
+            map[key] = map[key] + 1;
+        }
+    }
+
+    function addMatch(match) {
+        keywords.countMatch(map, match);
+
+        if (self.positions) {
+            map.$positions.push(position(match));
+        }
+
+        if (self.stem) {
+            addForm(match);
+        }
+
+        if (segmenter) {
+            matches.push({ keyword: match.keyword, group: match.group, index: sourceIndex(match) });
+        }
+
+        if (self.cooccurrence) {
+            units.push({ unit: constraints.unit(match, self.cooccurrence), key: proximity.countKey(match) });
+        }
+
+        self.emit('match', match, key);
+    }
+
+    transformer._transform = function(data, encoding, done) {
+        getMap();
+
+        if (data.keyword !== undefined && constraints) {
+            held.push(data);
+        } else if (data.keyword !== undefined) {
+            addMatch(data);
+        } else {
+            data.toString().split('\n').forEach(function(word) {
+                if (word) {
+                    count(self.getKey(word, map));
+                }
+            });
+        }
+
+        done();
+    };
+
+    transformer._flush = function(done) {
+        getMap();
+
+        if (constraints) {
+            held.filter(function(match) {
+                return constraints.allows(match);
+            }).forEach(addMatch);
+        }
+
+        if (self.cooccurrence) {
+            map.$cooccurrence = proximity.matrix(units);
+        }
+
+        if (wordCounter) {
+            map.$stats = statistics.fileStats(map, wordCounter.end());
+        }
+
+        if (segmenter) {
+            map.$segments = segment();
+        }
 
         this.push(self.resultsMap);
 
@@ -212,37 +1408,130 @@ Analyzer.prototype.mapper = function(file) {
 };
 
 /**
- * Prepares the output path by checking if the entire file path exists,
- * and creates it if it doesn't
- * @return {Object}    A promise
+ * Gets the key a file's results are stored under in `resultsMap`. Files inside
+ * a target directory are keyed by their path relative to it, i.e.
+ * `docs/intro.md` for `target/docs/intro.md`. Other files are keyed by name.
+ * Archive entries are keyed by their archive's key and their path inside it,
+ * i.e. `logs/bundle.zip!/docs/intro.md`.
+ * @param  {String} file    File name
+ * @return {String}         Key for the file's results
+ */
+Analyzer.prototype.getFileKey = function(file) {
+    var entry = file.indexOf(archives.SEPARATOR);
+    var relative;
+
+    if (entry !== -1) {
+        return this.getFileKey(file.slice(0, entry)) + file.slice(entry);
+    }
+
+    relative = path.relative(this.target, file);
+
+    if (!relative || relative === '..' || relative.indexOf('..' + path.sep) === 0 ||
+        path.isAbsolute(relative)) {
+        return path.basename(file);
+    }
+
+    return relative.split(path.sep).join('/');
+};
+
+/**
+ * Prepares the output path by creating its directory if it doesn't exist
+ * @param  {String} file    Optional. File path, defaults to `outputPath`
+ * @return {Object}         A promise that rejects if the directory can't be
+ *                          created
  */
-Analyzer.prototype.prepOutputPath = function() {
+Analyzer.prototype.prepOutputPath = function(file) {
+    return mkdirp(path.dirname(file || this.outputPath));
+};
+
+/**
+ * Opens the cache of file results if `cache` is true. If `clearCache` is
+ * true, the cache directory is removed first.
+ * @return {Object}    A promise that rejects if the cache directory can't be
+ *                     removed or created
+ */
+Analyzer.prototype.openCache = function() {
     var self = this;
-    var dirName = path.dirname(self.outputPath);
+    var cache = new Cache({
+        dir: self.cacheDir,
+        keywords: self.keywords,
+        options: self.cacheOptions()
+    });
+
+    self.fileCache = self.cache ? cache : null;
 
-    return mkdirp(dirName)
+    return Promise.resolve(self.clearCache ? cache.clear() : null)
         .then(function() {
-            return fs.openAsync(self.outputPath, 'w+');
-        })
-        .catch(function(err) {
-            console.error(err);
+            return self.fileCache ? self.fileCache.open() : null;
         });
 };
 
 /**
- * Gets correct key in a map to match the provided word. If `ignoreCase` is true,
- * a case-insensitve search for the key is performed.
+ * Gets the options that change the results of a file, which are part of the
+ * keys of cached results
+ * @return {Object}    Options
+ */
+Analyzer.prototype.cacheOptions = function() {
+    return Object.assign({
+        stemmer: stemmers.resolve(this.stem, this.language),
+        positions: this.positions,
+        context: this.context,
+        extract: this.extract,
+        extractors: this.extractors,
+        registeredExtractors: extractors.registered(),
+        stats: this.stats,
+        segment: this.segment,
+        segmentSize: this.segmentSize,
+        cooccurrence: this.cooccurrence,
+        maxFileSize: this.maxFileSize,
+        oversized: this.oversized,
+        skipBinary: this.skipBinary,
+        archives: this.archives
+    }, this.foldOptions());
+};
+
+/**
+ * Checks whether a file belongs to the cache directory, which is never analyzed
+ * @param  {String} file    File name
+ * @return {Boolean}        True if the file is in the cache directory
+ */
+Analyzer.prototype.isCacheFile = function(file) {
+    return !!this.fileCache && this.fileCache.contains(file);
+};
+
+/**
+ * Gets the options that fold keywords and text before they are compared
+ * @return {Object}    `ignoreCase`, `locale`, `normalize` and `ignoreDiacritics`
+ */
+Analyzer.prototype.foldOptions = function() {
+    return {
+        ignoreCase: this.ignoreCase,
+        locale: this.locale,
+        normalize: this.normalize,
+        ignoreDiacritics: this.ignoreDiacritics
+    };
+};
+
+/**
+ * Gets correct key in a map to match the provided word. If `ignoreCase`,
+ * `normalize` or `ignoreDiacritics` is set, the key is looked up with the
+ * word and keys folded alike.
  * @param  {String} word         Word to match the key against
  * @param  {Object} map          Object with keys to inspect
  * @return {String|undefined}    Matched key or undefined if no match is found
  */
 Analyzer.prototype.getKey = function(word, map) {
-    if (!this.ignoreCase) {
+    var fold;
+
+    if (!this.ignoreCase && !this.normalize && !this.ignoreDiacritics) {
         return word;
     }
 
+    fold = folding.createFolder(this.foldOptions());
+    word = fold(word);
+
     return Object.keys(map).filter(function(key) {
-        return key.toUpperCase() === word.toUpperCase();
+        return fold(key) === word;
     })[0];
 };
 
@@ -1,40 +1,423 @@
 #!/usr/bin/env node
 
+var fs = require('fs');
+var path = require('path');
 var meow = require('meow');
+var mkdirp = require('mkdirp');
 var analyze = require('./../index.js');
+var Progress = require('./../lib/progress');
+var cache = require('./../lib/cache');
+var maps = require('./../lib/maps');
 
 var cli = meow([
         'Usage',
-        '  keyword-count <file-to-read> <json-file-with-keywords>',
+        '  keyword-count <file-to-read> <keyword-list>',
+        '  keyword-count <file-to-read> -k <keyword-list> -k <another-keyword-list>',
+        '  cat file-to-read | keyword-count - <keyword-list> -o -',
+        '  keyword-count <file-to-read> --discover',
+        '  keyword-count diff <baseline-results-json> <current-results-json>',
+        '  keyword-count serve [keyword-list] --port 3000',
+        '  keyword-count --clear-cache [--cache-dir <dir>]',
         '',
         'Options',
         '  -i, --ignore-case  Ignore case of keywords',
-        '  -k, --key-name     Name of keyword array in json file',
-        '  -o, --output-file  Name of file for json output, i.e. -o path/to/output.json'
+        '  --locale           Locale of the case rules of --ignore-case, i.e. tr',
+        '  --normalize        Match Unicode equivalent text: NFC, or NFKC to include',
+        '                     compatibility characters like ligatures',
+        '  --ignore-diacritics  Match keywords regardless of accents',
+        '  --stem             Count every form of a keyword\'s words, i.e. "runs" and "ran"',
+        '                     for "run", with the stemmer of --language or the one given',
+        '  -k, --keywords     Keyword list file (json, yaml, txt or csv), can be repeated',
+        '  --key-name         Name of keyword array in json and yaml files',
+        '  --config           Configuration file to use instead of the nearest .keywordcountrc',
+        '                     or keyword-count.config.js',
+        '  --no-config        Ignore configuration files',
+        '  -o, --output-file  Name of file for output, i.e. -o path/to/output.json, or - for stdout',
+        '  -f, --format       Output format: json (default), ndjson, csv, tsv or markdown',
+        '  --include          Glob of files to analyze in a directory, can be repeated',
+        '  --exclude          Glob of files or directories to skip, can be repeated',
+        '  --ignore-file      Name of .gitignore-style file to respect, can be repeated',
+        '  --group-by         Group results by "file" (default) or "directory"',
+        '  --rollup           Add per-directory and total keyword counts',
+        '  --positions        List the line, column and context of every match',
+        '  --context          Characters of context around each position, default 30',
+        '  --no-extract       Match HTML, Markdown and JSON files as raw text',
+        '  --stats            Add word counts, keyword density, TF-IDF and corpus statistics',
+        '  --segment          Also count keywords per segment of each file: "lines", "words"',
+        '                     or "headings" of Markdown and HTML files',
+        '  --segment-size     Lines or words of a segment, default 100 lines or 500 words',
+        '  --cooccurrence     Count keyword pairs found on the same "line" or in the same',
+        '                     window of a number of words, i.e. --cooccurrence 50',
+        '  --discover         Report the most frequent terms instead of counting keywords',
+        '  --top              Number of terms of each length to discover, default 20',
+        '  --ngrams           Longest terms to discover in words, 1 to 3, default 3',
+        '  --language         Language of the built-in stop words, en (default), es, fr or de,',
+        '                     and of the stemmer used by --stem',
+        '  --stop-words       File with one stop word per line, replaces the built-in list',
+        '  --keywords-output  Name of file to write discovered terms to as a keyword list',
+        '  --concurrency      Number of files read at once, default 16',
+        '  --max-file-size    Largest file to analyze, i.e. 512k or 10mb',
+        '  --oversized        Skip (default) or truncate files larger than --max-file-size',
+        '  --no-skip-binary   Analyze binary files instead of skipping them',
+        '  --no-archives      Read .gz, .zip, .tar and .tgz files as they are instead of',
+        '                     decompressing them and analyzing the files they contain',
+        '  --cache            Reuse the results of files whose content, keywords and options',
+        '                     are unchanged since an earlier run with --cache',
+        '  --no-cache         Don\'t use the cache, even if the configuration file enables it',
+        '  --cache-dir        Directory of the cache, default .keyword-count-cache',
+        '  --clear-cache      Empty the cache before analyzing, or on its own without a target',
+        '  -w, --watch        Keep watching the target and update the output on changes',
+        '  --progress         Show a progress bar of the files analyzed',
+        '  --verbose          Log every file analyzed or skipped',
+        '  --port             Port serve listens on, default 3000',
+        '  --host             Host serve listens on, default 127.0.0.1',
+        '  --max-body-size    Largest request body serve accepts, i.e. 512k, default 10mb',
+        '  --allow-regex      Let requests to serve send regex keywords'
     ],{
         alias: {
             i: 'ignore-case',
-            k: 'key-name',
-            o: 'output-file'
+            k: 'keywords',
+            o: 'output-file',
+            f: 'format',
+            w: 'watch'
         }
     });
 
 var input = cli.input;
 
-if (!input && process.stdin.isTTY) {
-    console.error('Specify a file to analyze');
-    process.exit(1);
+/**
+ * Default port of the `serve` command
+ * @type {Number}
+ */
+var DEFAULT_PORT = 3000;
+
+/**
+ * Default host of the `serve` command, so the server is only reachable locally
+ * @type {String}
+ */
+var DEFAULT_HOST = '127.0.0.1';
+
+/**
+ * Compares the results of two analysis runs and writes the drift to
+ * `--output-file`, or to stdout if it isn't set
+ * @param  {String} baselineFile    Results file of the earlier run
+ * @param  {String} currentFile     Results file of the later run
+ */
+function diff(baselineFile, currentFile) {
+    var outputFile = cli.flags.outputFile;
+
+    Promise.all([analyze.readResults(baselineFile), analyze.readResults(currentFile)])
+        .then(function(runs) {
+            var output = analyze.formatComparison(analyze.compare(runs[0], runs[1]), cli.flags.format);
+
+            if (!outputFile || outputFile === '-') {
+                process.stdout.write(output);
+                return;
+            }
+
+            mkdirp.sync(path.dirname(outputFile));
+            fs.writeFileSync(outputFile, output);
+        })
+        .catch(function(err) {
+            console.error(err.message);
+            process.exit(1);
+        });
 }
 
-if (input.length < 2) {
-    console.error('Specify a keyword list');
-    process.exit(1);
+/**
+ * Prints the keyword thresholds that are violated, if any
+ * @param  {Array} violations    List of violations, or undefined
+ * @return {Boolean}             True if any threshold is violated
+ */
+function reportViolations(violations) {
+    if (!violations || !violations.length) {
+        return false;
+    }
+
+    console.error(violations.length + (violations.length === 1 ? ' keyword threshold' : ' keyword thresholds') +
+        ' violated:');
+    violations.forEach(function(violation) {
+        console.error('  ' + violation.message);
+    });
+
+    return true;
 }
 
-analyze({
-    target: input[0],
-    keywordsList: input[1],
-    ignoreCase: cli.flags.ignoreCase,
-    keyName: cli.flags.keyName,
-    outputPath: cli.flags.outputFile
-});
+/**
+ * Logs the progress of an analysis to stderr, as a progress bar with
+ * `--progress` and a line per file with `--verbose`. Files that can't be read
+ * are always logged and left out of the results.
+ * @param  {Object} analyzer    Analyzer
+ */
+function observe(analyzer) {
+    var progress = cli.flags.progress && process.stderr.isTTY ? new Progress(process.stderr) : null;
+    var verbose = cli.flags.verbose;
+    var matches = maps.create();
+    var startedAt;
+
+    function log(message) {
+        if (progress) {
+            progress.log(message);
+        } else {
+            console.error(message);
+        }
+    }
+
+    function done(key, message) {
+        if (verbose) {
+            log(key + ': ' + message);
+        }
+
+        if (progress) {
+            progress.tick(key);
+        }
+    }
+
+    analyzer.on('start', function(total) {
+        startedAt = Date.now();
+
+        if (verbose) {
+            log('Analyzing ' + total + (total === 1 ? ' file' : ' files'));
+        }
+
+        if (progress) {
+            progress.start(total);
+        }
+    });
+
+    if (verbose) {
+        analyzer.on('match', function(match, key) {
+            matches[key] = (matches[key] || 0) + 1;
+        });
+    }
+
+    analyzer.on('file:done', function(key) {
+        var count = matches[key] || 0;
+
+        delete matches[key];
+        done(key, count + (count === 1 ? ' match' : ' matches'));
+    });
+
+    analyzer.on('file:skip', function(key, reason) {
+        done(key, 'skipped, ' + (reason === 'size' ? 'larger than --max-file-size' : reason));
+    });
+
+    analyzer.on('error', function(err, key) {
+        if (!verbose) {
+            log(key + ': ' + err.message);
+        }
+
+        done(key, err.message);
+    });
+
+    analyzer.on('end', function() {
+        if (progress) {
+            progress.end();
+        }
+
+        if (verbose) {
+            log('Done in ' + (Date.now() - startedAt) + 'ms');
+        }
+    });
+}
+
+/**
+ * Gets the options given on the command line. Options that aren't given are
+ * left out, so they don't override the configuration file.
+ * @return {Object}    Options
+ */
+function flagOptions() {
+    var flags = cli.flags;
+    var options = {
+        target: input[0],
+        keywordsList: input[1],
+        keywordFiles: flags.keywords !== undefined ? [].concat(flags.keywords) : undefined,
+        ignoreCase: flags.ignoreCase,
+        locale: flags.locale,
+        normalize: flags.normalize,
+        ignoreDiacritics: flags.ignoreDiacritics,
+        stem: flags.stem,
+        keyName: flags.keyName,
+        outputPath: flags.outputFile,
+        format: flags.format,
+        include: flags.include,
+        exclude: flags.exclude,
+        ignoreFiles: flags.ignoreFile,
+        groupBy: flags.groupBy,
+        rollup: flags.rollup,
+        positions: flags.positions,
+        context: flags.context,
+        extract: flags.extract,
+        stats: flags.stats,
+        segment: flags.segment,
+        segmentSize: flags.segmentSize,
+        cooccurrence: flags.cooccurrence,
+        discover: flags.discover,
+        top: flags.top,
+        ngrams: flags.ngrams,
+        language: flags.language,
+        stopWords: flags.stopWords ?
+            fs.readFileSync(flags.stopWords, 'utf8').split(/\r?\n/).filter(Boolean) : undefined,
+        keywordsOutputPath: flags.keywordsOutput,
+        concurrency: flags.concurrency,
+        maxFileSize: flags.maxFileSize,
+        oversized: flags.oversized,
+        skipBinary: flags.skipBinary,
+        archives: flags.archives,
+        cache: flags.cache,
+        cacheDir: flags.cacheDir,
+        clearCache: flags.clearCache,
+        watch: flags.watch
+    };
+
+    Object.keys(options).forEach(function(name) {
+        if (options[name] === undefined) {
+            delete options[name];
+        }
+    });
+
+    return options;
+}
+
+/**
+ * Loads the configuration file given with `--config`, or the nearest one
+ * unless `--no-config` is set
+ * @return {Object}    A promise that resolves with the options of the file
+ */
+function loadConfig() {
+    if (cli.flags.config === false) {
+        return Promise.resolve({});
+    }
+
+    if (typeof cli.flags.config === 'string') {
+        return analyze.loadConfigFile(cli.flags.config);
+    }
+
+    return analyze.loadConfig();
+}
+
+/**
+ * Analyzes the target, or runs discovery, with the options of the
+ * configuration file overridden by the ones given on the command line
+ * @param  {Object} config    Options
+ */
+function run(config) {
+    var watch = config.watch;
+    var analyzer;
+
+    delete config.watch;
+
+    if (!config.target && config.clearCache) {
+        cache.clear(config.cacheDir)
+            .catch(function(err) {
+                console.error(err.message);
+                process.exitCode = 2;
+            });
+        return;
+    }
+
+    if (!config.target || (config.target === '-' && process.stdin.isTTY)) {
+        console.error('Specify a file to analyze or pipe text to -');
+        process.exit(1);
+    }
+
+    if (!config.keywordsList && !(config.keywordFiles && config.keywordFiles.length) && !config.discover) {
+        console.error('Specify a keyword list');
+        process.exit(1);
+    }
+
+    analyzer = new analyze.Analyzer(config);
+    observe(analyzer);
+
+    if (watch) {
+        if (config.target === '-') {
+            console.error('Cannot watch stdin');
+            process.exit(1);
+        }
+
+        analyzer.watch()
+            .then(function(watcher) {
+                console.error('Watching ' + config.target + ' for changes');
+
+                watcher.on('results', function(results) {
+                    reportViolations(results.$violations);
+                });
+                watcher.on('error', function(err) {
+                    console.error(err);
+                });
+            })
+            .catch(function(err) {
+                console.error(err);
+                process.exit(1);
+            });
+    } else {
+        analyzer.analyze()
+            .then(function(results) {
+                if (reportViolations(results.$violations)) {
+                    process.exitCode = 1;
+                }
+            })
+            .catch(function(err) {
+                console.error(err.message);
+                process.exitCode = 2;
+            });
+    }
+}
+
+/**
+ * Serves analyses over HTTP, with the options of the configuration file and
+ * the command line as the defaults of every request
+ * @param  {Object} config    Options
+ */
+function serve(config) {
+    var port = cli.flags.port !== undefined ? cli.flags.port : DEFAULT_PORT;
+    var host = cli.flags.host || DEFAULT_HOST;
+    var server;
+
+    delete config.target;
+    delete config.watch;
+
+    try {
+        server = analyze.createServer({
+            defaults: config,
+            maxBodySize: cli.flags.maxBodySize,
+            allowRegex: cli.flags.allowRegex === true
+        });
+    } catch (err) {
+        console.error(err.message);
+        process.exit(2);
+    }
+
+    server.on('error', function(err) {
+        console.error(err.message);
+        process.exit(2);
+    });
+
+    server.listen(port, host, function() {
+        console.error('Listening on http://' + host + ':' + server.address().port);
+    });
+}
+
+if (input[0] === 'diff') {
+    if (input.length < 3) {
+        console.error('Specify a baseline and a current results file');
+        process.exit(1);
+    }
+
+    diff(input[1], input[2]);
+} else {
+    loadConfig()
+        .then(function(config) {
+            config = Object.assign(config, flagOptions());
+
+            if (input[0] === 'serve') {
+                serve(config);
+            } else {
+                run(config);
+            }
+        })
+        .catch(function(err) {
+            console.error(err.message);
+            process.exit(2);
+        });
+}
@@ -1,8 +1,29 @@
 var Analyzer = require('./analyzer');
+var extractors = require('./lib/extractors');
+var stemmers = require('./lib/stemmers');
+var comparison = require('./lib/compare');
+var configFiles = require('./lib/config');
+var server = require('./lib/server');
 
 function analyzeKeywords(config) {
     var analyzer = new Analyzer(config);
     return analyzer.analyze();
 }
 
+function watchKeywords(config, opts) {
+    var analyzer = new Analyzer(config);
+    return analyzer.watch(opts);
+}
+
+analyzeKeywords.watch = watchKeywords;
+analyzeKeywords.Analyzer = Analyzer;
+analyzeKeywords.extractors = extractors;
+analyzeKeywords.stemmers = stemmers;
+analyzeKeywords.compare = comparison.compare;
+analyzeKeywords.formatComparison = comparison.format;
+analyzeKeywords.readResults = comparison.read;
+analyzeKeywords.loadConfig = configFiles.loadNearest;
+analyzeKeywords.loadConfigFile = configFiles.load;
+analyzeKeywords.createServer = server.createServer;
+
 module.exports = analyzeKeywords;
@@ -0,0 +1,666 @@
+'use strict';
+
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var stream = require('stream');
+var zlib = require('zlib');
+
+/**
+ * Separator between the name of an archive and the path of an entry inside
+ * it, i.e. `logs.zip!/2024/app.log`
+ * @type {String}
+ */
+var SEPARATOR = '!/';
+
+/**
+ * Archive types by lower case file name suffix, longest suffixes first
+ * @type {Array}
+ */
+var SUFFIXES = [
+    { suffix: '.tar.gz', type: 'tgz' },
+    { suffix: '.tgz', type: 'tgz' },
+    { suffix: '.tar', type: 'tar' },
+    { suffix: '.zip', type: 'zip' },
+    { suffix: '.gz', type: 'gzip' }
+];
+
+/**
+ * Largest number of bytes kept of each file inside an archive unless another
+ * limit is given, so an archive that expands far beyond its size is never
+ * held in memory
+ * @type {Number}
+ */
+var MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Size of a tar header and of the blocks tar entries are padded to
+ * @type {Number}
+ */
+var TAR_BLOCK = 512;
+
+/**
+ * Signatures of the zip records that are read
+ * @type {Number}
+ */
+var ZIP_END = 0x06054b50;
+var ZIP_CENTRAL = 0x02014b50;
+var ZIP_LOCAL = 0x04034b50;
+
+/**
+ * Zip compression methods that are supported
+ * @type {Number}
+ */
+var ZIP_STORED = 0;
+var ZIP_DEFLATED = 8;
+
+
+/**
+ * Gets the archive type of a file by its name
+ * @param  {String} file    File name
+ * @return {String|null}    `gzip`, `tar`, `tgz` or `zip`, or null if the
+ *                          file is not an archive
+ */
+function type(file) {
+    var name = (file || '').toLowerCase();
+    var found = SUFFIXES.filter(function(entry) {
+        return name.length > entry.suffix.length &&
+            name.slice(-entry.suffix.length) === entry.suffix;
+    })[0];
+
+    return found ? found.type : null;
+}
+
+/**
+ * Reads a NUL terminated string of a tar header
+ * @param  {Buffer} buffer    Field of the header
+ * @return {String}           String
+ */
+function tarString(buffer) {
+    var end = buffer.indexOf(0);
+
+    return buffer.toString('utf8', 0, end === -1 ? buffer.length : end);
+}
+
+/**
+ * Reads an octal number of a tar header
+ * @param  {Buffer} buffer    Field of the header
+ * @return {Number}           Number
+ * @throws {Error}            If the field is not an octal number
+ */
+function tarNumber(buffer) {
+    var text = tarString(buffer).trim();
+
+    if (!/^[0-7]+$/.test(text)) {
+        throw new Error('Invalid tar archive');
+    }
+
+    return parseInt(text, 8);
+}
+
+/**
+ * Checks the checksum of a tar header, the sum of its bytes with the
+ * checksum field itself counted as spaces
+ * @param  {Buffer} header    Header
+ * @return {Boolean}          True if the checksum matches
+ */
+function tarChecksum(header) {
+    var sum = 0;
+    var i;
+
+    for (i = 0; i < TAR_BLOCK; i++) {
+        sum += i >= 148 && i < 156 ? 32 : header[i];
+    }
+
+    return sum === tarNumber(header.slice(148, 156));
+}
+
+/**
+ * Gets the path of a pax extended header, if it has one
+ * @param  {Buffer} data    Content of the extended header
+ * @return {String|null}    Path
+ */
+function paxPath(data) {
+    var pattern = /\d+ ([^=]+)=([^\n]*)\n/g;
+    var text = data.toString('utf8');
+    var match;
+
+    while ((match = pattern.exec(text))) {
+        if (match[1] === 'path') {
+            return match[2];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Reads the entries of a tar archive chunk by chunk. Long names of GNU and
+ * pax archives are supported. Directories, links and other special entries
+ * are left out.
+ * @param {Number} limit    Largest number of bytes to keep of each entry, 0
+ *                          to keep all of it
+ */
+function TarReader(limit) {
+    this.limit = limit || 0;
+    this.entries = [];
+    this.longName = null;
+    this.header = Buffer.alloc(0);
+    this.entry = null;
+    this.padding = 0;
+    this.ended = false;
+}
+
+/**
+ * Reads the next chunk of the archive
+ * @param  {Buffer} chunk    Chunk
+ * @throws {Error}           If a header is invalid
+ */
+TarReader.prototype.write = function(chunk) {
+    var offset = 0;
+    var length;
+
+    while (offset < chunk.length && !this.ended) {
+        if (this.padding) {
+            length = Math.min(this.padding, chunk.length - offset);
+            this.padding -= length;
+        } else if (this.entry) {
+            length = Math.min(this.entry.remaining, chunk.length - offset);
+            this.keep(chunk.slice(offset, offset + length));
+        } else {
+            length = Math.min(TAR_BLOCK - this.header.length, chunk.length - offset);
+            this.header = Buffer.concat([this.header, chunk.slice(offset, offset + length)]);
+
+            if (this.header.length === TAR_BLOCK) {
+                this.readHeader(this.header);
+                this.header = Buffer.alloc(0);
+            }
+        }
+
+        offset += length;
+    }
+};
+
+/**
+ * Starts an entry from its header
+ * @param  {Buffer} header    Header
+ * @throws {Error}            If the header is invalid
+ */
+TarReader.prototype.readHeader = function(header) {
+    var size;
+
+    // The archive ends with blocks of zeros
+    if (header[0] === 0) {
+        this.ended = true;
+        return;
+    }
+
+    if (!tarChecksum(header)) {
+        throw new Error('Invalid tar archive');
+    }
+
+    size = tarNumber(header.slice(124, 136));
+    this.entry = { header: header, size: size, remaining: size, chunks: [], kept: 0 };
+
+    if (!size) {
+        this.finishEntry();
+    }
+};
+
+/**
+ * Keeps data of the current entry up to the limit
+ * @param  {Buffer} data    Data
+ */
+TarReader.prototype.keep = function(data) {
+    var entry = this.entry;
+    var length = this.limit ? Math.min(data.length, Math.max(0, this.limit - entry.kept)) : data.length;
+
+    if (length) {
+        entry.chunks.push(data.slice(0, length));
+        entry.kept += length;
+    }
+
+    entry.remaining -= data.length;
+
+    if (!entry.remaining) {
+        this.finishEntry();
+    }
+};
+
+/**
+ * Lists the current entry once all of its data was read
+ */
+TarReader.prototype.finishEntry = function() {
+    var header = this.entry.header;
+    var size = this.entry.size;
+    var data = Buffer.concat(this.entry.chunks);
+    var flag = String.fromCharCode(header[156]);
+    var name;
+    var prefix;
+
+    this.entry = null;
+    this.padding = Math.ceil(size / TAR_BLOCK) * TAR_BLOCK - size;
+
+    if (flag === 'L') {
+        this.longName = tarString(data);
+    } else if (flag === 'x') {
+        this.longName = paxPath(data) || this.longName;
+    } else if (flag !== 'g') {
+        name = tarString(header.slice(0, 100));
+        prefix = header.toString('ascii', 257, 262) === 'ustar' ? tarString(header.slice(345, 500)) : '';
+        name = this.longName || (prefix ? prefix + '/' + name : name);
+        this.longName = null;
+
+        if (flag === '0' || flag === '\0' || flag === '7') {
+            this.entries.push({ name: name.replace(/^(\.\/)+/, ''), data: data, size: size });
+        }
+    }
+};
+
+/**
+ * Ends the archive
+ * @return {Array}     List of `{ name, data, size }` objects, with `size` the
+ *                     full size of an entry even if less of it was kept
+ * @throws {Error}     If the archive was cut short
+ */
+TarReader.prototype.end = function() {
+    if (this.entry) {
+        throw new Error('Unexpected end of tar archive');
+    }
+
+    return this.entries;
+};
+
+/**
+ * Lists the files of a tar archive
+ * @param  {Buffer} buffer    Content of the archive
+ * @param  {Number} limit     Largest number of bytes to keep of each entry, 0
+ *                            to keep all of it
+ * @return {Array}            List of `{ name, data, size }` objects
+ * @throws {Error}            If the archive is invalid or cut short
+ */
+function tar(buffer, limit) {
+    var reader = new TarReader(limit);
+
+    reader.write(buffer);
+    return reader.end();
+}
+
+/**
+ * Finds the end of central directory record of a zip archive, which is
+ * followed by a comment of up to 65535 bytes
+ * @param  {Buffer} buffer    Content of the archive
+ * @return {Number}           Offset of the record, or -1 if there is none
+ */
+function zipEnd(buffer) {
+    var offset;
+
+    for (offset = buffer.length - 22; offset >= 0 && offset >= buffer.length - 22 - 0xffff; offset--) {
+        if (buffer.readUInt32LE(offset) === ZIP_END) {
+            return offset;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Streams a buffer
+ * @param  {Buffer} buffer    Buffer
+ * @return {Object}           Readable stream
+ */
+function bufferStream(buffer) {
+    var content = new stream.PassThrough();
+
+    content.end(buffer);
+    return content;
+}
+
+/**
+ * Opens an archive held in memory for reading
+ * @param  {Buffer} buffer    Content of the archive
+ * @return {Object}           A promise that resolves with a reader, see `open()`
+ */
+function openBuffer(buffer) {
+    return Promise.resolve({
+        size: buffer.length,
+        read: function(position, length) {
+            return Promise.resolve(buffer.slice(position, position + length));
+        },
+        stream: function(start, end) {
+            return bufferStream(buffer.slice(start, end));
+        },
+        close: function() {
+            return Promise.resolve();
+        }
+    });
+}
+
+/**
+ * Opens an archive file for reading
+ * @param  {String} file    File name
+ * @return {Object}         A promise that resolves with a reader, see `open()`
+ */
+function openFile(file) {
+    return fs.openAsync(file, 'r')
+        .then(function(fd) {
+            return fs.fstatAsync(fd)
+                .then(function(stats) {
+                    return {
+                        size: stats.size,
+                        read: function(position, length) {
+                            var buffer = Buffer.alloc(Math.max(0, Math.min(length, stats.size - position)));
+
+                            return fs.readAsync(fd, buffer, 0, buffer.length, position)
+                                .then(function(bytesRead) {
+                                    return buffer.slice(0, bytesRead);
+                                });
+                        },
+                        stream: function(start, end) {
+                            return end > start ? fs.createReadStream(file, { start: start, end: end - 1 }) :
+                                bufferStream(Buffer.alloc(0));
+                        },
+                        close: function() {
+                            return fs.closeAsync(fd);
+                        }
+                    };
+                }, function(err) {
+                    return fs.closeAsync(fd).then(function() {
+                        return Promise.reject(err);
+                    });
+                });
+        });
+}
+
+/**
+ * Opens an archive for reading, without loading a file into memory
+ * @param  {Buffer|String} source    Content of the archive or file name
+ * @return {Object}                  A promise that resolves with a reader:
+ *                                   its `size`, `read(position, length)`
+ *                                   resolving with a buffer,
+ *                                   `stream(start, end)` returning a
+ *                                   readable stream and `close()`
+ */
+function open(source) {
+    return Buffer.isBuffer(source) ? openBuffer(source) : openFile(source);
+}
+
+/**
+ * Pipes streams into each other and passes the chunks coming out of the last
+ * one to a function, until it returns true. The streams are then destroyed,
+ * so nothing more is read or decompressed.
+ * @param  {Array} streams       Readable stream followed by transform streams
+ * @param  {Function} write      Called with each chunk, returns true to stop,
+ *                               or a promise for it, in which case the next
+ *                               chunk waits for the promise. An error it
+ *                               throws or rejects with rejects the promise.
+ * @return {Object}              A promise that resolves once all chunks were
+ *                               written or writing stopped
+ */
+function consume(streams, write) {
+    return new Promise(function(resolve, reject) {
+        var sink = new stream.Writable();
+        var stopped = false;
+
+        sink._write = function(chunk, encoding, done) {
+            Promise.try(function() {
+                    return write(chunk);
+                })
+                .then(function(stop) {
+                    done();
+
+                    if (stop) {
+                        stopped = true;
+                        resolve();
+                        sink.destroy();
+                    }
+                }, done);
+        };
+
+        stream.pipeline.apply(stream, streams.concat(sink, function(err) {
+            if (stopped) {
+                return;
+            }
+
+            return err ? reject(err) : resolve();
+        }));
+    });
+}
+
+/**
+ * Reads streams piped into each other into a buffer, up to a limit
+ * @param  {Array} streams    Readable stream followed by transform streams
+ * @param  {Number} limit     Largest number of bytes to keep, 0 to keep all
+ * @return {Object}           A promise that resolves with `{ data, size }`,
+ *                            `size` being more than `limit` if reading stopped
+ *                            at the limit
+ */
+function collect(streams, limit) {
+    var chunks = [];
+    var size = 0;
+
+    return consume(streams, function(chunk) {
+            chunks.push(limit ? chunk.slice(0, Math.max(0, limit - size)) : chunk);
+            size += chunk.length;
+
+            return limit > 0 && size > limit;
+        })
+        .then(function() {
+            return { data: Buffer.concat(chunks), size: size };
+        });
+}
+
+/**
+ * Lists the entries of the central directory of a zip archive
+ * @param  {Object} reader    Reader of the archive from `open()`
+ * @return {Object}           A promise that resolves with a list of
+ *                            `{ name, method, encrypted, compressedSize, size,
+ *                            local }` objects
+ */
+function zipDirectory(reader) {
+    var tailLength = Math.min(reader.size, 22 + 0xffff);
+
+    return reader.read(reader.size - tailLength, tailLength)
+        .then(function(tail) {
+            var end = zipEnd(tail);
+            var count;
+            var offset;
+
+            if (end === -1) {
+                throw new Error('Invalid zip archive');
+            }
+
+            count = tail.readUInt16LE(end + 10);
+            offset = tail.readUInt32LE(end + 16);
+
+            if (count === 0xffff || offset === 0xffffffff) {
+                throw new Error('ZIP64 archives are not supported');
+            }
+
+            return reader.read(offset, tail.readUInt32LE(end + 12))
+                .then(function(buffer) {
+                    var entries = [];
+                    var flags;
+                    var nameLength;
+                    var i;
+
+                    offset = 0;
+
+                    for (i = 0; i < count; i++) {
+                        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL) {
+                            throw new Error('Invalid zip archive');
+                        }
+
+                        flags = buffer.readUInt16LE(offset + 8);
+                        nameLength = buffer.readUInt16LE(offset + 28);
+                        entries.push({
+                            name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+                            method: buffer.readUInt16LE(offset + 10),
+                            encrypted: (flags & 1) === 1,
+                            compressedSize: buffer.readUInt32LE(offset + 20),
+                            size: buffer.readUInt32LE(offset + 24),
+                            local: buffer.readUInt32LE(offset + 42)
+                        });
+                        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) +
+                            buffer.readUInt16LE(offset + 32);
+                    }
+
+                    return entries;
+                });
+        });
+}
+
+/**
+ * Decompresses the stored and deflated files of a zip archive one at a time.
+ * Directories are left out.
+ * @param  {Object} reader        Reader of the archive from `open()`
+ * @param  {Number} limit         Largest number of bytes to decompress of each
+ *                                entry, 0 to decompress all of it
+ * @param  {Function} iterator    Called with each `{ name, data, size }`
+ *                                object, see `extract()`
+ * @return {Object}               A promise that rejects if the archive is
+ *                                invalid, encrypted, ZIP64 or uses another
+ *                                compression method
+ */
+function zip(reader, limit, iterator) {
+    return zipDirectory(reader)
+        .then(function(entries) {
+            return entries.filter(function(entry) {
+                return entry.name.slice(-1) !== '/';
+            });
+        })
+        .then(function(entries) {
+            entries.forEach(function(entry) {
+                if (entry.encrypted) {
+                    throw new Error('Encrypted zip entries are not supported: ' + entry.name);
+                }
+
+                if (entry.method !== ZIP_STORED && entry.method !== ZIP_DEFLATED) {
+                    throw new Error('Unsupported compression method ' + entry.method +
+                        ' of zip entry: ' + entry.name);
+                }
+            });
+
+            return Promise.mapSeries(entries, function(entry) {
+                return reader.read(entry.local, 30)
+                    .then(function(header) {
+                        var start;
+                        var streams;
+
+                        if (header.length < 30 || header.readUInt32LE(0) !== ZIP_LOCAL) {
+                            throw new Error('Invalid zip archive');
+                        }
+
+                        start = entry.local + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+                        streams = [reader.stream(start, Math.min(start + entry.compressedSize, reader.size))];
+
+                        if (entry.method === ZIP_DEFLATED) {
+                            streams.push(zlib.createInflateRaw());
+                        }
+
+                        return collect(streams, limit);
+                    })
+                    .then(function(content) {
+                        // An entry cut off at the limit is as large as its
+                        // central directory record says, or larger
+                        return iterator({
+                            name: entry.name,
+                            data: content.data,
+                            size: limit && content.size > limit ? Math.max(content.size, entry.size) : content.size
+                        });
+                    });
+            });
+        });
+}
+
+/**
+ * Reads the files of a tar archive from streams one at a time. The archive
+ * is read no further until `iterator` is done with the files read so far.
+ * @param  {Array} streams        Readable stream followed by transform streams
+ * @param  {Number} limit         Largest number of bytes to keep of each
+ *                                entry, 0 to keep all of it
+ * @param  {Function} iterator    Called with each `{ name, data, size }`
+ *                                object, see `extract()`
+ * @return {Object}               A promise
+ */
+function readTar(streams, limit, iterator) {
+    var reader = new TarReader(limit);
+
+    function next() {
+        return Promise.mapSeries(reader.entries.splice(0), iterator);
+    }
+
+    return consume(streams, function(chunk) {
+            reader.write(chunk);
+
+            return next().then(function() {
+                return false;
+            });
+        })
+        .then(function() {
+            reader.end();
+
+            return next();
+        });
+}
+
+/**
+ * Decompresses an archive and passes the files it contains to a function one
+ * at a time. A gzip file that is not a tar archive is a single file without
+ * a name. The archive is decompressed as a stream and the next file only
+ * once the function is done with the last one, so no more than `limit`
+ * bytes of a file are held in memory at a time, however much it expands.
+ * @param  {Buffer|String} source    Content of the archive or file name
+ * @param  {String} kind             Archive type from `type()`
+ * @param  {Object} opts             Optional. `limit`, the largest number of
+ *                                   bytes to keep of each file, default
+ *                                   `MAX_ENTRY_SIZE`, 0 to keep all of it
+ * @param  {Function} iterator       Optional. Called with each
+ *                                   `{ name, data, size }` object, `size`
+ *                                   being more than `limit` if the file was
+ *                                   cut off at the limit. May return a promise
+ *                                   the next file waits for.
+ * @return {Object}                  A promise that resolves once every file
+ *                                   was passed to `iterator`, or with a list
+ *                                   of the files if there is none
+ */
+function extract(source, kind, opts, iterator) {
+    var limit = opts && opts.limit !== undefined ? opts.limit : MAX_ENTRY_SIZE;
+    var list = iterator ? null : [];
+
+    iterator = iterator || function(entry) {
+        list.push(entry);
+    };
+
+    return open(source)
+        .then(function(reader) {
+            var done;
+
+            if (kind === 'zip') {
+                done = zip(reader, limit, iterator);
+            } else if (kind === 'tar') {
+                done = readTar([reader.stream(0, reader.size)], limit, iterator);
+            } else if (kind === 'tgz') {
+                done = readTar([reader.stream(0, reader.size), zlib.createGunzip()], limit, iterator);
+            } else {
+                done = collect([reader.stream(0, reader.size), zlib.createGunzip()], limit)
+                    .then(function(content) {
+                        return iterator({ name: '', data: content.data, size: content.size });
+                    });
+            }
+
+            return done.finally(function() {
+                return reader.close();
+            });
+        })
+        .then(function() {
+            return list;
+        });
+}
+
+module.exports = {
+    SEPARATOR: SEPARATOR,
+    MAX_ENTRY_SIZE: MAX_ENTRY_SIZE,
+    type: type,
+    tar: tar,
+    extract: extract
+};
@@ -0,0 +1,202 @@
+'use strict';
+
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var crypto = require('crypto');
+var path = require('path');
+var mkdirp = Promise.promisify(require('mkdirp'));
+var rimraf = Promise.promisify(require('rimraf'));
+var archives = require('./archives');
+var version = require('./../package.json').version;
+
+/**
+ * Directory the cache is kept in unless another one is given
+ * @type {String}
+ */
+var DEFAULT_DIR = '.keyword-count-cache';
+
+/**
+ * Hash algorithm of cache keys
+ * @type {String}
+ */
+var ALGORITHM = 'sha256';
+
+/**
+ * Counter that keeps the names of temporary files unique within the process
+ * @type {Number}
+ */
+var tempFiles = 0;
+
+
+/**
+ * Hashes a string
+ * @param  {String} data    String to hash
+ * @return {String}         Hex digest
+ */
+function hash(data) {
+    return crypto.createHash(ALGORITHM).update(data).digest('hex');
+}
+
+/**
+ * Serializes a value as JSON with functions, like custom stemmers and
+ * extractors, replaced by their source, so changing them changes the hash
+ * @param  {*} value    Value
+ * @return {String}     JSON
+ */
+function serialize(value) {
+    return JSON.stringify(value === undefined ? null : value, function(key, item) {
+        return typeof item === 'function' ? String(item) : item;
+    });
+}
+
+/**
+ * Hashes the content of a file
+ * @param  {String} file      File name
+ * @param  {Number} length    Optional. Number of bytes to hash from the start
+ *                            of the file, all of them if unset
+ * @return {Object}           A promise that resolves with the hex digest
+ */
+function hashFile(file, length) {
+    return new Promise(function(resolve, reject) {
+        var digest = crypto.createHash(ALGORITHM);
+
+        fs.createReadStream(file, length > 0 ? { start: 0, end: length - 1 } : undefined)
+            .on('error', reject)
+            .on('data', function(chunk) {
+                digest.update(chunk);
+            })
+            .on('end', function() {
+                resolve(digest.digest('hex'));
+            });
+    });
+}
+
+/**
+ * Removes a cache directory and everything in it
+ * @param  {String} dir    Optional. Cache directory, default `.keyword-count-cache`
+ * @return {Object}        A promise
+ */
+function clear(dir) {
+    return rimraf(dir || DEFAULT_DIR, { glob: false });
+}
+
+/**
+ * An on-disk cache of the results of files. Results are stored under a key
+ * made of the hash of a file's content and type, of the keyword list and of
+ * the options they were counted with, so a file is only searched again when
+ * one of them changes. Every key is a JSON file in a subdirectory named after
+ * its first two characters.
+ * @param {Object} opts    `dir`, the cache directory, default
+ *                         `.keyword-count-cache`, `keywords`, the normalized
+ *                         keyword list, and `options` that change results
+ */
+function Cache(opts) {
+    opts = opts || {};
+
+    this.dir = opts.dir || DEFAULT_DIR;
+    this.keywordsHash = hash(serialize(opts.keywords || []));
+    this.optionsHash = hash(serialize({ version: version, options: opts.options || {} }));
+}
+
+/**
+ * Creates the cache directory if it doesn't exist
+ * @return {Object}    A promise that rejects if the directory can't be created
+ */
+Cache.prototype.open = function() {
+    return mkdirp(this.dir);
+};
+
+/**
+ * Gets the key of a file's results. Files with the same content but another
+ * extension or archive type, which pick another extractor, segmenter or
+ * archive reader, get other keys.
+ * @param  {String} file      File name
+ * @param  {Number} length    Optional. Number of bytes of the file that are
+ *                            read, so only they are hashed
+ * @return {Object}           A promise that resolves with the key, or rejects
+ *                            if the file can't be read
+ */
+Cache.prototype.key = function(file, length) {
+    var self = this;
+    var fileType = serialize([path.extname(file).toLowerCase(), archives.type(file)]);
+
+    return hashFile(file, length)
+        .then(function(contentHash) {
+            return hash([contentHash, fileType, self.keywordsHash, self.optionsHash].join('\n'));
+        });
+};
+
+/**
+ * Gets the file a key is stored in
+ * @param  {String} key    Key from `key()`
+ * @return {String}        File name
+ */
+Cache.prototype.path = function(key) {
+    return path.join(this.dir, key.slice(0, 2), key.slice(2) + '.json');
+};
+
+/**
+ * Reads the value stored under a key
+ * @param  {String} key    Key from `key()`
+ * @return {Object}        A promise that resolves with the value, or null if
+ *                         there is none or it can't be read
+ */
+Cache.prototype.get = function(key) {
+    return fs.readFileAsync(this.path(key), 'utf8')
+        .then(JSON.parse)
+        .catch(function() {
+            return null;
+        });
+};
+
+/**
+ * Stores a value under a key. The value is written to a temporary file that
+ * is then renamed, so runs sharing the cache never read a partial value.
+ * @param  {String} key      Key from `key()`
+ * @param  {Object} value    JSON serializable value
+ * @return {Object}          A promise
+ */
+Cache.prototype.set = function(key, value) {
+    var file = this.path(key);
+    var temp = file + '.' + process.pid + '.' + (tempFiles++) + '.tmp';
+
+    return mkdirp(path.dirname(file))
+        .then(function() {
+            return fs.writeFileAsync(temp, JSON.stringify(value));
+        })
+        .then(function() {
+            return fs.renameAsync(temp, file);
+        })
+        .catch(function(err) {
+            return fs.unlinkAsync(temp)
+                .catch(function() {})
+                .then(function() {
+                    return Promise.reject(err);
+                });
+        });
+};
+
+/**
+ * Removes the cache directory and everything in it
+ * @return {Object}    A promise
+ */
+Cache.prototype.clear = function() {
+    return clear(this.dir);
+};
+
+/**
+ * Checks whether a file is inside the cache directory
+ * @param  {String} file    File name
+ * @return {Boolean}        True if the file belongs to the cache
+ */
+Cache.prototype.contains = function(file) {
+    var relative = path.relative(path.resolve(this.dir), path.resolve(file));
+
+    return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+};
+
+module.exports = {
+    DEFAULT_DIR: DEFAULT_DIR,
+    Cache: Cache,
+    clear: clear
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var path = require('path');
+var results = require('./results');
+var formatters = require('./formatters');
+var maps = require('./maps');
+
+/**
+ * Number of decimal places percentage changes are rounded to
+ * @type {Number}
+ */
+var PRECISION = 4;
+
+/**
+ * Extensions of files read as ndjson without trying JSON first
+ * @type {Array}
+ */
+var NDJSON_EXTENSIONS = ['.ndjson', '.jsonl'];
+
+
+/**
+ * Rounds a number to `PRECISION` decimal places
+ * @param  {Number} value    Number
+ * @return {Number}          Rounded number
+ */
+function round(value) {
+    var factor = Math.pow(10, PRECISION);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Compares two counts of a keyword
+ * @param  {Number} baseline    Count in the baseline run
+ * @param  {Number} current     Count in the current run
+ * @return {Object}             Object with the `baseline` and `current` counts,
+ *                              their `delta` and its `change` in percent of the
+ *                              baseline, or null if the baseline is 0
+ */
+function drift(baseline, current) {
+    return {
+        baseline: baseline,
+        current: current,
+        delta: current - baseline,
+        change: baseline ? round((current - baseline) / baseline * 100) : null
+    };
+}
+
+/**
+ * Compares the keyword counts of two maps. Keywords missing from one of them
+ * count as 0.
+ * @param  {Object} baseline    Map of keyword counts, or null
+ * @param  {Object} current     Map of keyword counts, or null
+ * @return {Object}             Map of keywords to their drift
+ */
+function compareCounts(baseline, current) {
+    var keywords = {};
+
+    baseline = baseline || {};
+    current = current || {};
+
+    Object.keys(baseline).concat(Object.keys(current)).forEach(function(keyword) {
+        if (results.isMetaKey(keyword) || maps.has(keywords, keyword)) {
+            return;
+        }
+
+        keywords[keyword] = drift(maps.own(baseline, keyword, 0), maps.own(current, keyword, 0));
+    });
+
+    return keywords;
+}
+
+/**
+ * Compares the results of two analysis runs, i.e. the output of the same
+ * docs before and after a release. Results grouped by directory and with
+ * rollups are flattened first.
+ * @param  {Object} baseline    Results object of the earlier run
+ * @param  {Object} current     Results object of the later run
+ * @return {Object}             Comparison with the drift of each keyword in
+ *                              each of the `files` and its `status` (`added`,
+ *                              `removed`, `changed` or `unchanged`), lists of
+ *                              `added` and `removed` files and the drift of the
+ *                              `total` count of each keyword
+ */
+function compare(baseline, current) {
+    var before = results.flatten(baseline || {});
+    var after = results.flatten(current || {});
+    var comparison = { files: {}, added: [], removed: [], total: {} };
+    var keys = Object.keys(before).concat(Object.keys(after).filter(function(key) {
+        return !maps.has(before, key);
+    })).sort();
+
+    keys.forEach(function(key) {
+        var keywords = compareCounts(maps.own(before, key, null), maps.own(after, key, null));
+        var status;
+
+        if (!maps.has(before, key)) {
+            status = 'added';
+            comparison.added.push(key);
+        } else if (!maps.has(after, key)) {
+            status = 'removed';
+            comparison.removed.push(key);
+        } else {
+            status = Object.keys(keywords).some(function(keyword) {
+                return keywords[keyword].delta !== 0;
+            }) ? 'changed' : 'unchanged';
+        }
+
+        comparison.files[key] = { status: status, keywords: keywords };
+    });
+
+    comparison.total = compareCounts(
+        keys.reduce(function(total, key) {
+            return maps.has(before, key) ? results.addCounts(total, before[key]) : total;
+        }, {}),
+        keys.reduce(function(total, key) {
+            return maps.has(after, key) ? results.addCounts(total, after[key]) : total;
+        }, {})
+    );
+
+    return comparison;
+}
+
+/**
+ * Formats a comparison in one of the analyzer's output formats
+ * @param  {Object} comparison      Comparison from `compare()`
+ * @param  {String} outputFormat    Optional. Output format, default "json"
+ * @return {String}                 Formatted comparison
+ * @throws {Error}                  If the format is not supported
+ */
+function format(comparison, outputFormat) {
+    outputFormat = outputFormat || 'json';
+
+    if (!formatters.EXTENSIONS.hasOwnProperty(outputFormat)) {
+        throw new Error('Unknown format: ' + outputFormat);
+    }
+
+    return formatters.comparison(outputFormat, comparison);
+}
+
+/**
+ * Checks whether a parsed value is an `ndjson` record rather than a results
+ * object, whose entries are never strings
+ * @param  {*} value    Parsed JSON
+ * @return {Boolean}    True for `{ type, path, counts }` records
+ */
+function isRecord(value) {
+    return !!value && typeof value.type === 'string' && !!value.counts && typeof value.counts === 'object';
+}
+
+/**
+ * Builds a results object from the file records of `ndjson` output
+ * @param  {String} data    ndjson
+ * @return {Object}         Results object
+ */
+function fromNdjson(data) {
+    return data.split(/\r?\n/).filter(Boolean).reduce(function(report, line) {
+        var record = JSON.parse(line);
+
+        if (record.type === 'file') {
+            report[record.path] = record.counts;
+        }
+
+        return report;
+    }, {});
+}
+
+/**
+ * Reads the results of an analysis run from a `json` or `ndjson` output file.
+ * Files with an `.ndjson` or `.jsonl` extension, and files that hold a single
+ * `ndjson` record, like the output of a single file, are read as `ndjson`.
+ * @param  {String} file    Output file
+ * @return {Object}         A promise that resolves with the results object
+ */
+function read(file) {
+    return fs.readFileAsync(file, 'utf8')
+        .then(function(data) {
+            var report;
+
+            if (NDJSON_EXTENSIONS.indexOf(path.extname(file).toLowerCase()) !== -1) {
+                return fromNdjson(data);
+            }
+
+            try {
+                report = JSON.parse(data);
+            } catch (err) {
+                return fromNdjson(data);
+            }
+
+            return isRecord(report) ? fromNdjson(data) : report;
+        });
+}
+
+module.exports = {
+    compare: compare,
+    format: format,
+    read: read
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var path = require('path');
+var yaml = require('js-yaml');
+
+/**
+ * Names of configuration files, in the order they are looked for in each
+ * directory. `.keywordcountrc` holds JSON or YAML and `keyword-count.config.js`
+ * exports the options.
+ * @type {Array}
+ */
+var FILE_NAMES = ['.keywordcountrc', 'keyword-count.config.js'];
+
+/**
+ * Options that hold a path. Relative paths in a configuration file are
+ * relative to the file's directory.
+ * @type {Array}
+ */
+var PATH_OPTIONS = ['target', 'keywordsList', 'keywordFiles', 'outputPath', 'keywordsOutputPath', 'cacheDir'];
+
+/**
+ * Path that stands for stdin or stdout.
+ * @type {String}
+ */
+var STDIO_PATH = '-';
+
+
+/**
+ * Finds the nearest configuration file in a directory or its ancestors
+ * @param  {String} dir    Directory to start from
+ * @return {Object}        A promise that resolves with the path of the
+ *                         configuration file, or null if there is none
+ */
+function find(dir) {
+    var candidates = FILE_NAMES.map(function(name) {
+        return path.join(dir, name);
+    });
+
+    return Promise.reduce(candidates, function(found, candidate) {
+            if (found) {
+                return found;
+            }
+
+            return fs.statAsync(candidate)
+                .then(function(stats) {
+                    return stats.isFile() ? candidate : null;
+                })
+                .catch(function() {
+                    return null;
+                });
+        }, null)
+        .then(function(found) {
+            var parent = path.dirname(dir);
+
+            if (found || parent === dir) {
+                return found;
+            }
+
+            return find(parent);
+        });
+}
+
+/**
+ * Resolves a path option against a directory, leaving `-` and keyword arrays
+ * as they are
+ * @param  {*} value       Option value
+ * @param  {String} dir    Directory
+ * @return {*}             Resolved value
+ */
+function resolvePath(value, dir) {
+    if (typeof value !== 'string' || value === STDIO_PATH) {
+        return value;
+    }
+
+    return path.resolve(dir, value);
+}
+
+/**
+ * Reads the options of a configuration file. Paths are resolved relative to
+ * the file's directory.
+ * @param  {String} file    Configuration file
+ * @return {Object}         A promise that resolves with the options
+ */
+function load(file) {
+    var dir = path.dirname(path.resolve(file));
+
+    return Promise.try(function() {
+            if (path.extname(file) === '.js') {
+                return require(path.resolve(file));
+            }
+
+            return fs.readFileAsync(file, 'utf8')
+                .then(function(content) {
+                    return yaml.load(content) || {};
+                });
+        })
+        .then(function(options) {
+            var config;
+
+            if (!options || typeof options !== 'object' || Array.isArray(options)) {
+                return Promise.reject(new Error('Configuration must be an object: ' + file));
+            }
+
+            config = Object.assign({}, options);
+
+            PATH_OPTIONS.forEach(function(name) {
+                if (config[name] === undefined) {
+                    return;
+                }
+
+                config[name] = name === 'keywordFiles' ?
+                    [].concat(config[name]).map(function(value) {
+                        return resolvePath(value, dir);
+                    }) :
+                    resolvePath(config[name], dir);
+            });
+
+            return config;
+        });
+}
+
+/**
+ * Loads the nearest configuration file found from a directory upward
+ * @param  {String} dir    Optional. Directory to start from, defaults to the
+ *                         working directory
+ * @return {Object}        A promise that resolves with the options, or an
+ *                         empty object if there is no configuration file
+ */
+function loadNearest(dir) {
+    return find(path.resolve(dir || process.cwd()))
+        .then(function(file) {
+            return file ? load(file) : {};
+        });
+}
+
+module.exports = {
+    FILE_NAMES: FILE_NAMES,
+    find: find,
+    load: load,
+    loadNearest: loadNearest
+};
@@ -0,0 +1,227 @@
+'use strict';
+
+var WORD = require('./statistics').WORD;
+var STOP_WORDS = require('./stopwords');
+var folding = require('./folding');
+var maps = require('./maps');
+
+/**
+ * Names of the lists of n-grams in a discovery report by n-gram length
+ * @type {Array}
+ */
+var NGRAM_NAMES = ['unigrams', 'bigrams', 'trigrams'];
+
+/**
+ * Default language of the built-in stop word list
+ * @type {String}
+ */
+var DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Default maximum length of n-grams
+ * @type {Number}
+ */
+var DEFAULT_NGRAMS = 3;
+
+
+/**
+ * Normalizes a word for a stop word lookup
+ * @param  {String} word    Word
+ * @return {String}         Lower case word with straight apostrophes
+ */
+function stopWordKey(word) {
+    return word.toLowerCase().replace(/’/g, '\'');
+}
+
+/**
+ * Splits text into runs of words that are separated only by white space.
+ * N-grams never span punctuation, so "late. The" yields no bigram.
+ * @param  {String} text    Text
+ * @return {Array}          List of arrays of words
+ */
+function runs(text) {
+    var pattern = new RegExp(WORD.source, 'gu');
+    var list = [];
+    var run = [];
+    var end = 0;
+    var match;
+
+    while ((match = pattern.exec(text))) {
+        if (run.length && !/^\s+$/.test(text.slice(end, match.index))) {
+            list.push(run);
+            run = [];
+        }
+
+        run.push(match[0]);
+        end = match.index + match[0].length;
+    }
+
+    if (run.length) {
+        list.push(run);
+    }
+
+    return list;
+}
+
+/**
+ * Counts the most frequent words and phrases of one or more texts, skipping
+ * stop words and numbers. Bigrams and trigrams may contain stop words but not
+ * start or end with one, so "Queen of Hearts" is counted and "of the" is not.
+ * @param {Object} opts    Optional. `ngrams`, the maximum n-gram length from
+ *                         1 to 3, default 3. `language` of the built-in stop
+ *                         word list, default "en". `stopWords`, a list that
+ *                         replaces the built-in one. `ignoreCase`, whether
+ *                         terms that differ in case are counted together
+ *                         under their most frequent form, and `locale`,
+ *                         `normalize` and `ignoreDiacritics` to count terms
+ *                         together that fold alike, see `folding.createFolder()`.
+ * @throws {Error}         If `ngrams` is out of range or `language` has no
+ *                         built-in stop word list
+ */
+function Discovery(opts) {
+    var stopWords;
+
+    opts = opts ? opts : {};
+
+    this.ngrams = opts.ngrams !== undefined ? opts.ngrams : DEFAULT_NGRAMS;
+    this.language = opts.language || DEFAULT_LANGUAGE;
+    this.ignoreCase = opts.ignoreCase || false;
+    this.fold = folding.createFolder({
+        ignoreCase: this.ignoreCase,
+        locale: opts.locale,
+        normalize: opts.normalize,
+        ignoreDiacritics: opts.ignoreDiacritics
+    });
+
+    if ([1, 2, 3].indexOf(this.ngrams) === -1) {
+        throw new Error('ngrams must be 1, 2 or 3: ' + this.ngrams);
+    }
+
+    if (!opts.stopWords && !STOP_WORDS.hasOwnProperty(this.language)) {
+        throw new Error('No stop words for language: ' + this.language);
+    }
+
+    stopWords = opts.stopWords || STOP_WORDS[this.language];
+
+    this.stopWords = maps.create();
+    stopWords.forEach(function(word) {
+        this.stopWords[stopWordKey(word)] = true;
+    }, this);
+
+    this.terms = maps.create();
+}
+
+/**
+ * Checks whether a word may start or end an n-gram
+ * @param  {String} word    Word
+ * @return {Boolean}        False for stop words and numbers
+ */
+Discovery.prototype.isTermEdge = function(word) {
+    return !this.stopWords[stopWordKey(word)] && !/^[\p{N}]+$/u.test(word);
+};
+
+/**
+ * Counts the n-grams of a text
+ * @param  {String} text    Text
+ */
+Discovery.prototype.add = function(text) {
+    var self = this;
+
+    runs(text).forEach(function(words) {
+        var edges = words.map(function(word) {
+            return self.isTermEdge(word);
+        });
+
+        words.forEach(function(word, start) {
+            var length;
+            var end;
+            var term;
+
+            if (!edges[start]) {
+                return;
+            }
+
+            for (length = 1; length <= self.ngrams && start + length <= words.length; length++) {
+                end = start + length - 1;
+
+                if (edges[end]) {
+                    term = words.slice(start, end + 1).join(' ');
+                    self.count(term, length);
+                }
+            }
+        });
+    });
+};
+
+/**
+ * Counts one occurrence of a term
+ * @param  {String} term      Term
+ * @param  {Number} length    Number of words in the term
+ */
+Discovery.prototype.count = function(term, length) {
+    var key = this.fold(term);
+    var entry = this.terms[key];
+
+    if (!entry) {
+        entry = this.terms[key] = { length: length, count: 0, forms: maps.create() };
+    }
+
+    entry.count++;
+    entry.forms[term] = (entry.forms[term] || 0) + 1;
+};
+
+/**
+ * Gets the most frequent terms of each n-gram length, sorted by count and
+ * then alphabetically, i.e.
+ * `{ unigrams: [{ term: 'Rabbit', count: 3 }], bigrams: [], trigrams: [] }`
+ * @param  {Number} limit    Maximum number of terms of each length
+ * @return {Object}          Discovery report
+ */
+Discovery.prototype.top = function(limit) {
+    var self = this;
+    var report = {};
+
+    NGRAM_NAMES.slice(0, self.ngrams).forEach(function(name, index) {
+        report[name] = Object.keys(self.terms)
+            .filter(function(key) {
+                return self.terms[key].length === index + 1;
+            })
+            .map(function(key) {
+                var forms = self.terms[key].forms;
+                var term = Object.keys(forms).sort().reduce(function(best, form) {
+                    return forms[form] > forms[best] ? form : best;
+                });
+
+                return { term: term, count: self.terms[key].count };
+            })
+            .sort(function(a, b) {
+                if (a.count !== b.count) {
+                    return b.count - a.count;
+                }
+
+                return a.term < b.term ? -1 : a.term > b.term ? 1 : 0;
+            })
+            .slice(0, limit);
+    });
+
+    return report;
+};
+
+/**
+ * Turns a discovery report into a keyword list that `getKeywords()` accepts.
+ * Single words are matched as words and longer terms as phrases.
+ * @param  {Object} report    Discovery report from `top()`
+ * @return {Array}            List of keywords
+ */
+function toKeywords(report) {
+    return NGRAM_NAMES.reduce(function(list, name) {
+        return list.concat((report[name] || []).map(function(entry) {
+            return { term: entry.term, mode: name === 'unigrams' ? 'word' : 'phrase' };
+        }));
+    }, []);
+}
+
+Discovery.NGRAM_NAMES = NGRAM_NAMES;
+Discovery.toKeywords = toKeywords;
+
+module.exports = Discovery;
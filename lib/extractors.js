@@ -0,0 +1,416 @@
+'use strict';
+
+var path = require('path');
+
+
+/**
+ * Named HTML entities that are decoded. Other named entities are left as is.
+ * @type {Object}
+ */
+var ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' ',
+    ndash: '–',
+    mdash: '—',
+    lsquo: '‘',
+    rsquo: '’',
+    ldquo: '“',
+    rdquo: '”',
+    hellip: '…'
+};
+
+/**
+ * HTML elements whose tags break words, i.e. `<p>` or `<br>`. Other tags are
+ * removed without a break, so `Wonder<em>land</em>` is one word.
+ * @type {Array}
+ */
+var BLOCK_TAGS = [
+    'address', 'article', 'aside', 'blockquote', 'body', 'br', 'caption', 'dd', 'details', 'dialog',
+    'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4',
+    'h5', 'h6', 'head', 'header', 'hgroup', 'hr', 'html', 'li', 'main', 'nav', 'ol', 'option', 'p',
+    'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'title', 'tr', 'ul'
+];
+
+/**
+ * Comments of an HTML document
+ * @type {RegExp}
+ */
+var HTML_COMMENT = /<!--[\s\S]*?-->/g;
+
+/**
+ * `script`, `style` and `template` elements of an HTML document, whose
+ * content is not visible
+ * @type {RegExp}
+ */
+var HTML_HIDDEN = /<(script|style|template)\b[\s\S]*?<\/\1\s*>/gi;
+
+/**
+ * Markup of an HTML document: comments, hidden elements, tags with their
+ * name, declarations and entities with their name
+ * @type {RegExp}
+ */
+var HTML_MARKUP = new RegExp([
+    HTML_COMMENT.source,
+    HTML_HIDDEN.source,
+    /<\/?([a-z][a-z0-9-]*)[^>]*>/.source,
+    /<[/!?][^>]*>/.source,
+    /&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/.source
+].join('|'), 'gi');
+
+/**
+ * Registered extractors by lower case file extension
+ * @type {Object}
+ */
+var registry = {};
+
+
+/**
+ * Replaces every character of text except line breaks with a space, so text
+ * can be removed without changing the line and column of what follows
+ * @param  {String} text    Text to blank out
+ * @return {String}         Blanked text of the same length
+ */
+function blank(text) {
+    return text.replace(/[^\r\n]/g, ' ');
+}
+
+/**
+ * Pads replacement text with spaces to the length of the text it replaces
+ * @param  {String} replacement    Replacement text
+ * @param  {String} original       Replaced text
+ * @return {String}                Padded replacement
+ */
+function pad(replacement, original) {
+    return replacement + blank(original.slice(replacement.length));
+}
+
+/**
+ * Finds the last item of a sorted list that is at or before a value
+ * @param  {Array} list       Sorted list
+ * @param  {Number} value     Value
+ * @param  {Function} get     Gets the value of an item
+ * @return {Number}           Index of the item, or -1 if there is none
+ */
+function floor(list, value, get) {
+    var low = 0;
+    var high = list.length - 1;
+    var middle;
+
+    if (!list.length || get(list[0]) > value) {
+        return -1;
+    }
+
+    while (low < high) {
+        middle = Math.ceil((low + high) / 2);
+
+        if (get(list[middle]) <= value) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    return low;
+}
+
+/**
+ * Builds the text extracted from a document piece by piece, from the start
+ * of the document to its end, along with the offsets of its pieces in it
+ * @param {String} source    Document
+ */
+function Extraction(source) {
+    this.source = source;
+    this.text = '';
+    this.offsets = [];
+    this.end = 0;
+}
+
+/**
+ * Adds text that comes from an offset of the document
+ * @param  {String} text            Text
+ * @param  {Number} sourceOffset    Offset of the text in the document
+ */
+Extraction.prototype.add = function(text, sourceOffset) {
+    var last = this.offsets[this.offsets.length - 1];
+
+    if (!text) {
+        return;
+    }
+
+    // A piece only starts where the text stops following the document
+    if (!last || last[1] + this.text.length - last[0] !== sourceOffset) {
+        this.offsets.push([this.text.length, sourceOffset]);
+    }
+
+    this.text += text;
+};
+
+/**
+ * Keeps the document as it is up to an offset
+ * @param  {Number} end    Offset in the document
+ */
+Extraction.prototype.keep = function(end) {
+    this.add(this.source.slice(this.end, end), this.end);
+    this.end = end;
+};
+
+/**
+ * Replaces the document up to an offset
+ * @param  {Number} end            Offset in the document
+ * @param  {String} replacement    Replacement text
+ */
+Extraction.prototype.replace = function(end, replacement) {
+    this.add(replacement, this.end);
+    this.end = end;
+};
+
+/**
+ * Removes the document up to an offset except its line breaks, so text is
+ * extracted from the same line it is on in the document
+ * @param  {Number} end    Offset in the document
+ */
+Extraction.prototype.remove = function(end) {
+    var pattern = /\r\n?|\n/g;
+    var removed = this.source.slice(this.end, end);
+    var match;
+
+    while ((match = pattern.exec(removed))) {
+        this.add(match[0], this.end + match.index);
+    }
+
+    this.end = end;
+};
+
+/**
+ * Keeps the rest of the document and gets the extracted text
+ * @return {Object}    `text` and its `offsets`, see `SourceMap`
+ */
+Extraction.prototype.result = function() {
+    this.keep(this.source.length);
+
+    return { text: this.text, offsets: this.offsets };
+};
+
+/**
+ * Maps offsets in text extracted from a document back to the document.
+ * Extractors that remove text return its `offsets`: a list of
+ * `[offset, sourceOffset]` pairs, sorted by offset, that each start a piece of
+ * the text and give the offset in the document the piece comes from.
+ * @param {String} source     Document
+ * @param {Array} offsets     List of `[offset, sourceOffset]` pairs
+ */
+function SourceMap(source, offsets) {
+    var index = source.indexOf('\n');
+
+    this.offsets = offsets;
+    this.lines = [0];
+
+    while (index !== -1) {
+        this.lines.push(index + 1);
+        index = source.indexOf('\n', index + 1);
+    }
+}
+
+/**
+ * Gets the offset in the document of a character of the extracted text
+ * @param  {Number} index    Offset in the extracted text
+ * @return {Number}          Offset in the document
+ */
+SourceMap.prototype.offset = function(index) {
+    var piece = this.offsets[floor(this.offsets, index, function(pair) {
+        return pair[0];
+    })];
+
+    return piece ? piece[1] + index - piece[0] : index;
+};
+
+/**
+ * Gets the line and column in the document of a character of the extracted text
+ * @param  {Number} index    Offset in the extracted text
+ * @return {Object}          1-based `line` and `column`
+ */
+SourceMap.prototype.position = function(index) {
+    var offset = this.offset(index);
+    var line = Math.max(floor(this.lines, offset, Number), 0);
+
+    return { line: line + 1, column: offset - this.lines[line] + 1 };
+};
+
+/**
+ * Decodes an HTML entity
+ * @param  {String} entity    Entity, i.e. `&amp;` or `&#x2014;`
+ * @param  {String} name      Name or number of the entity
+ * @return {String}           Decoded character, or the entity if it is unknown
+ */
+function decodeEntity(entity, name) {
+    var code;
+
+    if (name.charAt(0) !== '#') {
+        return ENTITIES.hasOwnProperty(name) ? ENTITIES[name] : entity;
+    }
+
+    code = name.charAt(1).toLowerCase() === 'x' ?
+        parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+
+    try {
+        return String.fromCodePoint(code);
+    } catch (err) {
+        return entity;
+    }
+}
+
+/**
+ * Extracts the visible text of an HTML document. Comments, tags and their
+ * attributes, and the content of `script`, `style` and `template` elements are
+ * removed and entities are decoded. Only tags of `BLOCK_TAGS` and
+ * declarations break words, so `R&amp;D` or `Wonder<em>land</em>` are kept
+ * whole, and line breaks are kept.
+ * @param  {String} text    HTML
+ * @return {Object}         Visible `text` and its `offsets` in the document
+ */
+function html(text) {
+    var extraction = new Extraction(text);
+    var pattern = new RegExp(HTML_MARKUP.source, 'gi');
+    var match;
+
+    while ((match = pattern.exec(text))) {
+        extraction.keep(match.index);
+
+        if (match[3] !== undefined) {
+            extraction.replace(pattern.lastIndex, decodeEntity(match[0], match[3]));
+        } else if (match[2] !== undefined ? BLOCK_TAGS.indexOf(match[2].toLowerCase()) !== -1 :
+            /^<[!?](?!--)/.test(match[0])) {
+            extraction.replace(pattern.lastIndex, blank(match[0]));
+        } else {
+            extraction.remove(pattern.lastIndex);
+        }
+    }
+
+    return extraction.result();
+}
+
+/**
+ * Extracts the prose of a Markdown document. Fenced code blocks, link and
+ * image URLs, reference definitions and autolinks are removed. Link text and
+ * image alt text are kept.
+ * @param  {String} text    Markdown
+ * @return {String}         Prose, with the line and column of each character kept
+ */
+function markdown(text) {
+    return text
+        .replace(/^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(^ {0,3}\1[`~]*[ \t]*$|(?![\s\S]))/gm, blank)
+        .replace(/^ {0,3}\[[^\]\n]+\]:[^\n]*/gm, blank)
+        .replace(/<[a-z][a-z0-9+.-]*:[^\s>]*>/gi, blank)
+        .replace(/(!?\[)([^\]\n]*)(\]\([^)\n]*\))/g, function(link, open, label, target) {
+            return blank(open) + label + blank(target);
+        });
+}
+
+/**
+ * Extracts the string values of a JSON document. Keys, numbers, literals and
+ * punctuation are removed and escape sequences are decoded.
+ * @param  {String} text    JSON
+ * @return {String}         String values, with the line and column of each value kept
+ */
+function json(text) {
+    var output = '';
+    var last = 0;
+    var pattern = /"(?:[^"\\\n]|\\.)*"/g;
+    var match;
+    var value;
+
+    while ((match = pattern.exec(text))) {
+        output += blank(text.slice(last, match.index));
+        last = match.index + match[0].length;
+
+        if (/^\s*:/.test(text.slice(last))) {
+            output += blank(match[0]);
+            continue;
+        }
+
+        try {
+            value = JSON.parse(match[0]);
+        } catch (err) {
+            value = match[0].slice(1, -1);
+        }
+
+        output += ' ' + pad(String(value).replace(/[\r\n]/g, ' '), match[0].slice(1));
+    }
+
+    return output + blank(text.slice(last));
+}
+
+/**
+ * Registers an extractor for one or more file extensions, replacing any
+ * extractor registered for them before. An extractor receives the text of a
+ * file and its name and returns the text keywords are matched against, or a
+ * promise for it.
+ * @param  {String|Array} extensions    Extension(s) including the dot, i.e. '.html'
+ * @param  {Function} extractor         Extractor function
+ */
+function register(extensions, extractor) {
+    if (typeof extractor !== 'function') {
+        throw new Error('Extractor must be a function');
+    }
+
+    [].concat(extensions).forEach(function(extension) {
+        registry[extension.toLowerCase()] = extractor;
+    });
+}
+
+/**
+ * Removes the extractor registered for one or more file extensions
+ * @param  {String|Array} extensions    Extension(s) including the dot, i.e. '.html'
+ */
+function unregister(extensions) {
+    [].concat(extensions).forEach(function(extension) {
+        delete registry[extension.toLowerCase()];
+    });
+}
+
+/**
+ * Gets the extractor for a file by its extension
+ * @param  {String} file         File name
+ * @param  {Object} overrides    Optional. Map of extensions to extractors that
+ *                               take precedence over the registry
+ * @return {Function|null}       Extractor, or null if there is none
+ */
+function get(file, overrides) {
+    var extension = path.extname(file || '').toLowerCase();
+
+    if (overrides && overrides.hasOwnProperty(extension)) {
+        return overrides[extension] || null;
+    }
+
+    return registry.hasOwnProperty(extension) ? registry[extension] : null;
+}
+
+/**
+ * Lists the registered extractors
+ * @return {Object}    Map of lower case extensions to extractors
+ */
+function registered() {
+    return Object.assign({}, registry);
+}
+
+register(['.html', '.htm', '.xhtml'], html);
+register(['.md', '.markdown'], markdown);
+register('.json', json);
+
+module.exports = {
+    HTML_COMMENT: HTML_COMMENT,
+    HTML_HIDDEN: HTML_HIDDEN,
+    blank: blank,
+    SourceMap: SourceMap,
+    html: html,
+    markdown: markdown,
+    json: json,
+    register: register,
+    unregister: unregister,
+    registered: registered,
+    get: get
+};
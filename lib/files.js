@@ -0,0 +1,89 @@
+'use strict';
+
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+
+/**
+ * Number of bytes at the start of a file that are checked for binary content
+ * @type {Number}
+ */
+var SNIFF_BYTES = 8000;
+
+/**
+ * Multipliers of the size units accepted by `parseSize()`
+ * @type {Object}
+ */
+var SIZE_UNITS = {
+    '': 1,
+    b: 1,
+    k: 1024,
+    kb: 1024,
+    m: 1024 * 1024,
+    mb: 1024 * 1024,
+    g: 1024 * 1024 * 1024,
+    gb: 1024 * 1024 * 1024
+};
+
+
+/**
+ * Checks whether the start of a file looks like binary content. Like git,
+ * content is considered binary if it contains a NUL byte.
+ * @param  {Buffer} buffer    Bytes at the start of a file
+ * @return {Boolean}          True if the content is binary
+ */
+function isBinary(buffer) {
+    return buffer.indexOf(0) !== -1;
+}
+
+/**
+ * Parses a file size, either a number of bytes or a string with an optional
+ * unit, i.e. `512k`, `10mb` or `1g`
+ * @param  {Number|String} value    Size
+ * @return {Number}                 Size in bytes
+ * @throws {Error}                  If the size is not a non-negative number
+ *                                  with a known unit
+ */
+function parseSize(value) {
+    var match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(String(value));
+    var unit = match ? match[2].toLowerCase() : '';
+
+    if (!match || !SIZE_UNITS.hasOwnProperty(unit)) {
+        throw new Error('Invalid file size: ' + value);
+    }
+
+    return Math.floor(Number(match[1]) * SIZE_UNITS[unit]);
+}
+
+/**
+ * Gets the size of a file and whether its content is binary. Only the first
+ * `SNIFF_BYTES` bytes are read.
+ * @param  {String} file    File name
+ * @return {Object}         A promise that resolves with `{ size, binary }`
+ */
+function inspect(file) {
+    return fs.openAsync(file, 'r')
+        .then(function(fd) {
+            return fs.fstatAsync(fd)
+                .then(function(stats) {
+                    var buffer = Buffer.alloc(Math.min(stats.size, SNIFF_BYTES));
+
+                    return fs.readAsync(fd, buffer, 0, buffer.length, 0)
+                        .then(function(bytesRead) {
+                            return {
+                                size: stats.size,
+                                binary: isBinary(buffer.slice(0, bytesRead))
+                            };
+                        });
+                })
+                .finally(function() {
+                    return fs.closeAsync(fd);
+                });
+        });
+}
+
+module.exports = {
+    SNIFF_BYTES: SNIFF_BYTES,
+    isBinary: isBinary,
+    parseSize: parseSize,
+    inspect: inspect
+};
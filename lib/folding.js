@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Supported values of the `normalize` option. `NFC` matches composed and
+ * decomposed characters alike, i.e. "café" with "é" or with "e" and a
+ * combining accent. `NFKC` also matches compatibility characters with their
+ * plain form, i.e. "ﬁ" with "fi" or full-width "Ａ" with "A".
+ * @type {Array}
+ */
+var NORMALIZE_FORMS = ['NFC', 'NFKC'];
+
+/**
+ * Decomposition used to fold each character for a `normalize` form. Folding
+ * a character at a time keeps matches aligned with the original text, and
+ * two strings are equal in a composed form if and only if they are equal in
+ * the matching decomposed form.
+ * @type {Object}
+ */
+var DECOMPOSITIONS = {
+    NFC: 'NFD',
+    NFKC: 'NFKD'
+};
+
+/**
+ * Combining marks that are dropped when diacritics are ignored
+ * @type {RegExp}
+ */
+var DIACRITICS = /\p{Mn}/gu;
+
+
+/**
+ * Checks the folding options
+ * @param  {Object} opts    Folding options
+ * @throws {Error}          If `normalize` is not a supported form or `locale`
+ *                          is not a valid locale
+ */
+function validate(opts) {
+    if (opts.normalize && NORMALIZE_FORMS.indexOf(opts.normalize) === -1) {
+        throw new Error('Unknown normalize option: ' + opts.normalize);
+    }
+
+    if (opts.locale) {
+        try {
+            Intl.getCanonicalLocales(opts.locale);
+        } catch (err) {
+            throw new Error('Invalid locale: ' + opts.locale);
+        }
+    }
+}
+
+/**
+ * Creates a function that folds text so that keywords and text compare equal
+ * when they differ only in ways the options ignore. Text is folded a
+ * character at a time, and a character may fold to several characters or
+ * none, i.e. "ß" to "ss" if `ignoreCase` is true or a combining accent to ""
+ * if `ignoreDiacritics` is true.
+ * @param  {Object} opts    Optional. `ignoreCase` to fold case fully, i.e.
+ *                          "Straße" like "STRASSE", `locale` for its
+ *                          language-specific rules, i.e. "tr" for the Turkish
+ *                          dotted and dotless i, `normalize`, one of
+ *                          `NORMALIZE_FORMS`, and `ignoreDiacritics` to drop
+ *                          accents and other combining marks
+ * @return {Function}       Function that takes a string and returns it folded
+ */
+function createFolder(opts) {
+    var locale;
+    var decomposition;
+    var cache = {};
+
+    opts = opts ? opts : {};
+    locale = opts.locale || undefined;
+    decomposition = opts.normalize ? DECOMPOSITIONS[opts.normalize] :
+        opts.ignoreDiacritics ? 'NFD' : null;
+
+    function foldCase(text) {
+        return text.toLocaleLowerCase(locale).toLocaleUpperCase(locale).toLocaleLowerCase(locale);
+    }
+
+    function foldChar(char) {
+        var folded = char;
+
+        if (opts.ignoreCase) {
+            folded = foldCase(folded);
+        }
+
+        if (decomposition) {
+            folded = folded.normalize(decomposition);
+        }
+
+        if (opts.ignoreDiacritics) {
+            folded = folded.replace(DIACRITICS, '');
+        }
+
+        if (opts.ignoreCase && decomposition) {
+            folded = foldCase(folded);
+        }
+
+        return folded;
+    }
+
+    if (!opts.ignoreCase && !decomposition) {
+        return function(text) {
+            return text;
+        };
+    }
+
+    return function(text) {
+        var folded = '';
+        var i;
+        var char;
+
+        for (i = 0; i < text.length; i++) {
+            char = text.charAt(i);
+
+            if (!cache.hasOwnProperty(char)) {
+                cache[char] = foldChar(char);
+            }
+
+            folded += cache[char];
+        }
+
+        return folded;
+    };
+}
+
+module.exports = {
+    NORMALIZE_FORMS: NORMALIZE_FORMS,
+    validate: validate,
+    createFolder: createFolder
+};
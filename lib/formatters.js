@@ -0,0 +1,328 @@
+'use strict';
+
+var isMetaKey = require('./results').isMetaKey;
+var maps = require('./maps');
+
+
+/**
+ * File extension used for the default output path of each format
+ * @type {Object}
+ */
+var EXTENSIONS = {
+    json: '.json',
+    ndjson: '.ndjson',
+    csv: '.csv',
+    tsv: '.tsv',
+    markdown: '.md'
+};
+
+/**
+ * Writers of tabular formats by format name
+ * @type {Object}
+ */
+var MATRIX_WRITERS = {
+    csv: writeCsv,
+    tsv: writeTsv,
+    markdown: writeMarkdown
+};
+
+/**
+ * Header of tabular comparisons
+ * @type {Array}
+ */
+var DRIFT_COLUMNS = ['file', 'status', 'keyword', 'baseline', 'current', 'delta', 'change'];
+
+
+/**
+ * Builds one row per file, directory and total from a results map and its
+ * optional rollup, i.e. `{ type: 'file', path: 'docs/a.md', counts: {} }`
+ * @param  {Object} resultsMap    Map of file keys to keyword counts
+ * @param  {Object} rollup        Optional. Rollup with `directories` and `total`
+ * @return {Array}                List of rows
+ */
+function toRows(resultsMap, rollup) {
+    var rows = Object.keys(resultsMap).sort().map(function(key) {
+        return { type: 'file', path: key, counts: resultsMap[key] };
+    });
+
+    if (rollup) {
+        Object.keys(rollup.directories).sort().forEach(function(dir) {
+            rows.push({ type: 'directory', path: dir, counts: rollup.directories[dir] });
+        });
+
+        rows.push({ type: 'total', path: null, counts: rollup.total });
+    }
+
+    return rows;
+}
+
+/**
+ * Gets the label of a row in the first column of tabular formats.
+ * Directories end with a slash and the total is labelled `$total`.
+ * @param  {Object} row    Row
+ * @return {String}        Label
+ */
+function rowLabel(row) {
+    if (row.type === 'directory') {
+        return row.path + '/';
+    }
+
+    return row.type === 'total' ? '$total' : row.path;
+}
+
+/**
+ * Gets every keyword counted in a list of rows, in the order first seen
+ * @param  {Array} rows    List of rows
+ * @return {Array}         List of keywords
+ */
+function keywordColumns(rows) {
+    var columns = [];
+
+    rows.forEach(function(row) {
+        Object.keys(row.counts).forEach(function(keyword) {
+            if (!isMetaKey(keyword) && typeof row.counts[keyword] === 'number' &&
+                columns.indexOf(keyword) === -1) {
+                columns.push(keyword);
+            }
+        });
+    });
+
+    return columns;
+}
+
+/**
+ * Builds a file x keyword matrix with a header row
+ * @param  {Array} rows       List of rows
+ * @param  {Array} columns    Optional. Keywords and groups of the columns, see
+ *                            `keywords.names()`, default every keyword counted
+ *                            in the rows
+ * @return {Array}            List of arrays of cell values
+ */
+function toMatrix(rows, columns) {
+    columns = columns || keywordColumns(rows);
+    var matrix = [['file'].concat(columns)];
+
+    rows.forEach(function(row) {
+        matrix.push([rowLabel(row)].concat(columns.map(function(keyword) {
+            return maps.own(row.counts, keyword, 0);
+        })));
+    });
+
+    return matrix;
+}
+
+/**
+ * Escapes a CSV cell, quoting it if it contains a comma, quote or line break
+ * @param  {String|Number} value    Cell value
+ * @return {String}                 Escaped cell
+ */
+function escapeCsv(value) {
+    value = String(value);
+
+    if (/[",\r\n]/.test(value)) {
+        return '"' + value.replace(/"/g, '""') + '"';
+    }
+
+    return value;
+}
+
+/**
+ * Writes a matrix as comma separated lines
+ * @param  {Array} matrix    List of arrays of cell values
+ * @return {String}          Formatted output
+ */
+function writeCsv(matrix) {
+    return matrix.map(function(cells) {
+        return cells.map(escapeCsv).join(',') + '\n';
+    }).join('');
+}
+
+/**
+ * Writes a matrix as tab separated lines. Tabs and line breaks inside cells
+ * are replaced by spaces.
+ * @param  {Array} matrix    List of arrays of cell values
+ * @return {String}          Formatted output
+ */
+function writeTsv(matrix) {
+    return matrix.map(function(cells) {
+        return cells.map(function(value) {
+            return String(value).replace(/[\t\r\n]+/g, ' ');
+        }).join('\t') + '\n';
+    }).join('');
+}
+
+/**
+ * Writes a matrix as a Markdown table with every column but the first
+ * aligned right
+ * @param  {Array} matrix    List of arrays of cell values
+ * @return {String}          Formatted output
+ */
+function writeMarkdown(matrix) {
+    var lines = matrix.map(function(cells) {
+        return '| ' + cells.map(function(value) {
+            return String(value).replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+        }).join(' | ') + ' |';
+    });
+    var divider = '| ' + matrix[0].map(function(cell, index) {
+        return index ? '---:' : '---';
+    }).join(' | ') + ' |';
+
+    lines.splice(1, 0, divider);
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats the report as JSON indented with 4 spaces
+ * @param  {Object} report    Results object from `Analyzer#report()`
+ * @return {String}           Formatted output
+ */
+function json(report) {
+    return JSON.stringify(report, null, 4);
+}
+
+/**
+ * Formats rows as newline delimited JSON with one record per row
+ * @param  {Object} report    Results object, unused
+ * @param  {Array} rows       List of rows
+ * @return {String}           Formatted output
+ */
+function ndjson(report, rows) {
+    return rows.map(function(row) {
+        var record = { type: row.type };
+
+        if (row.path !== null) {
+            record.path = row.path;
+        }
+
+        record.counts = row.counts;
+
+        return JSON.stringify(record) + '\n';
+    }).join('');
+}
+
+/**
+ * Formats rows as a comma separated file x keyword matrix
+ * @param  {Object} report     Results object, unused
+ * @param  {Array} rows        List of rows
+ * @param  {Array} columns     Optional. Keywords and groups of the columns
+ * @return {String}            Formatted output
+ */
+function csv(report, rows, columns) {
+    return writeCsv(toMatrix(rows, columns));
+}
+
+/**
+ * Formats rows as a tab separated file x keyword matrix. Tabs and line
+ * breaks inside cells are replaced by spaces.
+ * @param  {Object} report     Results object, unused
+ * @param  {Array} rows        List of rows
+ * @param  {Array} columns     Optional. Keywords and groups of the columns
+ * @return {String}            Formatted output
+ */
+function tsv(report, rows, columns) {
+    return writeTsv(toMatrix(rows, columns));
+}
+
+/**
+ * Formats rows as a Markdown table of files x keywords
+ * @param  {Object} report     Results object, unused
+ * @param  {Array} rows        List of rows
+ * @param  {Array} columns     Optional. Keywords and groups of the columns
+ * @return {String}            Formatted output
+ */
+function markdown(report, rows, columns) {
+    return writeMarkdown(toMatrix(rows, columns));
+}
+
+/**
+ * Formats a discovery report. Tabular formats get one row per term with its
+ * number of words and count, and `ndjson` one record per term.
+ * @param  {String} format    Output format
+ * @param  {Object} report    Discovery report, lists of `{ term, count }` by n-gram
+ * @return {String}           Formatted output
+ */
+function discovery(format, report) {
+    var terms = [];
+
+    if (format === 'json') {
+        return json(report);
+    }
+
+    Object.keys(report).forEach(function(ngram, index) {
+        report[ngram].forEach(function(entry) {
+            terms.push({ ngram: ngram, words: index + 1, term: entry.term, count: entry.count });
+        });
+    });
+
+    if (format === 'ndjson') {
+        return terms.map(function(entry) {
+            return JSON.stringify({ ngram: entry.ngram, term: entry.term, count: entry.count }) + '\n';
+        }).join('');
+    }
+
+    return MATRIX_WRITERS[format]([['term', 'words', 'count']].concat(terms.map(function(entry) {
+        return [entry.term, entry.words, entry.count];
+    })));
+}
+
+/**
+ * Formats a comparison of two analysis runs. Tabular formats get one row per
+ * file and keyword, followed by the totals labelled `$total`, and `ndjson` one
+ * record per row. A `change` of null, for keywords not found in the baseline,
+ * is left empty in tabular formats.
+ * @param  {String} format    Output format
+ * @param  {Object} report    Comparison from `compare()`
+ * @return {String}           Formatted output
+ */
+function comparison(format, report) {
+    var rows = [];
+
+    if (format === 'json') {
+        return json(report);
+    }
+
+    Object.keys(report.files).forEach(function(path) {
+        var file = report.files[path];
+
+        Object.keys(file.keywords).forEach(function(keyword) {
+            rows.push(Object.assign({ type: 'file', path: path, status: file.status, keyword: keyword },
+                file.keywords[keyword]));
+        });
+    });
+
+    Object.keys(report.total).forEach(function(keyword) {
+        rows.push(Object.assign({ type: 'total', keyword: keyword }, report.total[keyword]));
+    });
+
+    if (format === 'ndjson') {
+        return rows.map(function(row) {
+            return JSON.stringify(row) + '\n';
+        }).join('');
+    }
+
+    return MATRIX_WRITERS[format]([DRIFT_COLUMNS].concat(rows.map(function(row) {
+        return [
+            row.type === 'total' ? '$total' : row.path,
+            row.status || '',
+            row.keyword,
+            row.baseline,
+            row.current,
+            row.delta,
+            row.change === null ? '' : row.change
+        ];
+    })));
+}
+
+module.exports = {
+    EXTENSIONS: EXTENSIONS,
+    toRows: toRows,
+    toMatrix: toMatrix,
+    json: json,
+    ndjson: ndjson,
+    csv: csv,
+    tsv: tsv,
+    markdown: markdown,
+    discovery: discovery,
+    comparison: comparison
+};
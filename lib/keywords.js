@@ -0,0 +1,262 @@
+'use strict';
+
+var thresholds = require('./thresholds');
+var maps = require('./maps');
+
+/**
+ * Supported keyword match modes
+ * @type {Array}
+ */
+var MODES = ['substring', 'word', 'phrase', 'regex'];
+
+/**
+ * Mode of keywords given as plain strings or without a `mode`
+ * @type {String}
+ */
+var DEFAULT_MODE = 'substring';
+
+/**
+ * Number of words that may separate a keyword from a `near` term unless
+ * the keyword sets `within`
+ * @type {Number}
+ */
+var DEFAULT_WITHIN = 10;
+
+/**
+ * Constraints that keyword groups pass on to their aliases
+ * @type {Array}
+ */
+var CONSTRAINTS = ['near', 'within', 'exclude'];
+
+
+/**
+ * Normalizes the `near` terms or `exclude` phrases of a keyword into a list
+ * of keywords with a `term` and a `mode`
+ * @param  {String|Array} value    Term(s), i.e. "Cheshire" or `['cat food', { term: 'cat flap' }]`
+ * @param  {String} name           Name of the constraint
+ * @param  {String} term           Term of the keyword
+ * @return {Array}                 List of normalized keywords
+ * @throws {Error}                 If the list is empty or a term is invalid
+ */
+function normalizeTerms(value, name, term) {
+    var list = [].concat(value);
+
+    if (!list.length) {
+        throw new Error(name + ' of keyword "' + term + '" is empty');
+    }
+
+    return list.map(function(entry) {
+        var keyword = normalize(entry && typeof entry === 'object' ? { term: entry.term, mode: entry.mode } : entry);
+
+        return { term: keyword.term, mode: keyword.mode };
+    });
+}
+
+/**
+ * Normalizes the proximity and exclusion constraints of a keyword. A match
+ * of a keyword with `near` terms only counts if one of them is at most
+ * `within` words away, and a match inside one of its `exclude` phrases
+ * doesn't count.
+ * @param  {Object} keyword    Keyword, i.e. `{ term: 'Cat', near: 'Cheshire', within: 5, exclude: 'cat food' }`
+ * @return {Object}            Normalized `near`, `within` and `exclude` that are set
+ * @throws {Error}             If a constraint is invalid
+ */
+function normalizeConstraints(keyword) {
+    var constraints = {};
+
+    if (keyword.within !== undefined &&
+        !(typeof keyword.within === 'number' && keyword.within >= 0 && keyword.within % 1 === 0)) {
+        throw new Error('within of keyword "' + keyword.term + '" must be a non-negative integer');
+    }
+
+    if (keyword.near !== undefined) {
+        constraints.near = normalizeTerms(keyword.near, 'near', keyword.term);
+        constraints.within = keyword.within !== undefined ? keyword.within : DEFAULT_WITHIN;
+    } else if (keyword.within !== undefined) {
+        throw new Error('within of keyword "' + keyword.term + '" needs near terms');
+    }
+
+    if (keyword.exclude !== undefined) {
+        constraints.exclude = normalizeTerms(keyword.exclude, 'exclude', keyword.term);
+    }
+
+    return constraints;
+}
+
+/**
+ * Normalizes a keyword from a keyword list into an object with a `term` and
+ * a `mode`. Plain strings are matched as substrings.
+ * @param  {String|Object} keyword    Keyword, i.e. "mad" or `{ term: 'mad', mode: 'word' }`
+ * @return {Object}                   Normalized keyword
+ * @throws {Error}                    If the keyword has no term, an unknown mode,
+ *                                    an invalid regular expression, invalid
+ *                                    thresholds or invalid constraints
+ */
+function normalize(keyword) {
+    var term;
+    var mode;
+
+    if (typeof keyword === 'string') {
+        return { term: keyword, mode: DEFAULT_MODE };
+    }
+
+    term = keyword && keyword.term;
+    mode = (keyword && keyword.mode) || DEFAULT_MODE;
+
+    if (typeof term !== 'string' || !term) {
+        throw new Error('Keyword is missing a term: ' + JSON.stringify(keyword));
+    }
+
+    if (MODES.indexOf(mode) === -1) {
+        throw new Error('Unknown mode "' + mode + '" for keyword "' + term + '"');
+    }
+
+    thresholds.validate(keyword, term);
+
+    if (mode === 'regex') {
+        try {
+            new RegExp(term);
+        } catch (err) {
+            throw new Error('Invalid regex for keyword "' + term + '": ' + err.message);
+        }
+    }
+
+    return Object.assign({}, keyword, { term: term, mode: mode }, normalizeConstraints(keyword));
+}
+
+/**
+ * Expands a keyword group into its aliases, normalized and tagged with the
+ * group name. Aliases inherit the group's `mode`, `near`, `within` and
+ * `exclude` unless they set their own.
+ * @param  {Object} group    Group, i.e. `{ group: 'Cat', aliases: ['Cheshire Cat', 'Cat'] }`
+ * @return {Array}           List of normalized keywords
+ * @throws {Error}           If the group has no name or aliases, invalid thresholds,
+ *                           or an alias is invalid or has thresholds
+ */
+function expandGroup(group) {
+    var inherited = { mode: group.mode };
+
+    if (typeof group.group !== 'string' || !group.group) {
+        throw new Error('Keyword group is missing a name: ' + JSON.stringify(group));
+    }
+
+    if (!Array.isArray(group.aliases) || !group.aliases.length) {
+        throw new Error('Keyword group "' + group.group + '" has no aliases');
+    }
+
+    thresholds.validate(group, group.group);
+
+    CONSTRAINTS.forEach(function(name) {
+        if (group[name] !== undefined) {
+            inherited[name] = group[name];
+        }
+    });
+
+    return group.aliases.map(function(alias) {
+        var keyword = typeof alias === 'string' ? { term: alias } : alias;
+
+        if (keyword && (keyword.min !== undefined || keyword.max !== undefined)) {
+            throw new Error('Set thresholds on keyword group "' + group.group + '" instead of its aliases');
+        }
+
+        return normalize(Object.assign({}, inherited, keyword, { group: group.group }));
+    });
+}
+
+/**
+ * Normalizes every keyword in a keyword list. Keyword groups, objects with a
+ * `group` name and a list of `aliases`, are expanded into one keyword per alias.
+ * Negative keywords, objects with `negative: true`, aren't counted but are
+ * added to the `exclude` phrases of every other keyword, i.e.
+ * `{ term: 'cat food', negative: true }`.
+ * @param  {Array} keywords    List of keywords
+ * @return {Array}             List of normalized keywords
+ */
+function normalizeAll(keywords) {
+    var negatives = [];
+    var list = (keywords || []).reduce(function(list, keyword) {
+        if (keyword && typeof keyword === 'object' && keyword.negative) {
+            negatives = negatives.concat(normalizeTerms(keyword, 'negative keyword', keyword.term));
+            return list;
+        }
+
+        if (keyword && typeof keyword === 'object' && keyword.group !== undefined) {
+            return list.concat(expandGroup(keyword));
+        }
+
+        return list.concat(normalize(keyword));
+    }, []);
+
+    if (!negatives.length) {
+        return list;
+    }
+
+    return list.map(function(keyword) {
+        return Object.assign({}, keyword, { exclude: (keyword.exclude || []).concat(negatives) });
+    });
+}
+
+/**
+ * Creates a map of keyword counts set to 0. Counts of grouped aliases are
+ * kept under `$groups` and the map holds the group's total instead, i.e.
+ * `{ Alice: 0, Cat: 0, $groups: { Cat: { 'Cheshire Cat': 0, Cat: 0 } } }`
+ * @param  {Array} keywords    List of keywords
+ * @return {Object}            Map of keyword counts
+ */
+function createCounts(keywords) {
+    var counts = maps.create();
+
+    normalizeAll(keywords).forEach(function(keyword) {
+        if (keyword.group === undefined) {
+            counts[keyword.term] = 0;
+            return;
+        }
+
+        counts[keyword.group] = 0;
+        counts.$groups = counts.$groups || maps.create();
+        counts.$groups[keyword.group] = counts.$groups[keyword.group] || maps.create();
+        counts.$groups[keyword.group][keyword.term] = 0;
+    });
+
+    return counts;
+}
+
+/**
+ * Lists the names keyword counts are kept under: the term of each keyword
+ * and the name of each group, in the order of the keyword list
+ * @param  {Array} keywords    List of keywords
+ * @return {Array}             List of terms and group names
+ */
+function names(keywords) {
+    return normalizeAll(keywords).reduce(function(list, keyword) {
+        var name = keyword.group === undefined ? keyword.term : keyword.group;
+
+        return list.indexOf(name) === -1 ? list.concat(name) : list;
+    }, []);
+}
+
+/**
+ * Adds a match to a map of keyword counts from `createCounts()`
+ * @param  {Object} counts    Map of keyword counts
+ * @param  {Object} match     Match with a `keyword` and, for aliases, a `group`
+ * @return {Object}           The `counts` map
+ */
+function countMatch(counts, match) {
+    if (match.group === undefined) {
+        counts[match.keyword] = counts[match.keyword] + 1;
+    } else {
+        counts[match.group] = counts[match.group] + 1;
+        counts.$groups[match.group][match.keyword] = counts.$groups[match.group][match.keyword] + 1;
+    }
+
+    return counts;
+}
+
+module.exports = {
+    MODES: MODES,
+    normalize: normalize,
+    normalizeAll: normalizeAll,
+    createCounts: createCounts,
+    names: names,
+    countMatch: countMatch
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Maps keyed by text from files, keyword lists or results, i.e. keywords,
+ * words, groups and file keys. Such a key may be the name of a property of
+ * `Object.prototype`, like "constructor" or "__proto__", so maps are created
+ * without a prototype, and maps from elsewhere are only read through their
+ * own properties.
+ */
+
+/**
+ * Creates an empty map without a prototype
+ * @return {Object}    Map
+ */
+function create() {
+    return Object.create(null);
+}
+
+/**
+ * Checks whether a map has a value of its own under a key
+ * @param  {Object} map    Map
+ * @param  {String} key    Key
+ * @return {Boolean}       True if the map has the key
+ */
+function has(map, key) {
+    return Object.prototype.hasOwnProperty.call(map, key);
+}
+
+/**
+ * Gets the value of a map under a key, ignoring inherited properties
+ * @param  {Object} map         Map
+ * @param  {String} key         Key
+ * @param  {*} fallback         Value if the map doesn't have the key
+ * @return {*}                  Value
+ */
+function own(map, key, fallback) {
+    return has(map, key) ? map[key] : fallback;
+}
+
+module.exports = {
+    create: create,
+    has: has,
+    own: own
+};
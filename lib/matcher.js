@@ -0,0 +1,690 @@
+'use strict';
+
+var Transform = require('stream').Transform;
+var StringDecoder = require('string_decoder').StringDecoder;
+var normalizeAll = require('./keywords').normalizeAll;
+var folding = require('./folding');
+var stemmers = require('./stemmers');
+var maps = require('./maps');
+
+
+/**
+ * Characters that make up words: letters, combining marks, digits and
+ * connector punctuation such as `_`, in any script
+ * @type {RegExp}
+ */
+var WORD_CHAR = /[\p{L}\p{M}\p{N}\p{Pc}]/u;
+
+/**
+ * Whitespace that phrase keywords treat as a single space
+ * @type {RegExp}
+ */
+var WHITESPACE = /\s/;
+
+/**
+ * Keywords that can be matched by stems: one or more words separated by
+ * whitespace
+ * @type {RegExp}
+ */
+var WORDS = /^[\p{L}\p{M}\p{N}\p{Pc}]+(?:\s+[\p{L}\p{M}\p{N}\p{Pc}]+)*$/u;
+
+
+/**
+ * Checks whether a character is part of a word
+ * @param  {String} char    Character, may be undefined at the edges of the text
+ * @return {Boolean}        True if the character is a word character
+ */
+function isWordChar(char) {
+    return !!char && WORD_CHAR.test(char);
+}
+
+/**
+ * Creates a node of the keyword trie
+ * @param  {Number} depth    Number of characters between the root and the node
+ * @return {Object}          A trie node
+ */
+function createNode(depth) {
+    return {
+        next: {},
+        fail: null,
+        depth: depth,
+        outputs: []
+    };
+}
+
+/**
+ * An Aho-Corasick automaton over a set of literal patterns
+ */
+function Automaton() {
+    this.root = createNode(0);
+    this.patterns = [];
+    this.maxLength = 0;
+    this.seen = maps.create();
+}
+
+/**
+ * Adds a pattern to the trie. When two patterns have the same text, the
+ * first one added is reported.
+ * @param {String} text       Folded text of the pattern
+ * @param {Object} pattern    Pattern data reported with each match
+ */
+Automaton.prototype.add = function(text, pattern) {
+    var node = this.root;
+
+    if (!text || this.seen[text]) {
+        return;
+    }
+
+    this.seen[text] = true;
+
+    text.split('').forEach(function(char) {
+        if (!node.next.hasOwnProperty(char)) {
+            node.next[char] = createNode(node.depth + 1);
+        }
+
+        node = node.next[char];
+    });
+
+    node.outputs.push(this.patterns.length);
+    this.patterns.push(Object.assign({ length: text.length }, pattern));
+    this.maxLength = Math.max(this.maxLength, text.length);
+};
+
+/**
+ * Builds the failure links of the trie once all patterns are added
+ */
+Automaton.prototype.build = function() {
+    var self = this;
+    var queue = [];
+    var node;
+
+    Object.keys(self.root.next).forEach(function(char) {
+        var child = self.root.next[char];
+        child.fail = self.root;
+        queue.push(child);
+    });
+
+    while (queue.length) {
+        node = queue.shift();
+
+        Object.keys(node.next).forEach(function(char) {
+            var child = node.next[char];
+            var fail = node.fail;
+
+            while (fail !== self.root && !fail.next.hasOwnProperty(char)) {
+                fail = fail.fail;
+            }
+
+            child.fail = fail.next.hasOwnProperty(char) && fail.next[char] !== child ?
+                fail.next[char] : self.root;
+            child.outputs = child.outputs.concat(child.fail.outputs);
+            queue.push(child);
+        });
+    }
+};
+
+/**
+ * Advances the automaton by one character
+ * @param  {Object} node    Current trie node
+ * @param  {String} char    Next folded character
+ * @return {Object}         Next trie node
+ */
+Automaton.prototype.step = function(node, char) {
+    while (node !== this.root && !node.next.hasOwnProperty(char)) {
+        node = node.fail;
+    }
+
+    return node.next.hasOwnProperty(char) ? node.next[char] : this.root;
+};
+
+/**
+ * Creates the state of one pass of the automaton over a text
+ * @return {Object}    Cursor with the current node, the number of characters
+ *                     fed and the text offset each recent character came from
+ */
+Automaton.prototype.cursor = function() {
+    return {
+        node: this.root,
+        fed: 0,
+        starts: []
+    };
+};
+
+/**
+ * Feeds one folded character to a cursor
+ * @param  {Object} cursor    Cursor from `cursor()`
+ * @param  {String} char      Folded character
+ * @param  {Number} offset    Offset in the original text the character came from
+ * @return {Array}            Patterns ending at this character, with their `start` offset
+ */
+Automaton.prototype.advance = function(cursor, char, offset) {
+    var self = this;
+
+    cursor.starts[cursor.fed % self.maxLength] = offset;
+    cursor.node = self.step(cursor.node, char);
+    cursor.fed++;
+
+    return cursor.node.outputs.map(function(index) {
+        var pattern = self.patterns[index];
+
+        return {
+            pattern: pattern,
+            start: cursor.starts[(cursor.fed - pattern.length) % self.maxLength]
+        };
+    });
+};
+
+/**
+ * Gets the earliest offset a match that is not found yet could start at
+ * @param  {Object} cursor    Cursor from `cursor()`
+ * @param  {Number} next      Offset of the next character to be fed
+ * @return {Number}           Offset
+ */
+Automaton.prototype.earliest = function(cursor, next) {
+    var depth = cursor.node.depth;
+
+    return depth ? cursor.starts[(cursor.fed - depth) % this.maxLength] : next;
+};
+
+/**
+ * Matches a list of keywords against streamed text. Literal keywords are found
+ * with Aho-Corasick automatons, one for `substring` and `word` keywords and one
+ * for `phrase` keywords, which sees runs of whitespace as a single space.
+ * `regex` keywords are matched line by line. Like `grep -o`, matches are
+ * reported leftmost-longest and never overlap, i.e. "White Rabbit" is counted
+ * once and "Rabbit" inside it is not counted.
+ * Literal keywords and text are folded alike with the `ignoreCase`, `locale`,
+ * `normalize` and `ignoreDiacritics` options, see `folding.createFolder()`.
+ * `regex` keywords are matched against the text as it is.
+ * With `stem`, keywords made of whole words are matched by the stems of their
+ * words instead, so "run" matches "runs", "running" and "ran". The text is
+ * split into words, which are folded and stemmed alike, and such a keyword
+ * matches a run of words with the same stems separated only by whitespace.
+ * @param {Array} keywords    List of keywords, strings or `{ term, mode }` objects
+ * @param {Object} opts       Optional. `ignoreCase` to match regardless of case,
+ *                            `locale`, `normalize` and `ignoreDiacritics` to
+ *                            fold text further, `positions` to add the line
+ *                            and column of each match and `context`, the number
+ *                            of characters around a match to add as a snippet
+ *                            along with its position, and `stem`, true, a
+ *                            language code or a stemmer function, see
+ *                            `stemmers.resolve()`, with the `language` of
+ *                            the stemmer used if `stem` is true
+ * @throws {Error}            If no stemmer is registered for the language
+ */
+function Matcher(keywords, opts) {
+    opts = opts ? opts : {};
+
+    this.keywords = normalizeAll(keywords);
+    this.ignoreCase = opts.ignoreCase || false;
+    this.fold = folding.createFolder({
+        ignoreCase: this.ignoreCase,
+        locale: opts.locale,
+        normalize: opts.normalize,
+        ignoreDiacritics: opts.ignoreDiacritics
+    });
+    this.positions = opts.positions || false;
+    this.context = this.positions ? opts.context || 0 : 0;
+
+    this.literals = new Automaton();
+    this.phrases = new Automaton();
+    this.regexes = [];
+    this.stemmer = stemmers.resolve(opts.stem, opts.language);
+    this.stems = maps.create();
+    this.stemLength = 0;
+    this.stemCache = maps.create();
+
+    this.build();
+}
+
+/**
+ * Sorts the keywords by mode into the automatons, regex list and, with a
+ * stemmer, the map of keywords by the stems of their words. `word` and
+ * `phrase` keywords must not be preceded or followed by a word character.
+ */
+Matcher.prototype.build = function() {
+    var self = this;
+
+    self.keywords.forEach(function(keyword) {
+        var term = keyword.mode === 'phrase' ? keyword.term.trim() : keyword.term;
+        var bounded = keyword.mode === 'word' || keyword.mode === 'phrase';
+        var pattern = {
+            keyword: keyword.term,
+            group: keyword.group,
+            wordStart: bounded && isWordChar(term.charAt(0)),
+            wordEnd: bounded && isWordChar(term.charAt(term.length - 1))
+        };
+
+        if (self.stemmer && keyword.mode !== 'regex' && WORDS.test(term.trim())) {
+            self.addStems(term.trim().split(/\s+/), pattern);
+        } else if (keyword.mode === 'regex') {
+            self.regexes.push({
+                keyword: keyword.term,
+                group: keyword.group,
+                regex: new RegExp(term, self.ignoreCase ? 'gi' : 'g')
+            });
+        } else if (keyword.mode === 'phrase') {
+            self.phrases.add(self.fold(term).replace(/\s+/g, ' '), pattern);
+        } else {
+            self.literals.add(self.fold(term), pattern);
+        }
+    });
+
+    self.literals.build();
+    self.phrases.build();
+};
+
+/**
+ * Adds a keyword to the map of keywords by stems. When two keywords have the
+ * same stems, the first one added is reported.
+ * @param {Array} words       Words of the keyword
+ * @param {Object} pattern    Pattern data reported with each match
+ */
+Matcher.prototype.addStems = function(words, pattern) {
+    var self = this;
+    var key = words.map(function(word) {
+        return self.stem(word);
+    }).join(' ');
+
+    if (key in self.stems) {
+        return;
+    }
+
+    self.stems[key] = Object.assign({}, pattern, { wordStart: false, wordEnd: false });
+    self.stemLength = Math.max(self.stemLength, words.length);
+};
+
+/**
+ * Folds and stems a word
+ * @param  {String} word    Word
+ * @return {String}         Stem
+ */
+Matcher.prototype.stem = function(word) {
+    if (!(word in this.stemCache)) {
+        this.stemCache[word] = this.stemmer(this.fold(word));
+    }
+
+    return this.stemCache[word];
+};
+
+/**
+ * Creates an instance of a Transform stream that reads text (strings or buffers)
+ * and pushes an object for every keyword match, i.e.
+ * `{ keyword: 'Alice', text: 'alice', index: 42 }` where `index` is the
+ * character offset of the match in the text. Matches of grouped aliases also
+ * have the `group` name. Matches that span chunk boundaries are found.
+ * With `positions`, matches also have the 1-based `line` and `column` they
+ * start at and, with `context`, a `context` snippet of the surrounding text
+ * with whitespace collapsed, i.e. `{ ..., line: 3, column: 7, context: 'the Alice in' }`.
+ * @return {Object}    A Transform stream
+ */
+Matcher.prototype.stream = function() {
+    var self = this;
+    var transformer = new Transform({readableObjectMode: true});
+    var decoder = new StringDecoder('utf8');
+    var automatons = [self.literals, self.phrases].filter(function(automaton) {
+        return automaton.maxLength;
+    });
+    var cursors = automatons.map(function(automaton) {
+        return automaton.cursor();
+    });
+    var stemming = self.stemLength > 0;
+    var enabled = automatons.length || self.regexes.length || stemming;
+    var offset = 0;
+    var lineStart = 0;
+    var inWhitespace = false;
+    var text = '';
+    var textStart = 0;
+    var pending = [];
+    var lastEnd = 0;
+    var lines = [{ offset: 0, number: 1 }];
+    var queue = [];
+    var word = '';
+    var wordStart = 0;
+    var spaced = true;
+    var words = [];
+
+    function charAt(index) {
+        return index < textStart ? undefined : text.charAt(index - textStart);
+    }
+
+    function addCandidate(pattern, start, end) {
+        if (pattern.wordStart && isWordChar(charAt(start - 1))) {
+            return;
+        }
+
+        pending.push({
+            pattern: pattern,
+            start: start,
+            end: end,
+            checkAfter: !!pattern.wordEnd
+        });
+    }
+
+    function checkAfter(char) {
+        pending = pending.filter(function(candidate) {
+            if (!candidate.checkAfter || candidate.end !== offset) {
+                return true;
+            }
+
+            candidate.checkAfter = false;
+
+            return !isWordChar(char);
+        });
+    }
+
+    function extend() {
+        pending.forEach(function(candidate) {
+            if (candidate.end === offset) {
+                candidate.end = offset + 1;
+            }
+        });
+    }
+
+    function feedAutomaton(index, folded) {
+        var i;
+
+        for (i = 0; i < folded.length; i++) {
+            automatons[index].advance(cursors[index], folded[i], offset).forEach(function(found) {
+                addCandidate(found.pattern, found.start, offset + 1);
+            });
+        }
+    }
+
+    function endWord() {
+        if (!word) {
+            return;
+        }
+
+        words.push({ stem: self.stem(word), start: wordStart, end: offset, spaced: spaced });
+        word = '';
+        spaced = true;
+    }
+
+    function matchStems(all) {
+        var key;
+        var found;
+        var i;
+
+        // Words are kept until the longest keyword that may start at the
+        // first one can be told apart
+        while (words.length && (all || words.length >= self.stemLength)) {
+            key = '';
+            found = null;
+
+            for (i = 0; i < Math.min(words.length, self.stemLength); i++) {
+                if (i && !words[i].spaced) {
+                    break;
+                }
+
+                key += (i ? ' ' : '') + words[i].stem;
+
+                if (key in self.stems) {
+                    found = { pattern: self.stems[key], end: words[i].end };
+                }
+            }
+
+            if (found) {
+                addCandidate(found.pattern, words[0].start, found.end);
+            }
+
+            words.shift();
+        }
+    }
+
+    function feedStems(char) {
+        if (isWordChar(char)) {
+            if (!word) {
+                wordStart = offset;
+            }
+
+            word += char;
+            return;
+        }
+
+        endWord();
+        spaced = spaced && WHITESPACE.test(char);
+        matchStems(false);
+    }
+
+    function matchLine(end) {
+        var line = text.slice(lineStart - textStart, end - textStart).replace(/\r$/, '');
+
+        self.regexes.forEach(function(entry) {
+            var regex = entry.regex;
+            var match;
+
+            regex.lastIndex = 0;
+
+            while ((match = regex.exec(line))) {
+                if (!match[0]) {
+                    regex.lastIndex++;
+                    continue;
+                }
+
+                addCandidate(entry, lineStart + match.index, lineStart + match.index + match[0].length);
+            }
+        });
+    }
+
+    function boundary() {
+        var earliest = self.regexes.length ? lineStart : offset;
+
+        automatons.forEach(function(automaton, index) {
+            earliest = Math.min(earliest, automaton.earliest(cursors[index], offset));
+        });
+
+        pending.forEach(function(candidate) {
+            if (candidate.checkAfter) {
+                earliest = Math.min(earliest, candidate.start);
+            }
+        });
+
+        if (stemming) {
+            earliest = Math.min(earliest, words.length ? words[0].start : word ? wordStart : offset);
+        }
+
+        return earliest;
+    }
+
+    function resolve(limit) {
+        var ready;
+
+        if (!pending.length) {
+            return;
+        }
+
+        ready = pending.filter(function(candidate) {
+            return candidate.start < limit;
+        });
+
+        if (!ready.length) {
+            return;
+        }
+
+        pending = pending.filter(function(candidate) {
+            return candidate.start >= limit;
+        });
+
+        ready.sort(function(a, b) {
+            return a.start - b.start || b.end - a.end;
+        });
+
+        ready.forEach(function(candidate) {
+            var match;
+
+            if (candidate.start < lastEnd) {
+                return;
+            }
+
+            lastEnd = candidate.end;
+            match = {
+                keyword: candidate.pattern.keyword,
+                text: text.slice(candidate.start - textStart, candidate.end - textStart),
+                index: candidate.start
+            };
+
+            if (candidate.pattern.group !== undefined) {
+                match.group = candidate.pattern.group;
+            }
+
+            emit(match, candidate);
+        });
+    }
+
+    function locate(index) {
+        var i = lines.length - 1;
+
+        while (i > 0 && lines[i].offset > index) {
+            i--;
+        }
+
+        return {
+            line: lines[i].number,
+            column: index - lines[i].offset + 1
+        };
+    }
+
+    function emit(match, candidate) {
+        var position;
+
+        if (!self.positions) {
+            transformer.push(match);
+            return;
+        }
+
+        position = locate(candidate.start);
+        match.line = position.line;
+        match.column = position.column;
+
+        if (!self.context) {
+            transformer.push(match);
+            return;
+        }
+
+        queue.push({ match: match, start: candidate.start, end: candidate.end });
+    }
+
+    function drain(limit) {
+        var entry;
+
+        while (queue.length && queue[0].end + self.context <= limit) {
+            entry = queue.shift();
+            entry.match.context = text
+                .slice(Math.max(entry.start - self.context, textStart) - textStart,
+                    entry.end + self.context - textStart)
+                .replace(/\s+/g, ' ')
+                .trim();
+            transformer.push(entry.match);
+        }
+    }
+
+    function trim() {
+        var keep = boundary();
+
+        if (queue.length) {
+            keep = Math.min(keep, queue[0].start);
+        }
+
+        // Keep the text that pending and future matches may need, plus the
+        // character before it for word boundary checks and the context
+        keep = keep - 1 - self.context;
+
+        if (keep > textStart) {
+            text = text.slice(keep - textStart);
+            textStart = keep;
+        }
+
+        while (lines.length > 1 && lines[1].offset <= keep) {
+            lines.shift();
+        }
+    }
+
+    function feed(chunk) {
+        var i;
+        var char;
+        var folded;
+        var index;
+
+        text += chunk;
+
+        for (i = 0; i < chunk.length; i++) {
+            char = chunk[i];
+            folded = self.fold(char);
+
+            // A character that folds to nothing, like an ignored accent,
+            // belongs to the match it follows
+            if (folded) {
+                checkAfter(char);
+            } else {
+                extend();
+            }
+
+            for (index = 0; index < automatons.length; index++) {
+                if (automatons[index] !== self.phrases || !WHITESPACE.test(char)) {
+                    feedAutomaton(index, folded);
+                } else if (!inWhitespace) {
+                    feedAutomaton(index, ' ');
+                }
+            }
+
+            inWhitespace = WHITESPACE.test(char);
+
+            if (stemming) {
+                feedStems(char);
+            }
+
+            if (char === '\n') {
+                if (self.regexes.length) {
+                    matchLine(offset);
+                    lineStart = offset + 1;
+                }
+
+                if (self.positions) {
+                    lines.push({ offset: offset + 1, number: lines[lines.length - 1].number + 1 });
+                }
+            }
+
+            offset++;
+            resolve(boundary());
+            drain(offset);
+        }
+
+        trim();
+    }
+
+    transformer._transform = function(data, encoding, done) {
+        if (enabled) {
+            feed(typeof data === 'string' ? data : decoder.write(data));
+        }
+
+        done();
+    };
+
+    transformer._flush = function(done) {
+        if (enabled) {
+            feed(decoder.end());
+
+            if (self.regexes.length) {
+                matchLine(offset);
+            }
+
+            if (stemming) {
+                endWord();
+                matchStems(true);
+            }
+
+            pending.forEach(function(candidate) {
+                candidate.checkAfter = false;
+            });
+            resolve(Infinity);
+            drain(Infinity);
+        }
+
+        done();
+    };
+
+    return transformer;
+};
+
+module.exports = Matcher;
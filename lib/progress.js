@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Default number of characters of the bar
+ * @type {Number}
+ */
+var DEFAULT_WIDTH = 30;
+
+/**
+ * Default minimum number of milliseconds between two renders
+ * @type {Number}
+ */
+var DEFAULT_INTERVAL = 100;
+
+/**
+ * Default number of columns of a stream that doesn't report them
+ * @type {Number}
+ */
+var DEFAULT_COLUMNS = 80;
+
+
+/**
+ * Renders a progress bar of analyzed files on one line of a terminal stream,
+ * i.e. `[=========>          ] 45% 120/266 docs/intro.md`. The line is
+ * rewritten at most every `interval` milliseconds.
+ * @param {Object} stream    Writable terminal stream, i.e. `process.stderr`
+ * @param {Object} opts      Optional. `width` of the bar and `interval` in
+ *                           milliseconds
+ */
+function Progress(stream, opts) {
+    opts = opts ? opts : {};
+
+    this.stream = stream;
+    this.width = opts.width || DEFAULT_WIDTH;
+    this.interval = opts.interval !== undefined ? opts.interval : DEFAULT_INTERVAL;
+    this.total = 0;
+    this.current = 0;
+    this.label = '';
+    this.renderedAt = 0;
+    this.visible = false;
+}
+
+/**
+ * Starts the bar over for a number of files
+ * @param  {Number} total    Number of files
+ */
+Progress.prototype.start = function(total) {
+    this.total = total;
+    this.current = 0;
+    this.label = '';
+    this.render(true);
+};
+
+/**
+ * Counts one more file as done
+ * @param  {String} label    Optional. Name of the file shown after the bar
+ */
+Progress.prototype.tick = function(label) {
+    this.current = Math.min(this.current + 1, this.total);
+    this.label = label || '';
+    this.render(this.current === this.total);
+};
+
+/**
+ * Gets the line of the bar, cut to the columns of the stream
+ * @return {String}    Line
+ */
+Progress.prototype.line = function() {
+    var ratio = this.total ? this.current / this.total : 1;
+    var filled = Math.floor(ratio * this.width);
+    var bar = new Array(filled + 1).join('=') +
+        (filled < this.width ? '>' + new Array(this.width - filled).join(' ') : '');
+    var line = '[' + bar + '] ' + Math.floor(ratio * 100) + '% ' + this.current + '/' + this.total;
+
+    if (this.label) {
+        line += ' ' + this.label;
+    }
+
+    return line.slice(0, (this.stream.columns || DEFAULT_COLUMNS) - 1);
+};
+
+/**
+ * Rewrites the line of the bar, unless it was rewritten less than `interval`
+ * milliseconds ago
+ * @param  {Boolean} force    Optional. Whether to rewrite the line anyway
+ */
+Progress.prototype.render = function(force) {
+    var now = Date.now();
+
+    if (!force && now - this.renderedAt < this.interval) {
+        return;
+    }
+
+    this.renderedAt = now;
+    this.visible = true;
+    this.stream.write('\r\u001b[K' + this.line());
+};
+
+/**
+ * Writes a message on its own line above the bar
+ * @param  {String} message    Message
+ */
+Progress.prototype.log = function(message) {
+    this.stream.write((this.visible ? '\r\u001b[K' : '') + message + '\n');
+
+    if (this.visible) {
+        this.render(true);
+    }
+};
+
+/**
+ * Renders the final state of the bar and ends its line
+ */
+Progress.prototype.end = function() {
+    this.render(true);
+    this.stream.write('\n');
+    this.visible = false;
+};
+
+module.exports = Progress;
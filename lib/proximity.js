@@ -0,0 +1,324 @@
+'use strict';
+
+var Promise = require('bluebird');
+var Transform = require('stream').Transform;
+var StringDecoder = require('string_decoder').StringDecoder;
+var Matcher = require('./matcher');
+var statistics = require('./statistics');
+var normalizeAll = require('./keywords').normalizeAll;
+var maps = require('./maps');
+
+/**
+ * Co-occurrence unit that counts keywords found on the same line
+ * @type {String}
+ */
+var LINE = 'line';
+
+
+/**
+ * Checks a `cooccurrence` option
+ * @param  {String|Number} cooccurrence    "line", or the number of words of a window
+ * @throws {Error}                         If the option is neither
+ */
+function validate(cooccurrence) {
+    if (cooccurrence && cooccurrence !== LINE &&
+        !(typeof cooccurrence === 'number' && cooccurrence > 0 && cooccurrence % 1 === 0)) {
+        throw new Error('Invalid cooccurrence option: ' + cooccurrence);
+    }
+}
+
+/**
+ * Counts the sorted numbers in a list that are at most a value
+ * @param  {Array} list      Sorted list of numbers
+ * @param  {Number} value    Value
+ * @return {Number}          Count
+ */
+function countUpTo(list, value) {
+    var low = 0;
+    var high = list.length;
+    var middle;
+
+    while (low < high) {
+        middle = (low + high) >>> 1;
+
+        if (list[middle] <= value) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+
+    return low;
+}
+
+/**
+ * Gets the key a match is counted under, its group or its keyword
+ * @param  {Object} match    Match with a `keyword` and, for aliases, a `group`
+ * @return {String}          Key
+ */
+function countKey(match) {
+    return match.group !== undefined ? match.group : match.keyword;
+}
+
+/**
+ * Builds a symmetric co-occurrence matrix from the keys found in each unit of
+ * text. Every unit that holds two different keys adds 1 to both of their
+ * cells, and pairs that never co-occur are left out, i.e.
+ * `{ Alice: { Rabbit: 2 }, Rabbit: { Alice: 2 } }`.
+ * @param  {Array} entries    List of `{ unit, key }` objects
+ * @return {Object}           Matrix
+ */
+function matrix(entries) {
+    var units = {};
+    var cells = maps.create();
+
+    entries.forEach(function(entry) {
+        units[entry.unit] = units[entry.unit] || maps.create();
+        units[entry.unit][entry.key] = true;
+    });
+
+    Object.keys(units).forEach(function(unit) {
+        var keys = Object.keys(units[unit]);
+
+        keys.forEach(function(a) {
+            keys.forEach(function(b) {
+                if (a !== b) {
+                    cells[a] = cells[a] || maps.create();
+                    cells[a][b] = (cells[a][b] || 0) + 1;
+                }
+            });
+        });
+    });
+
+    return cells;
+}
+
+/**
+ * Adds the cells of one co-occurrence matrix to another
+ * @param  {Object} total     Matrix to add to
+ * @param  {Object} counts    Matrix to add
+ * @return {Object}           The `total` matrix
+ */
+function addMatrix(total, counts) {
+    Object.keys(counts).forEach(function(a) {
+        total[a] = total[a] || maps.create();
+
+        Object.keys(counts[a]).forEach(function(b) {
+            total[a][b] = (total[a][b] || 0) + counts[a][b];
+        });
+    });
+
+    return total;
+}
+
+/**
+ * Applies the `near` and `exclude` constraints of keywords to their matches
+ * and finds the lines and windows of words matches are in, for co-occurrence.
+ * The `near` terms and `exclude` phrases of every constrained keyword are
+ * searched by a matcher of their own, so they never compete with keywords
+ * or the terms of other keywords for the same text.
+ * @param {Array} keywords    List of keywords
+ * @param {Object} opts       Options of the matchers: `ignoreCase`, `locale`,
+ *                            `normalize`, `ignoreDiacritics`, `stem` and `language`
+ */
+function Constraints(keywords, opts) {
+    var self = this;
+
+    self.rules = {};
+    self.words = [];
+    self.lines = [0];
+    self.length = 0;
+    self.partial = '';
+
+    normalizeAll(keywords).forEach(function(keyword) {
+        if (!keyword.near && !keyword.exclude) {
+            return;
+        }
+
+        self.rules[self.ruleKey(keyword.term, keyword.group)] = {
+            near: keyword.near ? new Matcher(keyword.near, opts) : null,
+            within: keyword.within,
+            exclude: keyword.exclude ? new Matcher(keyword.exclude, opts) : null,
+            nearMatches: [],
+            excludeMatches: []
+        };
+    });
+}
+
+/**
+ * Checks whether any keyword has `near` terms or `exclude` phrases
+ * @return {Boolean}    True if there are constraints to apply
+ */
+Constraints.prototype.hasRules = function() {
+    return Object.keys(this.rules).length > 0;
+};
+
+/**
+ * Gets the key of a keyword's rule
+ * @param  {String} term     Term of the keyword
+ * @param  {String} group    Optional. Group of the keyword
+ * @return {String}          Key
+ */
+Constraints.prototype.ruleKey = function(term, group) {
+    return JSON.stringify([term, group === undefined ? null : group]);
+};
+
+/**
+ * Records the offsets of the words and lines of a chunk of text. A word
+ * split across chunks is recorded once.
+ * @param  {String} chunk     Text
+ * @param  {Boolean} final    Optional. Whether the chunk is the last one
+ */
+Constraints.prototype.index = function(chunk, final) {
+    var self = this;
+    var start = self.length - self.partial.length;
+    var text = self.partial + chunk;
+    var partial = final ? '' : text.match(statistics.PARTIAL_WORD)[0];
+    var index = chunk.indexOf('\n');
+
+    text.slice(0, text.length - partial.length).replace(statistics.WORD, function(word, offset) {
+        self.words.push(start + offset);
+
+        return word;
+    });
+
+    while (index !== -1) {
+        self.lines.push(self.length + index + 1);
+        index = chunk.indexOf('\n', index + 1);
+    }
+
+    self.partial = partial;
+    self.length += chunk.length;
+};
+
+/**
+ * Creates a pass-through Transform stream that indexes the text streamed
+ * through it and searches it for `near` terms and `exclude` phrases
+ * @return {Object}    A Transform stream
+ */
+Constraints.prototype.stream = function() {
+    var self = this;
+    var transformer = new Transform();
+    var decoder = new StringDecoder('utf8');
+    var searches = [];
+
+    Object.keys(self.rules).forEach(function(key) {
+        var rule = self.rules[key];
+
+        [['near', 'nearMatches'], ['exclude', 'excludeMatches']].forEach(function(pair) {
+            var search;
+
+            if (!rule[pair[0]]) {
+                return;
+            }
+
+            search = rule[pair[0]].stream();
+            search.on('data', function(match) {
+                rule[pair[1]].push({ start: match.index, end: match.index + match.text.length });
+            });
+            searches.push(search);
+        });
+    });
+
+    transformer._transform = function(data, encoding, done) {
+        self.index(typeof data === 'string' ? data : decoder.write(data));
+        searches.forEach(function(search) {
+            search.write(data);
+        });
+        done(null, data);
+    };
+
+    transformer._flush = function(done) {
+        self.index(decoder.end(), true);
+
+        Promise.all(searches.map(function(search) {
+                return new Promise(function(resolve, reject) {
+                    search.on('error', reject).on('end', resolve).end();
+                });
+            }))
+            .then(function() {
+                done();
+            }, done);
+    };
+
+    return transformer;
+};
+
+/**
+ * Gets the index of the word a text offset is in, or of the last word
+ * before it
+ * @param  {Number} offset    Offset in the text
+ * @return {Number}           0-based word index, -1 before the first word
+ */
+Constraints.prototype.wordAt = function(offset) {
+    return countUpTo(this.words, offset) - 1;
+};
+
+/**
+ * Checks whether a match satisfies the constraints of its keyword once the
+ * text streamed through `stream()` ended. A match inside one of the
+ * keyword's `exclude` phrases is rejected. A keyword with `near` terms needs
+ * one of them with at most `within` words between it and the match.
+ * @param  {Object} match    Match with a `keyword`, `text`, `index` and,
+ *                           for aliases, a `group`
+ * @return {Boolean}         True if the match counts
+ */
+Constraints.prototype.allows = function(match) {
+    var self = this;
+    var rule = self.rules[self.ruleKey(match.keyword, match.group)];
+    var start = match.index;
+    var end = match.index + match.text.length;
+    var first;
+    var last;
+
+    if (!rule) {
+        return true;
+    }
+
+    if (rule.excludeMatches.some(function(phrase) {
+        return phrase.start <= start && end <= phrase.end;
+    })) {
+        return false;
+    }
+
+    if (!rule.near) {
+        return true;
+    }
+
+    first = self.wordAt(start);
+    last = self.wordAt(end - 1);
+
+    return rule.nearMatches.some(function(term) {
+        if (term.end <= start) {
+            return first - self.wordAt(term.end - 1) - 1 <= rule.within;
+        }
+
+        if (term.start >= end) {
+            return self.wordAt(term.start) - last - 1 <= rule.within;
+        }
+
+        return false;
+    });
+};
+
+/**
+ * Gets the co-occurrence unit a match is in
+ * @param  {Object} match                  Match with an `index`
+ * @param  {String|Number} cooccurrence    "line", or the number of words of a window
+ * @return {Number}                        0-based index of the line or window
+ */
+Constraints.prototype.unit = function(match, cooccurrence) {
+    if (cooccurrence === LINE) {
+        return countUpTo(this.lines, match.index) - 1;
+    }
+
+    return Math.floor(this.wordAt(match.index) / cooccurrence);
+};
+
+module.exports = {
+    validate: validate,
+    countKey: countKey,
+    matrix: matrix,
+    addMatrix: addMatrix,
+    Constraints: Constraints
+};
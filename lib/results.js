@@ -0,0 +1,157 @@
+'use strict';
+
+var maps = require('./maps');
+
+/**
+ * Keys of a results object and of a file's results that hold data other than
+ * keyword counts. Keywords and file keys may start with `$` as well, so only
+ * these names are metadata.
+ * @type {Array}
+ */
+var META_KEYS = [
+    '$total', '$directories', '$corpus', '$cooccurrence', '$violations', '$skipped',
+    '$groups', '$forms', '$positions', '$stats', '$segments'
+];
+
+
+/**
+ * Checks whether a key in a results object holds metadata instead of a file
+ * or keyword
+ * @param  {String} key    Key to check
+ * @return {Boolean}       True if the key is reserved for metadata
+ */
+function isMetaKey(key) {
+    return META_KEYS.indexOf(key) !== -1;
+}
+
+/**
+ * Adds the keyword counts of one map to another
+ * @param  {Object} totals    Map of keyword counts to add to
+ * @param  {Object} counts    Map of keyword counts to add
+ * @return {Object}           The `totals` map
+ */
+function addCounts(totals, counts) {
+    Object.keys(counts).forEach(function(keyword) {
+        if (isMetaKey(keyword) || typeof counts[keyword] !== 'number') {
+            return;
+        }
+
+        totals[keyword] = maps.own(totals, keyword, 0) + counts[keyword];
+    });
+
+    return totals;
+}
+
+/**
+ * Gets the directory of a forward slash separated file key
+ * @param  {String} key    File key, i.e. `docs/a/index.md`
+ * @return {String}        Directory, i.e. `docs/a`, or an empty string
+ */
+function dirname(key) {
+    var index = key.lastIndexOf('/');
+    return index === -1 ? '' : key.slice(0, index);
+}
+
+/**
+ * Sums keyword counts for every directory and for all files. A directory's
+ * totals include the files in its subdirectories.
+ * @param  {Object} resultsMap    Map of file keys to keyword counts
+ * @return {Object}               Object with `directories`, a map of directory
+ *                                to keyword counts, and `total` keyword counts
+ */
+function rollup(resultsMap) {
+    var directories = maps.create();
+    var total = maps.create();
+
+    Object.keys(resultsMap).sort().forEach(function(key) {
+        var dir = dirname(key);
+
+        while (dir) {
+            directories[dir] = addCounts(directories[dir] || maps.create(), resultsMap[key]);
+            dir = dirname(dir);
+        }
+
+        addCounts(total, resultsMap[key]);
+    });
+
+    return {
+        directories: directories,
+        total: total
+    };
+}
+
+/**
+ * Nests file results under their directory, i.e. `{ 'docs/a': { 'index.md': {} } }`.
+ * Files at the top level are grouped under `.`
+ * @param  {Object} resultsMap    Map of file keys to keyword counts
+ * @return {Object}               Map of directories to maps of file names to keyword counts
+ */
+function groupByDirectory(resultsMap) {
+    var grouped = maps.create();
+
+    Object.keys(resultsMap).sort().forEach(function(key) {
+        var dir = dirname(key);
+        var name = dir ? key.slice(dir.length + 1) : key;
+
+        dir = dir || '.';
+        grouped[dir] = grouped[dir] || maps.create();
+        grouped[dir][name] = resultsMap[key];
+    });
+
+    return grouped;
+}
+
+/**
+ * Checks whether an entry of a results object holds the results of files
+ * grouped under a directory rather than the keyword counts of a file
+ * @param  {Object} entry    Entry of a results object
+ * @return {Boolean}         True if every value of the entry is an object
+ */
+function isDirectoryGroup(entry) {
+    var keys = Object.keys(entry).filter(function(key) {
+        return !isMetaKey(key);
+    });
+
+    return keys.length > 0 && keys.every(function(key) {
+        return entry[key] !== null && typeof entry[key] === 'object' && !Array.isArray(entry[key]);
+    });
+}
+
+/**
+ * Turns a results object back into a map of file keys to keyword counts.
+ * Results grouped by directory are flattened and metadata like `$total` is
+ * left out, so results of any `groupBy` and `rollup` can be compared.
+ * @param  {Object} report    Results object
+ * @return {Object}           Map of file keys to keyword counts
+ */
+function flatten(report) {
+    var resultsMap = maps.create();
+
+    Object.keys(report).forEach(function(key) {
+        if (isMetaKey(key)) {
+            return;
+        }
+
+        if (!isDirectoryGroup(report[key])) {
+            resultsMap[key] = report[key];
+            return;
+        }
+
+        Object.keys(report[key]).forEach(function(name) {
+            if (!isMetaKey(name)) {
+                resultsMap[key === '.' ? name : key + '/' + name] = report[key][name];
+            }
+        });
+    });
+
+    return resultsMap;
+}
+
+module.exports = {
+    isMetaKey: isMetaKey,
+    addCounts: addCounts,
+    dirname: dirname,
+    rollup: rollup,
+    groupByDirectory: groupByDirectory,
+    flatten: flatten
+};
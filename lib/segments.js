@@ -0,0 +1,395 @@
+'use strict';
+
+var path = require('path');
+var Transform = require('stream').Transform;
+var StringDecoder = require('string_decoder').StringDecoder;
+var statistics = require('./statistics');
+var extractors = require('./extractors');
+
+/**
+ * Supported values of the `segment` option
+ * @type {Array}
+ */
+var MODES = ['lines', 'words', 'headings'];
+
+/**
+ * Default number of lines or words of a segment
+ * @type {Object}
+ */
+var DEFAULT_SIZES = {
+    lines: 100,
+    words: 500
+};
+
+/**
+ * Headings segmenters by lower case file extension, with a function that
+ * blanks out the markup of a document
+ * @type {Object}
+ */
+var HEADINGS = {
+    '.md': { find: markdownHeadings, visible: String },
+    '.markdown': { find: markdownHeadings, visible: String },
+    '.html': { find: htmlHeadings, visible: htmlText },
+    '.htm': { find: htmlHeadings, visible: htmlText },
+    '.xhtml': { find: htmlHeadings, visible: htmlText }
+};
+
+
+/**
+ * Checks the segmentation options
+ * @param  {Object} opts    `segment` mode and `segmentSize`
+ * @throws {Error}          If the mode is unknown or the size is not a
+ *                          positive integer
+ */
+function validate(opts) {
+    if (opts.segment && MODES.indexOf(opts.segment) === -1) {
+        throw new Error('Unknown segment option: ' + opts.segment);
+    }
+
+    if (opts.segmentSize !== undefined &&
+        !(typeof opts.segmentSize === 'number' && opts.segmentSize > 0 && opts.segmentSize % 1 === 0)) {
+        throw new Error('Invalid segment size: ' + opts.segmentSize);
+    }
+}
+
+/**
+ * Finds the ATX (`## Title`) and setext (`Title` underlined with `=` or `-`)
+ * headings of a Markdown document outside of fenced code blocks
+ * @param  {String} text    Markdown
+ * @return {Array}          List of `{ start, label }` objects, where `start`
+ *                          is the offset of the heading's line
+ */
+function markdownHeadings(text) {
+    var headings = [];
+    var offset = 0;
+    var fence = null;
+    var previous = null;
+
+    text.split('\n').forEach(function(line) {
+        var content = line.replace(/\r$/, '');
+        var opening = /^ {0,3}(`{3,}|~{3,})/.exec(content);
+        var atx;
+
+        if (fence) {
+            if (opening && opening[1].charAt(0) === fence.charAt(0) && opening[1].length >= fence.length &&
+                /^ {0,3}[`~]+[ \t]*$/.test(content)) {
+                fence = null;
+            }
+
+            previous = null;
+        } else if (opening) {
+            fence = opening[1];
+            previous = null;
+        } else if ((atx = /^ {0,3}#{1,6}(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/.exec(content))) {
+            headings.push({ start: offset, label: (atx[1] || '').trim() });
+            previous = null;
+        } else if (previous && /^ {0,3}(=+|-+)[ \t]*$/.test(content)) {
+            headings.push(previous);
+            previous = null;
+        } else {
+            previous = content.trim() && !/^ {4}|^\t/.test(content) ?
+                { start: offset, label: content.trim() } : null;
+        }
+
+        offset += line.length + 1;
+    });
+
+    return headings;
+}
+
+/**
+ * Blanks out the comments, scripts and styles of an HTML document
+ * @param  {String} text    HTML
+ * @return {String}         HTML of the same length
+ */
+function htmlVisible(text) {
+    return text
+        .replace(extractors.HTML_COMMENT, extractors.blank)
+        .replace(extractors.HTML_HIDDEN, extractors.blank);
+}
+
+/**
+ * Blanks out every tag of an HTML document as well, leaving its text
+ * @param  {String} text    HTML
+ * @return {String}         Text of the same length
+ */
+function htmlText(text) {
+    return htmlVisible(text).replace(/<[^>]*>/g, extractors.blank);
+}
+
+/**
+ * Finds the `h1` to `h6` and `section` elements of an HTML document outside
+ * of comments, scripts and styles. Headings are labelled by their text and
+ * sections by their `id` or `aria-label`.
+ * @param  {String} text    HTML
+ * @return {Array}          List of `{ start, label }` objects, where `start`
+ *                          is the offset of the element's start tag
+ */
+function htmlHeadings(text) {
+    var headings = [];
+    var pattern = /<(h[1-6]|section)\b([^>]*)>/gi;
+    var visible = htmlVisible(text);
+    var match;
+    var name;
+    var close;
+    var attribute;
+
+    while ((match = pattern.exec(visible))) {
+        name = match[1].toLowerCase();
+
+        if (name === 'section') {
+            attribute = /\b(?:id|aria-label)\s*=\s*(?:"([^"]*)"|'([^']*)')/i.exec(match[2]);
+            headings.push({ start: match.index, label: attribute ? attribute[1] || attribute[2] : 'section' });
+            continue;
+        }
+
+        close = visible.slice(pattern.lastIndex).search(new RegExp('</' + name + '\\s*>', 'i'));
+        headings.push({
+            start: match.index,
+            label: visible.slice(pattern.lastIndex, close === -1 ? undefined : pattern.lastIndex + close)
+                .replace(/<[^>]*>/g, '')
+                .replace(/\s+/g, ' ')
+                .trim()
+        });
+    }
+
+    return headings;
+}
+
+/**
+ * Splits a file into segments as its text is streamed: ranges of `size`
+ * lines, windows of `size` words, or the sections that start at each
+ * Markdown heading or HTML `h1` to `h6` and `section` element. Files of other
+ * types are a single segment when split by headings. Headings are found in
+ * the raw text, while lines and words are counted in the extracted text,
+ * which keeps the line breaks of the raw text.
+ * @param {Object} opts    `segment`, one of `MODES`, `segmentSize`, the
+ *                         number of lines or words of a segment, and `file`,
+ *                         whose extension picks the headings segmenter
+ */
+function Segmenter(opts) {
+    this.mode = opts.segment;
+    this.size = opts.segmentSize || DEFAULT_SIZES[this.mode];
+    this.headings = this.mode === 'headings' ?
+        HEADINGS[path.extname(opts.file || '').toLowerCase()] || null : null;
+    this.boundaries = this.mode === 'lines' ? [{ start: 0, line: 1, label: null }] : [];
+    this.length = 0;
+    this.lines = 1;
+    this.words = 0;
+    this.last = '';
+    this.text = '';
+}
+
+/**
+ * Counts the lines of a chunk of text and starts a range at every `size`th line
+ * @param  {String} chunk    Text
+ */
+Segmenter.prototype.writeLines = function(chunk) {
+    var index = chunk.indexOf('\n');
+
+    while (index !== -1) {
+        this.lines++;
+
+        if ((this.lines - 1) % this.size === 0) {
+            this.boundaries.push({ start: this.length + index + 1, line: this.lines, label: null });
+        }
+
+        index = chunk.indexOf('\n', index + 1);
+    }
+};
+
+/**
+ * Counts the words of a chunk of text and starts a window at every `size`th
+ * word. A word split across chunks is counted once.
+ * @param  {String} chunk    Text
+ */
+Segmenter.prototype.writeWords = function(chunk) {
+    var self = this;
+    var start = self.length - self.text.length;
+    var text = self.text + chunk;
+    var partial = text.match(statistics.PARTIAL_WORD)[0];
+    var complete = text.slice(0, text.length - partial.length);
+    var scanned = 0;
+
+    complete.replace(statistics.WORD, function(word, index) {
+        if (self.words % self.size === 0) {
+            self.lines += countLines(complete.slice(scanned, index));
+            scanned = index;
+            self.boundaries.push({ start: start + index, line: self.lines, label: null });
+        }
+
+        self.words++;
+
+        return word;
+    });
+
+    self.lines += countLines(complete.slice(scanned));
+    self.text = partial;
+};
+
+/**
+ * Creates a pass-through Transform stream that finds the segments of the
+ * text streamed through it
+ * @return {Object}    A Transform stream
+ */
+Segmenter.prototype.stream = function() {
+    var self = this;
+    var transformer = new Transform();
+    var decoder = new StringDecoder('utf8');
+
+    function write(chunk) {
+        if (self.mode === 'lines') {
+            self.writeLines(chunk);
+        } else if (self.mode === 'words') {
+            self.writeWords(chunk);
+        } else {
+            self.lines += countLines(chunk);
+
+            if (self.headings) {
+                self.text += chunk;
+            }
+        }
+
+        self.length += chunk.length;
+        self.last = chunk ? chunk.charAt(chunk.length - 1) : self.last;
+    }
+
+    transformer._transform = function(data, encoding, done) {
+        write(typeof data === 'string' ? data : decoder.write(data));
+        done(null, data);
+    };
+
+    transformer._flush = function(done) {
+        write(decoder.end());
+
+        if (self.mode === 'words') {
+            self.writeWords(' ');
+            self.text = '';
+        }
+
+        done();
+    };
+
+    return transformer;
+};
+
+/**
+ * Gets the starts of the sections of a Markdown or HTML file split by
+ * headings. Sections that hold only whitespace or markup are left out.
+ * @return {Array}    List of `{ start, line, label }` objects
+ */
+Segmenter.prototype.headingBoundaries = function() {
+    var self = this;
+    var text;
+
+    if (!self.headings) {
+        return [{ start: 0, line: 1, label: null }];
+    }
+
+    text = self.headings.visible(self.text);
+
+    return [{ start: 0, label: null }].concat(self.headings.find(self.text))
+        .filter(function(boundary, index, list) {
+            var next = list[index + 1];
+
+            return !!text.slice(boundary.start, next ? next.start : text.length).trim();
+        })
+        .map(function(boundary) {
+            return Object.assign(boundary, { line: countLines(text.slice(0, boundary.start)) + 1 });
+        });
+};
+
+/**
+ * Gets the segments of the text streamed through `stream()` once it ended.
+ * A last range of lines that starts after the final line break is left out.
+ * @return {Array}    List of `{ label, lines, start, end }` objects with the
+ *                    first and last line and the start and end offsets of
+ *                    each segment
+ */
+Segmenter.prototype.segments = function() {
+    var self = this;
+    var lines = self.last === '\n' ? self.lines - 1 : self.lines;
+    var boundaries = self.mode === 'headings' ? self.headingBoundaries() : self.boundaries;
+
+    boundaries = boundaries.filter(function(boundary) {
+        return boundary.start < self.length;
+    });
+
+    return boundaries.map(function(boundary, index) {
+        var next = boundaries[index + 1];
+        var last = lines;
+        var label = boundary.label;
+
+        if (next) {
+            // A window of words ends on the line the next one starts on
+            last = self.mode === 'words' ? next.line : next.line - 1;
+        }
+
+        if (self.mode === 'lines') {
+            label = 'lines ' + boundary.line + '-' + last;
+        } else if (self.mode === 'words') {
+            label = 'words ' + (index * self.size + 1) + '-' + Math.min((index + 1) * self.size, self.words);
+        }
+
+        return {
+            label: label,
+            lines: [boundary.line, last],
+            start: boundary.start,
+            end: next ? next.start : self.length
+        };
+    });
+};
+
+/**
+ * Counts the line breaks in text
+ * @param  {String} text    Text
+ * @return {Number}         Number of line breaks
+ */
+function countLines(text) {
+    var count = 0;
+    var index = text.indexOf('\n');
+
+    while (index !== -1) {
+        count++;
+        index = text.indexOf('\n', index + 1);
+    }
+
+    return count;
+}
+
+/**
+ * Finds the segment a text offset belongs to
+ * @param  {Array} segments    List of segments from `Segmenter.segments()`
+ * @param  {Number} offset     Offset in the text
+ * @return {Number}            Index of the segment, or -1 if there is none
+ */
+function find(segments, offset) {
+    var low = 0;
+    var high = segments.length - 1;
+    var middle;
+
+    if (!segments.length || offset < segments[0].start) {
+        return -1;
+    }
+
+    while (low < high) {
+        middle = Math.ceil((low + high) / 2);
+
+        if (segments[middle].start <= offset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    return low;
+}
+
+module.exports = {
+    MODES: MODES,
+    validate: validate,
+    markdownHeadings: markdownHeadings,
+    htmlHeadings: htmlHeadings,
+    Segmenter: Segmenter,
+    find: find
+};
@@ -0,0 +1,521 @@
+'use strict';
+
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var PassThrough = require('stream').PassThrough;
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var mkdirp = Promise.promisify(require('mkdirp'));
+var rimraf = Promise.promisify(require('rimraf'));
+var Analyzer = require('./../analyzer');
+var files = require('./files');
+var keywords = require('./keywords');
+var sources = require('./sources');
+var pkg = require('./../package.json');
+
+/**
+ * Default size of the largest request body accepted
+ * @type {String}
+ */
+var DEFAULT_MAX_BODY_SIZE = '10mb';
+
+/**
+ * Analyzer options a request may set. Options that read or write files on
+ * the server or limit the memory an analysis takes, like `maxFileSize`, can
+ * only be set when the server is created.
+ * @type {Array}
+ */
+var REQUEST_OPTIONS = [
+    'ignoreCase', 'locale', 'normalize', 'ignoreDiacritics', 'stem', 'language',
+    'positions', 'context', 'extract', 'stats', 'segment', 'segmentSize', 'cooccurrence', 'groupBy',
+    'rollup',
+    'oversized', 'skipBinary'
+];
+
+
+/**
+ * Creates an error that is sent with an HTTP status
+ * @param  {Number} status     HTTP status code
+ * @param  {String} message    Error message
+ * @return {Error}             Error with a `status`
+ */
+function httpError(status, message) {
+    var err = new Error(message);
+
+    err.status = status;
+
+    return err;
+}
+
+/**
+ * Sends a JSON response
+ * @param  {Object} res        Server response
+ * @param  {Number} status     HTTP status code
+ * @param  {Object} body       Response body
+ * @param  {Object} headers    Optional. Additional headers
+ */
+function send(res, status, body, headers) {
+    var text = JSON.stringify(body, null, 4);
+
+    res.writeHead(status, Object.assign({
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(text)
+    }, headers));
+    res.end(text);
+}
+
+/**
+ * Reads the body of a request, up to a size limit
+ * @param  {Object} req      Server request
+ * @param  {Number} limit    Largest body size in bytes
+ * @return {Object}          A promise that resolves with the body as a buffer,
+ *                           or rejects with a 413 error once it gets too large
+ */
+function readBody(req, limit) {
+    return new Promise(function(resolve, reject) {
+        var chunks = [];
+        var size = 0;
+        var tooLarge = httpError(413, 'Request body is larger than ' + limit + ' bytes');
+
+        if (Number(req.headers['content-length']) > limit) {
+            reject(tooLarge);
+            return;
+        }
+
+        req.on('data', function(chunk) {
+            size += chunk.length;
+
+            if (size > limit) {
+                chunks = [];
+                reject(tooLarge);
+                return;
+            }
+
+            chunks.push(chunk);
+        });
+        req.on('end', function() {
+            resolve(Buffer.concat(chunks));
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Splits a `multipart/form-data` body into its parts
+ * @param  {Buffer} body           Request body
+ * @param  {String} contentType    Content type of the request, with the boundary
+ * @return {Array}                 List of `{ name, filename, data }` objects
+ * @throws {Error}                 If the body is not valid multipart data
+ */
+function parseMultipart(body, contentType) {
+    var match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+    var parts = [];
+    var boundary;
+    var start;
+    var end;
+    var part;
+    var split;
+    var headers;
+    var name;
+    var filename;
+
+    if (!match) {
+        throw httpError(400, 'Missing multipart boundary');
+    }
+
+    boundary = Buffer.from('--' + (match[1] || match[2]));
+    start = body.indexOf(boundary);
+
+    while (start !== -1) {
+        start += boundary.length;
+
+        if (body.toString('ascii', start, start + 2) === '--') {
+            return parts;
+        }
+
+        end = body.indexOf(boundary, start);
+        part = end === -1 ? null : body.slice(start + 2, end - 2);
+        split = part ? part.indexOf('\r\n\r\n') : -1;
+
+        if (split === -1) {
+            break;
+        }
+
+        headers = part.toString('utf8', 0, split);
+        name = /\bname="([^"]*)"/i.exec(headers);
+        filename = /\bfilename="([^"]*)"/i.exec(headers);
+        parts.push({
+            name: name ? name[1] : '',
+            filename: filename ? filename[1] : null,
+            data: part.slice(split + 4)
+        });
+        start = end;
+    }
+
+    throw httpError(400, 'Invalid multipart body');
+}
+
+/**
+ * Parses a JSON field of a request
+ * @param  {String} text    JSON text
+ * @param  {String} name    Name of the field, for the error message
+ * @return {*}              Parsed value
+ * @throws {Error}          If the text is not valid JSON
+ */
+function parseJson(text, name) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw httpError(400, 'Invalid JSON in ' + name + ': ' + err.message);
+    }
+}
+
+/**
+ * Reads what to analyze from a JSON request body, i.e.
+ * `{ "text": "...", "keywords": ["Alice"], "options": { "ignoreCase": true } }`.
+ * `files` maps file names to their text, or to `{ "base64": "..." }` for
+ * binary files.
+ * @param  {Buffer} body    Request body
+ * @return {Object}         `text`, `files`, `keywords` and `options`
+ */
+function fromJson(body) {
+    var data = parseJson(body.toString('utf8'), 'request body');
+    var input;
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw httpError(400, 'Request body must be a JSON object');
+    }
+
+    input = { text: data.text, files: [], keywords: data.keywords, options: data.options };
+
+    Object.keys(data.files || {}).forEach(function(name) {
+        var content = data.files[name];
+
+        if (typeof content === 'string') {
+            input.files.push({ name: name, data: Buffer.from(content, 'utf8') });
+        } else if (content && typeof content.base64 === 'string') {
+            input.files.push({ name: name, data: Buffer.from(content.base64, 'base64') });
+        } else {
+            throw httpError(400, 'Content of file must be a string or { base64 }: ' + name);
+        }
+    });
+
+    return input;
+}
+
+/**
+ * Reads what to analyze from a `multipart/form-data` request body. Uploaded
+ * files are analyzed, except one uploaded as `keywords`, which is read as a
+ * keyword list file of its extension. The `text` field is analyzed as text,
+ * the `keywords` field is a JSON list or one keyword per line and `options`
+ * is a JSON object.
+ * @param  {Buffer} body           Request body
+ * @param  {String} contentType    Content type of the request
+ * @return {Object}                `text`, `files`, `keywords`, `keywordsFile` and `options`
+ */
+function fromMultipart(body, contentType) {
+    var input = { files: [] };
+
+    parseMultipart(body, contentType).forEach(function(part) {
+        var value = part.data.toString('utf8');
+
+        if (part.name === 'keywords' && part.filename !== null) {
+            input.keywordsFile = { name: part.filename, data: part.data };
+        } else if (part.filename !== null) {
+            input.files.push({ name: part.filename, data: part.data });
+        } else if (part.name === 'text') {
+            input.text = value;
+        } else if (part.name === 'keywords') {
+            input.keywords = /^\s*\[/.test(value) ? parseJson(value, 'keywords') : sources.text(value);
+        } else if (part.name === 'options') {
+            input.options = parseJson(value, 'options');
+        } else {
+            throw httpError(400, 'Unknown field: ' + part.name);
+        }
+    });
+
+    return input;
+}
+
+/**
+ * Checks the options of a request
+ * @param  {Object} options    Options
+ * @return {Object}            The options, or an empty object if there are none
+ * @throws {Error}             If the options are not an object or not all can be
+ *                             set by a request
+ */
+function checkOptions(options) {
+    if (options === undefined || options === null) {
+        return {};
+    }
+
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw httpError(400, 'Options must be an object');
+    }
+
+    Object.keys(options).forEach(function(name) {
+        if (REQUEST_OPTIONS.indexOf(name) === -1) {
+            throw httpError(400, 'Unknown option: ' + name);
+        }
+    });
+
+    return options;
+}
+
+/**
+ * Checks that the keywords of a request, their near terms and their exclude
+ * phrases aren't matched as regular expressions, which can take very long
+ * to match
+ * @param  {Array} list    List of keywords
+ * @throws {Error}         If a keyword is invalid or matched as a regex
+ */
+function checkRegex(list) {
+    var normalized;
+
+    try {
+        normalized = keywords.normalizeAll(list);
+    } catch (err) {
+        throw httpError(400, err.message);
+    }
+
+    normalized.forEach(function(keyword) {
+        [keyword].concat(keyword.near || [], keyword.exclude || []).forEach(function(term) {
+            if (term.mode === 'regex') {
+                throw httpError(400, 'Regex keywords are not allowed: ' + term.term);
+            }
+        });
+    });
+}
+
+/**
+ * Checks the options of a request's analyzer and the keywords it sent before
+ * the analysis, so only they are answered with a 400 error and other failures
+ * of the analysis with a 500 error
+ * @param  {Object} analyzer       Analyzer of the request
+ * @param  {Boolean} sent          Whether the request sent keywords
+ * @param  {Boolean} allowRegex    Whether the keywords may be matched as
+ *                                 regular expressions
+ * @return {Object}                A promise that rejects with a 400 error if
+ *                                 an option or keyword is invalid
+ */
+function checkRequest(analyzer, sent, allowRegex) {
+    try {
+        analyzer.validate();
+    } catch (err) {
+        return Promise.reject(httpError(400, err.message));
+    }
+
+    if (!sent) {
+        return Promise.resolve();
+    }
+
+    return analyzer.getKeywords()
+        .catch(function(err) {
+            return Promise.reject(httpError(400, err.message));
+        })
+        .then(function(list) {
+            if (!allowRegex) {
+                checkRegex(list);
+            }
+        });
+}
+
+/**
+ * Writes a file of a request below a directory
+ * @param  {String} dir     Directory
+ * @param  {Object} file    `{ name, data }` object
+ * @return {Object}         A promise that resolves with the path of the file,
+ *                          or rejects with a 400 error if its name leads
+ *                          outside the directory
+ */
+function writeFile(dir, file) {
+    var relative = path.normalize(String(file.name).replace(/\\/g, '/')).replace(/^[\/\\]+/, '');
+    var destination = path.join(dir, relative);
+
+    if (!relative || relative === '.' || path.relative(dir, destination).split(path.sep)[0] === '..') {
+        return Promise.reject(httpError(400, 'Invalid file name: ' + file.name));
+    }
+
+    return mkdirp(path.dirname(destination))
+        .then(function() {
+            return fs.writeFileAsync(destination, file.data);
+        })
+        .then(function() {
+            return destination;
+        });
+}
+
+/**
+ * Analyzes the text or files of a request. Files are written to a temporary
+ * directory that is analyzed and removed afterwards, so results are keyed by
+ * file name like those of a directory. Uploaded archives aren't decompressed.
+ * @param  {Object} defaults       Analyzer options of the server
+ * @param  {Object} input          `text`, `files`, `keywords`, `keywordsFile`
+ *                                 and `options` of the request
+ * @param  {Boolean} allowRegex    Whether the keywords of the request may be
+ *                                 matched as regular expressions
+ * @return {Object}                A promise that resolves with the results report
+ */
+function analyze(defaults, input, allowRegex) {
+    var config;
+
+    try {
+        config = Object.assign({}, defaults, checkOptions(input.options), {
+            write: false,
+            discover: false,
+            archives: false
+        });
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    if (input.text !== undefined && input.files.length) {
+        return Promise.reject(httpError(400, 'Send either text or files, not both'));
+    }
+
+    if (typeof input.text !== 'string' && !input.files.length) {
+        return Promise.reject(httpError(400, 'Send text or files to analyze'));
+    }
+
+    if (input.keywords !== undefined) {
+        if (!Array.isArray(input.keywords)) {
+            return Promise.reject(httpError(400, 'Keywords must be a list'));
+        }
+
+        config.keywordsList = input.keywords;
+        config.keywordFiles = [];
+    }
+
+    return fs.mkdtempAsync(path.join(os.tmpdir(), 'keyword-count-'))
+        .then(function(dir) {
+            var target = path.join(dir, 'files');
+
+            return Promise.mapSeries(input.files, function(file) {
+                    return writeFile(target, file);
+                })
+                .then(function() {
+                    if (input.keywordsFile) {
+                        return writeFile(path.join(dir, 'keywords'), input.keywordsFile);
+                    }
+                })
+                .then(function(keywordsFile) {
+                    var analyzer;
+                    var stdin;
+
+                    if (keywordsFile) {
+                        config.keywordsList = '';
+                        config.keywordFiles = [keywordsFile];
+                    }
+
+                    if (!config.keywordsList && !(config.keywordFiles && config.keywordFiles.length)) {
+                        return Promise.reject(httpError(400, 'Send a keyword list'));
+                    }
+
+                    if (input.files.length) {
+                        config.target = target;
+                    } else {
+                        stdin = new PassThrough();
+                        stdin.end(input.text);
+                        config.target = '-';
+                        config.stdin = stdin;
+                    }
+
+                    analyzer = new Analyzer(config);
+
+                    // Files that can't be read are listed under $skipped
+                    analyzer.on('error', function() {});
+
+                    return checkRequest(analyzer, input.keywords !== undefined || !!keywordsFile, allowRegex)
+                        .then(function() {
+                            return analyzer.analyze();
+                        });
+                })
+                .finally(function() {
+                    return rimraf(dir, { glob: false });
+                });
+        });
+}
+
+/**
+ * Creates an HTTP server that analyzes text and files sent to it.
+ * `POST /analyze` takes a JSON or `multipart/form-data` body with the `text`
+ * or `files` to analyze, a list of `keywords` and analyzer `options`, or a
+ * `text/plain` body analyzed with the default keywords, and responds with
+ * the results report of `analyze()`. `GET /health` responds
+ * with `{ "status": "ok" }` and the package version. Errors are sent as
+ * `{ "error": message }` with a 4xx or 500 status.
+ * @param  {Object} opts    Optional. `defaults`, analyzer options used for every
+ *                          request, including a default keyword list,
+ *                          `maxBodySize`, the size of the largest request body,
+ *                          i.e. `512k`, default 10mb, and `allowRegex`, whether
+ *                          requests may send regex keywords, default false
+ * @return {Object}         An `http.Server` that is not listening yet
+ * @throws {Error}          If `maxBodySize` is invalid
+ */
+function createServer(opts) {
+    var defaults;
+    var maxBodySize;
+
+    opts = opts ? opts : {};
+    defaults = Object.assign({}, opts.defaults);
+    maxBodySize = files.parseSize(opts.maxBodySize || DEFAULT_MAX_BODY_SIZE);
+
+    return http.createServer(function(req, res) {
+        var pathname = req.url.split('?')[0];
+        var contentType = req.headers['content-type'] || '';
+
+        if (pathname === '/health') {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                send(res, 405, { error: 'Method not allowed' }, { Allow: 'GET, HEAD' });
+                return;
+            }
+
+            send(res, 200, { status: 'ok', version: pkg.version });
+            return;
+        }
+
+        if (pathname !== '/analyze') {
+            send(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        if (req.method !== 'POST') {
+            send(res, 405, { error: 'Method not allowed' }, { Allow: 'POST' });
+            return;
+        }
+
+        readBody(req, maxBodySize)
+            .then(function(body) {
+                if (/^multipart\/form-data/i.test(contentType)) {
+                    return fromMultipart(body, contentType);
+                }
+
+                if (/^text\/plain/i.test(contentType)) {
+                    return { text: body.toString('utf8'), files: [] };
+                }
+
+                if (/^application\/json/i.test(contentType) || !contentType) {
+                    return fromJson(body);
+                }
+
+                throw httpError(415, 'Send application/json, multipart/form-data or text/plain');
+            })
+            .then(function(input) {
+                return analyze(defaults, input, opts.allowRegex === true);
+            })
+            .then(function(report) {
+                send(res, 200, report);
+            })
+            .catch(function(err) {
+                // Stop reading a body that is too large
+                send(res, err.status || 500, { error: err.message },
+                    err.status === 413 ? { Connection: 'close' } : undefined);
+            });
+    });
+}
+
+module.exports = {
+    REQUEST_OPTIONS: REQUEST_OPTIONS,
+    createServer: createServer
+};
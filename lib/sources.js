@@ -0,0 +1,317 @@
+'use strict';
+
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var path = require('path');
+var yaml = require('js-yaml');
+var maps = require('./maps');
+
+/**
+ * Columns of a CSV keyword list with a header row
+ * @type {Array}
+ */
+var CSV_COLUMNS = ['term', 'mode', 'group', 'min', 'max', 'scope', 'near', 'within', 'exclude'];
+
+/**
+ * Separator of the terms in the `near` and `exclude` columns of a CSV keyword list
+ * @type {String}
+ */
+var CSV_TERM_SEPARATOR = '|';
+
+
+/**
+ * Gets the keyword array of a parsed JSON or YAML keyword list
+ * @param  {*} data           Parsed document
+ * @param  {String} keyName   Name of the keyword array
+ * @return {Array}            List of keywords
+ * @throws {Error}            If the document has no keyword array
+ */
+function keywordArray(data, keyName) {
+    var list = Array.isArray(data) ? data : data && data[keyName];
+
+    if (!Array.isArray(list)) {
+        throw new Error('Keyword list has no "' + keyName + '" array');
+    }
+
+    return list;
+}
+
+/**
+ * Parses a JSON keyword list, an object with an array of keywords under
+ * `keyName` or an array of keywords
+ * @param  {String} text      File content
+ * @param  {String} keyName   Name of the keyword array
+ * @return {Array}            List of keywords
+ */
+function json(text, keyName) {
+    return keywordArray(JSON.parse(text), keyName);
+}
+
+/**
+ * Parses a YAML keyword list, shaped like a JSON keyword list
+ * @param  {String} text      File content
+ * @param  {String} keyName   Name of the keyword array
+ * @return {Array}            List of keywords
+ */
+function yamlList(text, keyName) {
+    return keywordArray(yaml.load(text), keyName);
+}
+
+/**
+ * Parses a plain text keyword list with one keyword per line. Blank lines and
+ * lines starting with `#` are skipped.
+ * @param  {String} content    File content
+ * @return {Array}             List of keywords
+ */
+function text(content) {
+    return content.split(/\r?\n/)
+        .map(function(line) {
+            return line.trim();
+        })
+        .filter(function(line) {
+            return line && line.charAt(0) !== '#';
+        });
+}
+
+/**
+ * Splits CSV text into rows of cells. Cells may be quoted with `"` and
+ * contain commas, line breaks and doubled quotes.
+ * @param  {String} content    CSV text
+ * @return {Array}             List of arrays of cells
+ */
+function parseCsv(content) {
+    var rows = [];
+    var row = [];
+    var cell = '';
+    var quoted = false;
+    var index;
+    var char;
+
+    for (index = 0; index < content.length; index++) {
+        char = content.charAt(index);
+
+        if (quoted) {
+            if (char === '"' && content.charAt(index + 1) === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content.charAt(index + 1) === '\n') {
+                index++;
+            }
+
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(function(cells) {
+        return cells.some(function(value) {
+            return value.trim();
+        });
+    });
+}
+
+/**
+ * Picks the threshold columns of a CSV row
+ * @param  {Object} values    Values of a row by column
+ * @return {Object}           `min`, `max` and `scope` values that are set
+ */
+function limits(values) {
+    var picked = {};
+
+    ['min', 'max', 'scope'].forEach(function(key) {
+        if (values[key] !== undefined) {
+            picked[key] = values[key];
+        }
+    });
+
+    return picked;
+}
+
+/**
+ * Picks the constraint columns of a CSV row
+ * @param  {Object} values    Values of a row by column
+ * @return {Object}           `near` and `exclude` terms and `within` values that are set
+ */
+function constraints(values) {
+    var picked = {};
+
+    ['near', 'exclude'].forEach(function(key) {
+        if (values[key] !== undefined) {
+            picked[key] = values[key].split(CSV_TERM_SEPARATOR).map(function(term) {
+                return term.trim();
+            }).filter(Boolean);
+        }
+    });
+
+    if (values.within !== undefined) {
+        picked.within = values.within;
+    }
+
+    return picked;
+}
+
+/**
+ * Parses a CSV keyword list. Without a header row, the first cell of every
+ * row is a keyword. With a header row naming a `term` column, the optional
+ * `mode`, `group`, `min`, `max` and `scope` columns are read as well and rows
+ * of the same `group` become aliases of one keyword group. The optional
+ * `near`, `within` and `exclude` columns constrain the keyword of their row,
+ * with several terms separated by `|`.
+ * @param  {String} content    File content
+ * @return {Array}             List of keywords
+ */
+function csv(content) {
+    var rows = parseCsv(content);
+    var header = (rows[0] || []).map(function(cell) {
+        return cell.trim().toLowerCase();
+    });
+    var columns = {};
+    var groups = maps.create();
+    var list = [];
+
+    if (header.indexOf('term') === -1) {
+        return rows.map(function(cells) {
+            return cells[0].trim();
+        }).filter(Boolean);
+    }
+
+    CSV_COLUMNS.forEach(function(column) {
+        columns[column] = header.indexOf(column);
+    });
+
+    rows.slice(1).forEach(function(cells) {
+        var values = {};
+        var keyword;
+        var target;
+
+        CSV_COLUMNS.forEach(function(column) {
+            var value = columns[column] === -1 ? '' : (cells[columns[column]] || '').trim();
+
+            if (value) {
+                values[column] = column === 'min' || column === 'max' || column === 'within' ?
+                    Number(value) : value;
+            }
+        });
+
+        if (!values.term) {
+            return;
+        }
+
+        keyword = values.mode ? { term: values.term, mode: values.mode } : values.term;
+
+        if (values.near !== undefined || values.within !== undefined || values.exclude !== undefined) {
+            keyword = Object.assign(typeof keyword === 'string' ? { term: keyword } : keyword,
+                constraints(values));
+        }
+
+        if (!values.group) {
+            if (values.min !== undefined || values.max !== undefined || values.scope) {
+                keyword = Object.assign(typeof keyword === 'string' ? { term: keyword } : keyword,
+                    limits(values));
+            }
+
+            list.push(keyword);
+            return;
+        }
+
+        if (!groups[values.group]) {
+            groups[values.group] = { group: values.group, aliases: [] };
+            list.push(groups[values.group]);
+        }
+
+        target = groups[values.group];
+        target.aliases.push(keyword);
+        Object.keys(limits(values)).forEach(function(key) {
+            if (target[key] === undefined) {
+                target[key] = values[key];
+            }
+        });
+    });
+
+    return list;
+}
+
+/**
+ * Parsers of keyword list files by extension. Files with other extensions are
+ * parsed as JSON.
+ * @type {Object}
+ */
+var PARSERS = {
+    '.txt': text,
+    '.yml': yamlList,
+    '.yaml': yamlList,
+    '.csv': csv
+};
+
+/**
+ * Reads a keyword list file. The format is picked by the file's extension:
+ * `.txt` for one keyword per line, `.yml`/`.yaml`, `.csv`, or JSON otherwise.
+ * @param  {String} file       Keyword list file
+ * @param  {String} keyName    Name of the keyword array in JSON and YAML files
+ * @return {Object}            A promise that resolves with the list of keywords
+ */
+function load(file, keyName) {
+    var parse = PARSERS[path.extname(file).toLowerCase()] || json;
+
+    return fs.readFileAsync(file, 'utf8')
+        .then(function(content) {
+            if (!content.trim()) {
+                return Promise.reject(new Error('Keyword list file is empty: ' + file));
+            }
+
+            return parse(content, keyName);
+        });
+}
+
+/**
+ * Merges keyword lists into one. A keyword or group that is already listed,
+ * by its term or group name, is left out.
+ * @param  {Array} lists    List of keyword lists
+ * @return {Array}          Merged list of keywords
+ */
+function merge(lists) {
+    var seen = maps.create();
+
+    return lists.reduce(function(merged, list) {
+        return merged.concat(list.filter(function(keyword) {
+            var key = typeof keyword === 'string' ? keyword :
+                keyword && (keyword.group !== undefined ? '$group:' + keyword.group : keyword.term);
+
+            if (key === undefined || !seen[key]) {
+                seen[key] = true;
+                return true;
+            }
+
+            return false;
+        }));
+    }, []);
+}
+
+module.exports = {
+    json: json,
+    yaml: yamlList,
+    text: text,
+    csv: csv,
+    load: load,
+    merge: merge
+};
@@ -0,0 +1,161 @@
+'use strict';
+
+var results = require('./results');
+var maps = require('./maps');
+
+/**
+ * A word: a run of letters, marks, numbers and connector punctuation that may
+ * contain apostrophes, i.e. "Rabbit", "don't" or "42"
+ * @type {RegExp}
+ */
+var WORD = /[\p{L}\p{M}\p{N}\p{Pc}]+(?:['’][\p{L}\p{M}\p{N}\p{Pc}]+)*/gu;
+
+/**
+ * Text at the end of a chunk that may continue in the next chunk
+ * @type {RegExp}
+ */
+var PARTIAL_WORD = /[\p{L}\p{M}\p{N}\p{Pc}'’]*$/u;
+
+/**
+ * Number of decimal places density and TF-IDF scores are rounded to
+ * @type {Number}
+ */
+var PRECISION = 4;
+
+
+/**
+ * Rounds a number to `PRECISION` decimal places
+ * @param  {Number} value    Number
+ * @return {Number}          Rounded number
+ */
+function round(value) {
+    var factor = Math.pow(10, PRECISION);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Counts the words in a piece of text
+ * @param  {String} text    Text
+ * @return {Number}         Number of words
+ */
+function countWords(text) {
+    var matches = text.match(WORD);
+    return matches ? matches.length : 0;
+}
+
+/**
+ * Counts the words in text that is written in chunks. Words split across
+ * chunks are counted once.
+ */
+function WordCounter() {
+    this.words = 0;
+    this.carry = '';
+}
+
+/**
+ * Counts the words in a chunk of text
+ * @param  {String} chunk    Text
+ */
+WordCounter.prototype.write = function(chunk) {
+    var text = this.carry + chunk;
+    var partial = text.match(PARTIAL_WORD)[0];
+
+    this.words += countWords(text.slice(0, text.length - partial.length));
+    this.carry = partial;
+};
+
+/**
+ * Counts the words left over from the last chunk
+ * @return {Number}    Number of words in all chunks
+ */
+WordCounter.prototype.end = function() {
+    this.words += countWords(this.carry);
+    this.carry = '';
+
+    return this.words;
+};
+
+/**
+ * Creates the statistics of a single file: its number of `words` and the
+ * `density` of each keyword, the percentage of words that are the keyword
+ * @param  {Object} counts    Map of keyword counts
+ * @param  {Number} words     Number of words in the file
+ * @return {Object}           File statistics
+ */
+function fileStats(counts, words) {
+    var density = maps.create();
+
+    Object.keys(counts).forEach(function(keyword) {
+        if (results.isMetaKey(keyword)) {
+            return;
+        }
+
+        density[keyword] = words ? round(counts[keyword] / words * 100) : 0;
+    });
+
+    return { words: words, density: density };
+}
+
+/**
+ * Computes statistics across all files in a results map and adds the TF-IDF
+ * score of each keyword to every file's `$stats`. The term frequency is the
+ * keyword's count divided by the file's words and the inverse document
+ * frequency is smoothed, `ln((1 + files) / (1 + documentFrequency)) + 1`, so
+ * keywords found in every file still score above 0.
+ * @param  {Object} resultsMap    Map of file keys to keyword counts with `$stats`
+ * @return {Object}               Corpus statistics: the number of `files` and
+ *                                `words`, and the `documentFrequency`, the number
+ *                                of files a keyword is found in, and `idf` of
+ *                                each keyword
+ */
+function annotate(resultsMap) {
+    var keys = Object.keys(resultsMap).filter(function(key) {
+        return !results.isMetaKey(key) && resultsMap[key].$stats;
+    });
+    var corpus = {
+        files: keys.length,
+        words: 0,
+        documentFrequency: maps.create(),
+        idf: maps.create()
+    };
+    var idf = maps.create();
+
+    keys.forEach(function(key) {
+        var counts = resultsMap[key];
+
+        corpus.words += counts.$stats.words;
+
+        Object.keys(counts.$stats.density).forEach(function(keyword) {
+            corpus.documentFrequency[keyword] = (corpus.documentFrequency[keyword] || 0) +
+                (counts[keyword] > 0 ? 1 : 0);
+        });
+    });
+
+    Object.keys(corpus.documentFrequency).forEach(function(keyword) {
+        idf[keyword] = Math.log((1 + corpus.files) / (1 + corpus.documentFrequency[keyword])) + 1;
+        corpus.idf[keyword] = round(idf[keyword]);
+    });
+
+    keys.forEach(function(key) {
+        var counts = resultsMap[key];
+        var words = counts.$stats.words;
+        var tfidf = maps.create();
+
+        Object.keys(counts.$stats.density).forEach(function(keyword) {
+            tfidf[keyword] = words ? round(counts[keyword] / words * idf[keyword]) : 0;
+        });
+
+        counts.$stats.tfidf = tfidf;
+    });
+
+    return corpus;
+}
+
+module.exports = {
+    WORD: WORD,
+    PARTIAL_WORD: PARTIAL_WORD,
+    countWords: countWords,
+    WordCounter: WordCounter,
+    fileStats: fileStats,
+    annotate: annotate
+};
@@ -0,0 +1,397 @@
+'use strict';
+
+/**
+ * Default language of the stemmer used when `stem` is true
+ * @type {String}
+ */
+var DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Irregular English forms by the lemma they are reduced to before stemming,
+ * so that forms no suffix rule can reach count together, i.e. "ran" with
+ * "run". Forms that are common words of their own, like "left" or "saw",
+ * are left out.
+ * @type {Object}
+ */
+var IRREGULAR_FORMS = {
+    arise: ['arose', 'arisen'],
+    awake: ['awoke', 'awoken'],
+    be: ['am', 'is', 'are', 'was', 'were', 'been'],
+    bear: ['bore', 'borne'],
+    become: ['became'],
+    begin: ['began', 'begun'],
+    bend: ['bent'],
+    bite: ['bit', 'bitten'],
+    bleed: ['bled'],
+    blow: ['blew', 'blown'],
+    break: ['broke', 'broken'],
+    breed: ['bred'],
+    bring: ['brought'],
+    build: ['built'],
+    buy: ['bought'],
+    catch: ['caught'],
+    child: ['children'],
+    choose: ['chose', 'chosen'],
+    come: ['came'],
+    creep: ['crept'],
+    deal: ['dealt'],
+    dig: ['dug'],
+    do: ['did', 'does', 'done'],
+    draw: ['drew', 'drawn'],
+    drink: ['drank', 'drunk'],
+    drive: ['drove', 'driven'],
+    eat: ['ate', 'eaten'],
+    fall: ['fell', 'fallen'],
+    feed: ['fed'],
+    feel: ['felt'],
+    fight: ['fought'],
+    find: ['found'],
+    flee: ['fled'],
+    fly: ['flew', 'flown'],
+    foot: ['feet'],
+    forbid: ['forbade', 'forbidden'],
+    forget: ['forgot', 'forgotten'],
+    forgive: ['forgave', 'forgiven'],
+    freeze: ['froze', 'frozen'],
+    get: ['got', 'gotten'],
+    give: ['gave', 'given'],
+    go: ['went', 'gone'],
+    goose: ['geese'],
+    grow: ['grew', 'grown'],
+    hang: ['hung'],
+    have: ['has', 'had'],
+    hear: ['heard'],
+    hide: ['hid', 'hidden'],
+    hold: ['held'],
+    keep: ['kept'],
+    know: ['knew', 'known'],
+    lead: ['led'],
+    lend: ['lent'],
+    lose: ['lost'],
+    louse: ['lice'],
+    make: ['made'],
+    man: ['men'],
+    mean: ['meant'],
+    meet: ['met'],
+    mouse: ['mice'],
+    ox: ['oxen'],
+    pay: ['paid'],
+    person: ['people'],
+    ride: ['rode', 'ridden'],
+    ring: ['rang', 'rung'],
+    run: ['ran'],
+    say: ['said'],
+    see: ['seen'],
+    seek: ['sought'],
+    sell: ['sold'],
+    send: ['sent'],
+    shake: ['shook', 'shaken'],
+    shine: ['shone'],
+    shoot: ['shot'],
+    show: ['shown'],
+    sing: ['sang', 'sung'],
+    sink: ['sank', 'sunk'],
+    sit: ['sat'],
+    sleep: ['slept'],
+    slide: ['slid'],
+    speak: ['spoke', 'spoken'],
+    spend: ['spent'],
+    spin: ['spun'],
+    stand: ['stood'],
+    steal: ['stole', 'stolen'],
+    stick: ['stuck'],
+    sting: ['stung'],
+    strike: ['struck'],
+    swear: ['swore', 'sworn'],
+    sweep: ['swept'],
+    swim: ['swam', 'swum'],
+    take: ['took', 'taken'],
+    teach: ['taught'],
+    tear: ['tore', 'torn'],
+    tell: ['told'],
+    think: ['thought'],
+    throw: ['threw', 'thrown'],
+    tooth: ['teeth'],
+    understand: ['understood'],
+    wake: ['woke', 'woken'],
+    wear: ['wore', 'worn'],
+    win: ['won'],
+    woman: ['women'],
+    write: ['wrote', 'written']
+};
+
+/**
+ * Lemmas of the irregular English forms by form
+ * @type {Object}
+ */
+var LEMMAS = Object.keys(IRREGULAR_FORMS).reduce(function(lemmas, lemma) {
+    IRREGULAR_FORMS[lemma].forEach(function(form) {
+        lemmas[form] = lemma;
+    });
+
+    return lemmas;
+}, {});
+
+/**
+ * Suffixes replaced in step 2 of the Porter stemmer
+ * @type {Object}
+ */
+var STEP2_SUFFIXES = {
+    ational: 'ate',
+    tional: 'tion',
+    enci: 'ence',
+    anci: 'ance',
+    izer: 'ize',
+    bli: 'ble',
+    alli: 'al',
+    entli: 'ent',
+    eli: 'e',
+    ousli: 'ous',
+    ization: 'ize',
+    ation: 'ate',
+    ator: 'ate',
+    alism: 'al',
+    iveness: 'ive',
+    fulness: 'ful',
+    ousness: 'ous',
+    aliti: 'al',
+    iviti: 'ive',
+    biliti: 'ble',
+    logi: 'log'
+};
+
+/**
+ * Suffixes replaced in step 3 of the Porter stemmer
+ * @type {Object}
+ */
+var STEP3_SUFFIXES = {
+    icate: 'ic',
+    ative: '',
+    alize: 'al',
+    iciti: 'ic',
+    ical: 'ic',
+    ful: '',
+    ness: ''
+};
+
+/**
+ * A run of consonants and a run of vowels in the Porter stemmer. A `y` is a
+ * consonant at the start of a word, where it is upper cased while the word
+ * is stemmed.
+ * @type {String}
+ */
+var CONSONANTS = '[^aeiou][^aeiouy]*';
+var VOWELS = '[aeiouy][aeiou]*';
+
+/**
+ * Tests of a stem's measure, the number of vowel-consonant sequences it has,
+ * for m > 0, m = 1 and m > 1, and of whether it has a vowel at all
+ * @type {RegExp}
+ */
+var MEASURE_GT0 = new RegExp('^(' + CONSONANTS + ')?' + VOWELS + CONSONANTS);
+var MEASURE_EQ1 = new RegExp('^(' + CONSONANTS + ')?' + VOWELS + CONSONANTS + '(' + VOWELS + ')?$');
+var MEASURE_GT1 = new RegExp('^(' + CONSONANTS + ')?' + VOWELS + CONSONANTS + VOWELS + CONSONANTS);
+var HAS_VOWEL = new RegExp('^(' + CONSONANTS + ')?[aeiouy]');
+
+/**
+ * Tests whether a stem ends with consonant-vowel-consonant where the last
+ * consonant is not w, x or y, i.e. "hop" but not "hope" or "snow"
+ * @type {RegExp}
+ */
+var SHORT = new RegExp('^' + CONSONANTS + '[aeiouy][^aeiouwxy]$');
+
+/**
+ * Registered stemmers by lower case language code
+ * @type {Object}
+ */
+var registry = {};
+
+
+/**
+ * Stems an English word with the Porter algorithm, i.e. "running" to "run"
+ * and "connections" to "connect". Words shorter than three letters are left
+ * as they are.
+ * @param  {String} word    Lower case word
+ * @return {String}         Stem
+ */
+function porter(word) {
+    var initialY;
+    var match;
+    var stem;
+
+    if (word.length < 3) {
+        return word;
+    }
+
+    initialY = word.charAt(0) === 'y';
+
+    if (initialY) {
+        word = 'Y' + word.slice(1);
+    }
+
+    // Step 1a: plurals
+    if ((match = /^(.+?)(ss|i)es$/.exec(word))) {
+        word = match[1] + match[2];
+    } else if ((match = /^(.+?)([^s])s$/.exec(word))) {
+        word = match[1] + match[2];
+    }
+
+    // Step 1b: past tenses and participles
+    if ((match = /^(.+?)eed$/.exec(word))) {
+        if (MEASURE_GT0.test(match[1])) {
+            word = word.slice(0, -1);
+        }
+    } else if ((match = /^(.+?)(ed|ing)$/.exec(word)) && HAS_VOWEL.test(match[1])) {
+        word = match[1];
+
+        if (/(at|bl|iz)$/.test(word)) {
+            word += 'e';
+        } else if (/([^aeiouylsz])\1$/.test(word)) {
+            word = word.slice(0, -1);
+        } else if (SHORT.test(word)) {
+            word += 'e';
+        }
+    }
+
+    // Step 1c: y to i
+    if ((match = /^(.+?)y$/.exec(word)) && HAS_VOWEL.test(match[1])) {
+        word = match[1] + 'i';
+    }
+
+    // Step 2: double suffixes
+    match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(word);
+
+    if (match && MEASURE_GT0.test(match[1])) {
+        word = match[1] + STEP2_SUFFIXES[match[2]];
+    }
+
+    // Step 3: -ic-, -full, -ness and the like
+    match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(word);
+
+    if (match && MEASURE_GT0.test(match[1])) {
+        word = match[1] + STEP3_SUFFIXES[match[2]];
+    }
+
+    // Step 4: -ant, -ence and the like
+    if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(word))) {
+        if (MEASURE_GT1.test(match[1])) {
+            word = match[1];
+        }
+    } else if ((match = /^(.+?)(s|t)(ion)$/.exec(word))) {
+        if (MEASURE_GT1.test(match[1] + match[2])) {
+            word = match[1] + match[2];
+        }
+    }
+
+    // Step 5: final -e and -ll
+    if ((match = /^(.+?)e$/.exec(word))) {
+        stem = match[1];
+
+        if (MEASURE_GT1.test(stem) || (MEASURE_EQ1.test(stem) && !SHORT.test(stem))) {
+            word = stem;
+        }
+    }
+
+    if (/ll$/.test(word) && MEASURE_GT1.test(word)) {
+        word = word.slice(0, -1);
+    }
+
+    return initialY ? 'y' + word.slice(1) : word;
+}
+
+/**
+ * Stems an English word. Irregular forms are reduced to their lemma first,
+ * i.e. "ran" to "run", then the Porter algorithm is applied. Words with
+ * other than the letters a to z are only lower cased.
+ * @param  {String} word    Word
+ * @return {String}         Stem
+ */
+function english(word) {
+    word = word.toLowerCase();
+
+    if (LEMMAS.hasOwnProperty(word)) {
+        word = LEMMAS[word];
+    }
+
+    return /^[a-z]+$/.test(word) ? porter(word) : word;
+}
+
+/**
+ * Registers a stemmer for one or more languages, replacing any stemmer
+ * registered for them before. A stemmer receives a word and returns its
+ * stem, and must return the same stem for every form of a word that should
+ * be counted together.
+ * @param  {String|Array} languages    Language code(s), i.e. 'de'
+ * @param  {Function} stemmer          Stemmer function
+ */
+function register(languages, stemmer) {
+    if (typeof stemmer !== 'function') {
+        throw new Error('Stemmer must be a function');
+    }
+
+    [].concat(languages).forEach(function(language) {
+        registry[language.toLowerCase()] = stemmer;
+    });
+}
+
+/**
+ * Removes the stemmer registered for one or more languages
+ * @param  {String|Array} languages    Language code(s), i.e. 'de'
+ */
+function unregister(languages) {
+    [].concat(languages).forEach(function(language) {
+        delete registry[language.toLowerCase()];
+    });
+}
+
+/**
+ * Gets the stemmer registered for a language
+ * @param  {String} language    Language code, i.e. 'en'
+ * @return {Function|null}      Stemmer, or null if there is none
+ */
+function get(language) {
+    language = (language || '').toLowerCase();
+
+    return registry.hasOwnProperty(language) ? registry[language] : null;
+}
+
+/**
+ * Gets the stemmer a `stem` option stands for
+ * @param  {Boolean|String|Function} stem    `true` for the stemmer of `language`,
+ *                                           a language code or a stemmer function
+ * @param  {String} language                 Optional. Language code used if
+ *                                           `stem` is true, default "en"
+ * @return {Function|null}                   Stemmer, or null if `stem` is not set
+ * @throws {Error}                           If no stemmer is registered for the language
+ */
+function resolve(stem, language) {
+    var stemmer;
+
+    if (!stem) {
+        return null;
+    }
+
+    if (typeof stem === 'function') {
+        return stem;
+    }
+
+    language = typeof stem === 'string' ? stem : language || DEFAULT_LANGUAGE;
+    stemmer = get(language);
+
+    if (!stemmer) {
+        throw new Error('No stemmer for language: ' + language);
+    }
+
+    return stemmer;
+}
+
+register('en', english);
+
+module.exports = {
+    porter: porter,
+    english: english,
+    register: register,
+    unregister: unregister,
+    get: get,
+    resolve: resolve
+};
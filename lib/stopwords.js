@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Built-in stop word lists by language code. Words are lower case and use
+ * straight apostrophes.
+ * @type {Object}
+ */
+module.exports = {
+    en: [
+        'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any',
+        'are', 'aren\'t', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below',
+        'between', 'both', 'but', 'by', 'can', 'can\'t', 'cannot', 'could', 'couldn\'t', 'did',
+        'didn\'t', 'do', 'does', 'doesn\'t', 'doing', 'don\'t', 'down', 'during', 'each', 'few',
+        'for', 'from', 'further', 'had', 'hadn\'t', 'has', 'hasn\'t', 'have', 'haven\'t',
+        'having', 'he', 'he\'d', 'he\'ll', 'he\'s', 'her', 'here', 'here\'s', 'hers', 'herself',
+        'him', 'himself', 'his', 'how', 'how\'s', 'i', 'i\'d', 'i\'ll', 'i\'m', 'i\'ve', 'if',
+        'in', 'into', 'is', 'isn\'t', 'it', 'it\'s', 'its', 'itself', 'just', 'let\'s', 'me',
+        'more', 'most', 'mustn\'t', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'on',
+        'once', 'only', 'or', 'other', 'ought', 'our', 'ours', 'ourselves', 'out', 'over', 'own',
+        'said', 'same', 'shan\'t', 'she', 'she\'d', 'she\'ll', 'she\'s', 'should', 'shouldn\'t',
+        'so', 'some', 'such', 'than', 'that', 'that\'s', 'the', 'their', 'theirs', 'them',
+        'themselves', 'then', 'there', 'there\'s', 'these', 'they', 'they\'d', 'they\'ll',
+        'they\'re', 'they\'ve', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up',
+        'very', 'was', 'wasn\'t', 'we', 'we\'d', 'we\'ll', 'we\'re', 'we\'ve', 'were', 'weren\'t',
+        'what', 'what\'s', 'when', 'when\'s', 'where', 'where\'s', 'which', 'while', 'who',
+        'who\'s', 'whom', 'why', 'why\'s', 'will', 'with', 'won\'t', 'would', 'wouldn\'t', 'you',
+        'you\'d', 'you\'ll', 'you\'re', 'you\'ve', 'your', 'yours', 'yourself', 'yourselves'
+    ],
+    es: [
+        'a', 'al', 'algo', 'algunos', 'ante', 'antes', 'como', 'con', 'contra', 'cual', 'cuando',
+        'de', 'del', 'desde', 'donde', 'durante', 'e', 'el', 'ella', 'ellas', 'ellos', 'en',
+        'entre', 'era', 'es', 'esa', 'esas', 'ese', 'eso', 'esos', 'esta', 'estaba', 'estas',
+        'este', 'esto', 'estos', 'está', 'están', 'fue', 'ha', 'hay', 'la', 'las', 'le', 'les',
+        'lo', 'los', 'me', 'mi', 'mis', 'mucho', 'muy', 'más', 'mí', 'nada', 'ni', 'no', 'nos',
+        'nosotros', 'o', 'os', 'otra', 'otros', 'para', 'pero', 'poco', 'por', 'porque', 'que',
+        'quien', 'qué', 'se', 'sea', 'ser', 'si', 'sin', 'sobre', 'son', 'su', 'sus', 'sí',
+        'también', 'tanto', 'te', 'tiene', 'todo', 'todos', 'tu', 'tus', 'tú', 'un', 'una',
+        'uno', 'unos', 'vosotros', 'y', 'ya', 'yo', 'él'
+    ],
+    fr: [
+        'a', 'ai', 'au', 'aux', 'avec', 'c\'est', 'ce', 'ces', 'cette', 'd\'un', 'd\'une', 'dans',
+        'de', 'des', 'du', 'elle', 'elles', 'en', 'est', 'et', 'eu', 'il', 'ils', 'j\'ai', 'je',
+        'l\'on', 'la', 'le', 'les', 'leur', 'leurs', 'lui', 'ma', 'mais', 'me', 'mes', 'moi',
+        'mon', 'même', 'ne', 'nos', 'notre', 'nous', 'on', 'ont', 'ou', 'où', 'par', 'pas',
+        'pour', 'qu\'il', 'qu\'elle', 'que', 'qui', 'sa', 'se', 'ses', 'son', 'sont', 'sur',
+        'ta', 'te', 'tes', 'toi', 'ton', 'tu', 'un', 'une', 'vos', 'votre', 'vous', 'y', 'à',
+        'été', 'être'
+    ],
+    de: [
+        'aber', 'als', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bis', 'bist', 'da',
+        'damit', 'dann', 'das', 'dass', 'dein', 'dem', 'den', 'der', 'des', 'dich', 'die',
+        'dir', 'doch', 'du', 'durch', 'ein', 'eine', 'einem', 'einen', 'einer', 'eines', 'er',
+        'es', 'euch', 'für', 'hat', 'hatte', 'ich', 'ihm', 'ihn', 'ihr', 'ihre', 'im', 'in',
+        'ist', 'ja', 'jetzt', 'kein', 'keine', 'man', 'mein', 'mich', 'mir', 'mit', 'nach',
+        'nicht', 'noch', 'nun', 'nur', 'ob', 'oder', 'ohne', 'sehr', 'sein', 'sich', 'sie',
+        'sind', 'so', 'über', 'um', 'und', 'uns', 'unter', 'vom', 'von', 'vor', 'war', 'waren',
+        'was', 'weil', 'wenn', 'wer', 'wie', 'wir', 'wird', 'wo', 'zu', 'zum', 'zur'
+    ]
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+var results = require('./results');
+var maps = require('./maps');
+
+/**
+ * Supported threshold scopes. `file` checks the count in every file and
+ * `total` the count across all files.
+ * @type {Array}
+ */
+var SCOPES = ['file', 'total'];
+
+/**
+ * Default threshold scope
+ * @type {String}
+ */
+var DEFAULT_SCOPE = 'file';
+
+
+/**
+ * Checks that a threshold bound is a non-negative number if it is set
+ * @param  {*} value    Bound
+ * @return {Boolean}    True if the bound is valid or not set
+ */
+function isBound(value) {
+    return value === undefined || (typeof value === 'number' && value >= 0 && isFinite(value));
+}
+
+/**
+ * Checks the `min`, `max` and `scope` of a keyword or keyword group
+ * @param  {Object} keyword    Keyword or keyword group
+ * @param  {String} name       Name of the keyword in error messages
+ * @throws {Error}             If a bound is not a non-negative number, `min`
+ *                             is greater than `max` or the scope is unknown
+ */
+function validate(keyword, name) {
+    if (!isBound(keyword.min) || !isBound(keyword.max)) {
+        throw new Error('Thresholds of keyword "' + name + '" must be non-negative numbers');
+    }
+
+    if (keyword.min !== undefined && keyword.max !== undefined && keyword.min > keyword.max) {
+        throw new Error('min of keyword "' + name + '" is greater than its max');
+    }
+
+    if (keyword.scope !== undefined && SCOPES.indexOf(keyword.scope) === -1) {
+        throw new Error('Unknown scope "' + keyword.scope + '" for keyword "' + name + '"');
+    }
+}
+
+/**
+ * Gets the thresholds declared in a keyword list. Keywords and keyword groups
+ * may set a `min` and/or `max` count and a `scope`, i.e.
+ * `{ "term": "TODO", "max": 0 }` or `{ "group": "License", "aliases": [...], "min": 1, "scope": "total" }`
+ * @param  {Array} keywords    List of keywords
+ * @return {Array}             List of `{ keyword, scope, min, max }` thresholds
+ */
+function fromKeywords(keywords) {
+    return (keywords || []).filter(function(keyword) {
+        return keyword && typeof keyword === 'object' &&
+            (keyword.min !== undefined || keyword.max !== undefined);
+    }).map(function(keyword) {
+        var threshold = {
+            keyword: keyword.group !== undefined ? keyword.group : keyword.term,
+            scope: keyword.scope || DEFAULT_SCOPE
+        };
+
+        if (keyword.min !== undefined) {
+            threshold.min = keyword.min;
+        }
+
+        if (keyword.max !== undefined) {
+            threshold.max = keyword.max;
+        }
+
+        return threshold;
+    });
+}
+
+/**
+ * Checks a count against a threshold
+ * @param  {Object} threshold    Threshold
+ * @param  {Number} count        Count of the keyword
+ * @param  {String} file         File key, or null for the total
+ * @return {Object|null}         Violation, or null if the count is within bounds
+ */
+function checkCount(threshold, count, file) {
+    var violation;
+    var message;
+
+    if (threshold.min !== undefined && count < threshold.min) {
+        message = 'at least ' + threshold.min + ' required';
+    } else if (threshold.max !== undefined && count > threshold.max) {
+        message = 'at most ' + threshold.max + ' allowed';
+    } else {
+        return null;
+    }
+
+    violation = { keyword: threshold.keyword, scope: threshold.scope, file: file, count: count };
+
+    if (threshold.min !== undefined) {
+        violation.min = threshold.min;
+    }
+
+    if (threshold.max !== undefined) {
+        violation.max = threshold.max;
+    }
+
+    violation.message = (file === null ? 'total' : file) + ': "' + threshold.keyword + '" found ' +
+        count + (count === 1 ? ' time, ' : ' times, ') + message;
+
+    return violation;
+}
+
+/**
+ * Checks the keyword counts of a results map against a list of thresholds
+ * @param  {Array} thresholds     List of thresholds from `fromKeywords()`
+ * @param  {Object} resultsMap    Map of file keys to keyword counts
+ * @return {Array}                List of violations, each with the `keyword`,
+ *                                its `scope`, the `file` or null for the total,
+ *                                the `count`, the `min` and/or `max` and a
+ *                                readable `message`
+ */
+function check(thresholds, resultsMap) {
+    var files = Object.keys(resultsMap).filter(function(key) {
+        return !results.isMetaKey(key);
+    }).sort();
+    var total = files.reduce(function(sum, key) {
+        return results.addCounts(sum, resultsMap[key]);
+    }, maps.create());
+    var violations = [];
+
+    thresholds.forEach(function(threshold) {
+        if (threshold.scope === 'total') {
+            violations.push(checkCount(threshold, maps.own(total, threshold.keyword, 0), null));
+            return;
+        }
+
+        files.forEach(function(key) {
+            violations.push(checkCount(threshold, maps.own(resultsMap[key], threshold.keyword, 0), key));
+        });
+    });
+
+    return violations.filter(Boolean);
+}
+
+module.exports = {
+    SCOPES: SCOPES,
+    validate: validate,
+    fromKeywords: fromKeywords,
+    check: check
+};
@@ -0,0 +1,191 @@
+'use strict';
+
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var path = require('path');
+var minimatch = require('minimatch');
+var ignore = require('ignore');
+
+
+/**
+ * Options passed to minimatch for include/exclude globs. Patterns without a
+ * slash are matched against the basename, so `*.md` matches at any depth.
+ * @type {Object}
+ */
+var GLOB_OPTIONS = {
+    dot: true,
+    matchBase: true
+};
+
+/**
+ * Default number of directory entries inspected at once
+ * @type {Number}
+ */
+var DEFAULT_CONCURRENCY = 16;
+
+
+/**
+ * Normalizes a glob option into an array of patterns
+ * @param  {String|Array} globs    A single pattern or a list of patterns
+ * @return {Array}                 List of patterns
+ */
+function toArray(globs) {
+    if (!globs) {
+        return [];
+    }
+
+    return Array.isArray(globs) ? globs : [globs];
+}
+
+/**
+ * Checks whether a path matches any of the provided glob patterns
+ * @param  {String} relative    Forward slash separated path relative to the walk root
+ * @param  {Array} patterns     List of glob patterns
+ * @return {Boolean}            True if at least one pattern matches
+ */
+function matchesAny(relative, patterns) {
+    return patterns.some(function(pattern) {
+        return minimatch(relative, pattern, GLOB_OPTIONS);
+    });
+}
+
+/**
+ * Checks a path against the stack of ignore files found between the walk root
+ * and the path's directory. Rules closer to the path take precedence, so a
+ * nested ignore file can re-include (`!pattern`) what a parent ignored.
+ * @param  {String} relative     Forward slash separated path relative to the walk root
+ * @param  {Boolean} isDir       Whether the path is a directory
+ * @param  {Array} ignoreStack   List of `{ base, rules }` objects, outermost first
+ * @return {Boolean}             True if the path is ignored
+ */
+function isIgnored(relative, isDir, ignoreStack) {
+    var ignored = false;
+
+    ignoreStack.forEach(function(level) {
+        var fromBase = level.base ? relative.slice(level.base.length + 1) : relative;
+        var result = level.rules.test(isDir ? fromBase + '/' : fromBase);
+
+        if (result.ignored) {
+            ignored = true;
+        } else if (result.unignored) {
+            ignored = false;
+        }
+    });
+
+    return ignored;
+}
+
+/**
+ * Reads any ignore files present in a directory into a new ignore stack
+ * @param  {String} dir            Directory being walked
+ * @param  {String} relative       Forward slash separated path of `dir` relative to the walk root
+ * @param  {Array} ignoreFiles     Names of ignore files to look for, i.e. ['.gitignore']
+ * @param  {Array} ignoreStack     Ignore stack inherited from the parent directory
+ * @return {Object}                A promise that resolves with the ignore stack for `dir`
+ */
+function readIgnoreFiles(dir, relative, ignoreFiles, ignoreStack) {
+    return Promise.all(ignoreFiles.map(function(name) {
+            return fs.readFileAsync(path.join(dir, name), 'utf8')
+                .catch(function(err) {
+                    if (err.code === 'ENOENT') {
+                        return '';
+                    }
+
+                    return Promise.reject(err);
+                });
+        }))
+        .then(function(contents) {
+            var rules = contents.filter(Boolean);
+
+            if (!rules.length) {
+                return ignoreStack;
+            }
+
+            return ignoreStack.concat({
+                base: relative,
+                rules: ignore().add(rules.join('\n'))
+            });
+        });
+}
+
+/**
+ * Recursively walks a directory and resolves with the files it contains
+ * that pass the include/exclude globs and ignore files. The ignore files
+ * themselves are never included.
+ * Symbolic links are not followed. Subdirectories are walked one at a time
+ * and at most `concurrency` entries of a directory are inspected at once, so
+ * the number of open file handles stays bounded however large the tree is.
+ * @param  {String} root       Directory to walk
+ * @param  {Object} opts       Optional. `include` and `exclude` globs (string or array)
+ *                             matched against paths relative to `root`,
+ *                             `ignoreFiles`, a list of .gitignore-style file names,
+ *                             and `concurrency`, default 16
+ * @return {Object}            A promise that resolves with a sorted array of file paths
+ */
+function walk(root, opts) {
+    var include;
+    var exclude;
+    var ignoreFiles;
+    var concurrency;
+
+    opts = opts ? opts : {};
+    include = toArray(opts.include);
+    exclude = toArray(opts.exclude);
+    ignoreFiles = toArray(opts.ignoreFiles);
+    concurrency = opts.concurrency || DEFAULT_CONCURRENCY;
+
+    function walkDir(dir, relative, ignoreStack) {
+        return Promise.all([
+                fs.readdirAsync(dir),
+                readIgnoreFiles(dir, relative, ignoreFiles, ignoreStack)
+            ])
+            .then(function(results) {
+                var entries = results[0].sort();
+                var stack = results[1];
+
+                return Promise.map(entries, function(entry) {
+                        return fs.lstatAsync(path.join(dir, entry));
+                    }, { concurrency: concurrency })
+                    .then(function(entryStats) {
+                        return Promise.mapSeries(entries, function(entry, index) {
+                            var stats = entryStats[index];
+                            var entryPath = path.join(dir, entry);
+                            var entryRelative = relative ? relative + '/' + entry : entry;
+
+                            if (stats.isDirectory()) {
+                                if (matchesAny(entryRelative, exclude) ||
+                                    isIgnored(entryRelative, true, stack)) {
+                                    return [];
+                                }
+
+                                return walkDir(entryPath, entryRelative, stack);
+                            }
+
+                            if (!stats.isFile() || ignoreFiles.indexOf(entry) !== -1 ||
+                                (include.length && !matchesAny(entryRelative, include)) ||
+                                matchesAny(entryRelative, exclude) ||
+                                isIgnored(entryRelative, false, stack)) {
+                                return [];
+                            }
+
+                            return [entryPath];
+                        });
+                    });
+            })
+            .then(function(nested) {
+                var files = [];
+
+                nested.forEach(function(list) {
+                    list.forEach(function(file) {
+                        files.push(file);
+                    });
+                });
+
+                return files;
+            });
+    }
+
+    return walkDir(root, '', []);
+}
+
+module.exports = walk;
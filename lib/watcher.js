@@ -0,0 +1,210 @@
+'use strict';
+
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var path = require('path');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+
+/**
+ * Default number of milliseconds to wait for file system events to settle
+ * before a batch of changed paths is emitted.
+ * @type {Number}
+ */
+var DEFAULT_DELAY = 100;
+
+
+/**
+ * Watches a file, or a directory and its subdirectories, for changes. Changed
+ * paths are collected until no event arrives for `delay` milliseconds and are
+ * then emitted as one `change` event with a sorted array of paths. Paths may be
+ * files or directories that were changed, added or removed.
+ * Directories are watched one by one, so it works on every platform, and
+ * symbolic links are not followed.
+ * @param {String} root    File or directory to watch
+ * @param {Object} opts    Optional. `delay` in milliseconds
+ */
+function Watcher(root, opts) {
+    EventEmitter.call(this);
+
+    opts = opts ? opts : {};
+
+    this.root = root;
+    this.delay = opts.delay !== undefined ? opts.delay : DEFAULT_DELAY;
+    this.watchers = {};
+    this.pending = {};
+    this.timer = null;
+    this.closed = false;
+}
+
+util.inherits(Watcher, EventEmitter);
+
+/**
+ * Starts watching `root`. A file is watched through its directory, so it is
+ * still watched after an editor replaces it with a new file.
+ * @return {Object}    A promise that resolves with the watcher once watching has begun
+ */
+Watcher.prototype.start = function() {
+    var self = this;
+
+    return fs.lstatAsync(self.root)
+        .then(function(stats) {
+            if (stats.isDirectory()) {
+                return self.watchTree(self.root);
+            }
+
+            self.watchDir(path.dirname(self.root), function(file) {
+                return file === path.normalize(self.root);
+            });
+        })
+        .then(function() {
+            return self;
+        });
+};
+
+/**
+ * Watches a directory and every directory below it
+ * @param  {String} dir    Directory
+ * @return {Object}        A promise
+ */
+Watcher.prototype.watchTree = function(dir) {
+    var self = this;
+
+    if (self.closed || self.watchers[dir]) {
+        return Promise.resolve();
+    }
+
+    self.watchDir(dir);
+
+    return fs.readdirAsync(dir)
+        .then(function(entries) {
+            return Promise.all(entries.map(function(entry) {
+                var entryPath = path.join(dir, entry);
+
+                return fs.lstatAsync(entryPath)
+                    .then(function(stats) {
+                        if (stats.isDirectory()) {
+                            return self.watchTree(entryPath);
+                        }
+                    });
+            }));
+        })
+        .catch(function(err) {
+            // The directory was removed while it was being read
+            if (err.code !== 'ENOENT') {
+                return Promise.reject(err);
+            }
+        });
+};
+
+/**
+ * Watches the entries of a single directory. New subdirectories are watched
+ * as they appear and watchers of removed directories are closed.
+ * @param  {String} dir         Directory
+ * @param  {Function} filter    Optional. Returns false for paths that are not reported
+ */
+Watcher.prototype.watchDir = function(dir, filter) {
+    var self = this;
+    var watcher;
+
+    try {
+        watcher = fs.watch(dir, { persistent: true });
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            self.emit('error', err);
+        }
+
+        return;
+    }
+
+    self.watchers[dir] = watcher;
+
+    watcher.on('change', function(event, name) {
+        var changed = name ? path.join(dir, name.toString()) : dir;
+
+        if (filter && !filter(changed)) {
+            return;
+        }
+
+        self.queue(changed);
+
+        if (!filter) {
+            fs.lstatAsync(changed)
+                .then(function(stats) {
+                    if (stats.isDirectory()) {
+                        return self.watchTree(changed);
+                    }
+                })
+                .catch(function() {
+                    self.unwatch(changed);
+                });
+        }
+    });
+
+    watcher.on('error', function(err) {
+        // Watching a removed directory fails on some platforms
+        if (err.code === 'EPERM' || err.code === 'ENOENT') {
+            self.unwatch(dir);
+            return;
+        }
+
+        self.emit('error', err);
+    });
+};
+
+/**
+ * Closes the watchers of a directory and every directory below it
+ * @param  {String} dir    Directory
+ */
+Watcher.prototype.unwatch = function(dir) {
+    var self = this;
+
+    Object.keys(self.watchers).forEach(function(watched) {
+        if (watched === dir || watched.indexOf(dir + path.sep) === 0) {
+            self.watchers[watched].close();
+            delete self.watchers[watched];
+        }
+    });
+};
+
+/**
+ * Adds a changed path to the pending batch and restarts the delay
+ * @param  {String} changed    Changed path
+ */
+Watcher.prototype.queue = function(changed) {
+    var self = this;
+
+    if (self.closed) {
+        return;
+    }
+
+    self.pending[changed] = true;
+
+    clearTimeout(self.timer);
+    self.timer = setTimeout(function() {
+        var paths = Object.keys(self.pending).sort();
+
+        self.pending = {};
+        self.timer = null;
+        self.emit('change', paths);
+    }, self.delay);
+};
+
+/**
+ * Stops watching. Pending changes are discarded.
+ */
+Watcher.prototype.close = function() {
+    this.closed = true;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending = {};
+
+    Object.keys(this.watchers).forEach(function(dir) {
+        this.watchers[dir].close();
+    }, this);
+    this.watchers = {};
+};
+
+module.exports = Watcher;
@@ -3,6 +3,9 @@ var expect = chai.expect;
 var sinon = require('sinon');
 var sinonChai = require('sinon-chai');
 var Analyzer = require('./../analyzer');
+var archives = require('./../lib/archives');
+var cache = require('./../lib/cache');
+var extractors = require('./../lib/extractors');
 var Promise = require('bluebird');
 var fs = Promise.promisifyAll(require('fs'));
 var Transform = require('stream').Transform;
@@ -37,46 +40,1294 @@ describe('Analyzer', function() {
             });
     });
 
+    describe('constructor', function() {
+        it('should default the output path extension to the output format', function() {
+            expect(new Analyzer({ format: 'csv' }).outputPath).to.equal('target/results.csv');
+            expect(new Analyzer().outputPath).to.equal('target/results.json');
+        });
+    });
+
     describe('analyze()', function() {
         it('should return a promise', function() {
             var result = analyzer.analyze();
             expect(result).to.be.an.instanceof(Promise);
         });
 
-        it('should check the file/dir status of the target to be analyzed', function() {
-            var spy = sinon.spy(fs, 'lstat');
+        it('should check the file/dir status of the target to be analyzed', function() {
+            var spy = sinon.spy(fs, 'lstat');
+
+            analyzer.analyze();
+
+            expect(spy).to.have.been.calledWith(analyzer.target);
+        });
+
+        it('should reject with an error if target doesn\'t exist', function(done) {
+            analyzer.target = './fake';
+            analyzer.analyze()
+                .catch(function(err) {
+                    expect(err).to.be.instanceof(Error);
+                    done();
+                });
+        });
+
+        it('should resolve with a results object with a key for each file analyzed', function(done) {
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results).to.be.an('object');
+                    expect(results.foo).to.be.defined;
+                    expect(results.bar).to.be.defined;
+                    done();
+                });
+        });
+
+        it('should work when analyzing a single file', function(done) {
+            analyzer.target = MOCK_CONFIG.target + '/foo.txt';
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results.foo).to.be.defined;
+                    expect(results.bar).to.be.undefined;
+                    done();
+                });
+        });
+
+        it('should analyze nested directories and key results by relative path', function(done) {
+            analyzer.target = './test/mocks/tree';
+            analyzer.ignoreFiles = ['.kcignore'];
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(Object.keys(results).sort()).to.eql(['docs/guide/rabbit.md', 'docs/watch.txt', 'intro.txt']);
+                    expect(results['docs/guide/rabbit.md'].Rabbit).to.equal(1);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should resolve with results grouped by directory if groupBy is "directory"', function(done) {
+            analyzer.target = './test/mocks/tree';
+            analyzer.include = '*.txt';
+            analyzer.groupBy = 'directory';
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(Object.keys(results).sort()).to.eql(['.', 'docs', 'docs/drafts']);
+                    expect(results.docs['watch.txt'].watch).to.equal(1);
+                    expect(results['.']['intro.txt'].Alice).to.equal(1);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should analyze text read from stdin if the target is -', function(done) {
+            analyzer.target = '-';
+            analyzer.stdin = StreamTest.fromChunks(['Alice and the White ', 'Rabbit']);
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(Object.keys(results)).to.eql(['stdin']);
+                    expect(results.stdin.Alice).to.equal(1);
+                    expect(results.stdin['White Rabbit']).to.equal(1);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should write the results to stdout once if the output path is -', function(done) {
+            var output = [];
+            var stdout = new Transform();
+
+            stdout._transform = function(data, encoding, next) {
+                output.push(data.toString());
+                next();
+            };
+
+            analyzer.outputPath = '-';
+            analyzer.stdout = stdout;
+            analyzer.format = 'csv';
+            analyzer.analyze()
+                .then(function() {
+                    expect(output.length).to.equal(1);
+                    expect(output[0].split('\n')[0]).to.equal('file,Alice,Rabbit,White Rabbit,waistcoat,watch,late');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with an error if writing to stdout fails', function() {
+            var stdout = new Transform();
+
+            stdout._transform = function(data, encoding, next) {
+                var err = new Error('write EPIPE');
+
+                err.code = 'EPIPE';
+                next(err);
+            };
+
+            analyzer.outputPath = '-';
+            analyzer.stdout = stdout;
+
+            return analyzer.analyze()
+                .then(function() {
+                    throw new Error('Expected the analysis to fail');
+                }, function(err) {
+                    expect(err.code).to.equal('EPIPE');
+                });
+        });
+
+        it('should write the results to outputPath once, through a temporary file', function(done) {
+            var spy = sinon.spy(fs, 'rename');
+
+            analyzer.analyze()
+                .then(function(results) {
+                    var written = JSON.parse(fs.readFileSync(analyzer.outputPath, 'utf8'));
+
+                    expect(spy).to.have.been.calledOnce;
+                    expect(spy.firstCall.args[0]).to.match(/\.results\.json\.\d+-\d+\.tmp$/);
+                    expect(spy.firstCall.args[1]).to.equal(analyzer.outputPath);
+                    expect(written).to.eql(results);
+                    expect(fs.readdirSync('./test/mocks/output')).to.eql(['results.json']);
+                    spy.restore();
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should not write the results if write is false', function(done) {
+            analyzer.write = false;
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['foo.txt']).to.be.an('object');
+                    expect(fs.existsSync(analyzer.outputPath)).to.be.false;
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with an error if the output can\'t be written', function(done) {
+            analyzer.outputPath = './test/mocks/subjects/foo.txt/results.json';
+            analyzer.analyze()
+                .catch(function(err) {
+                    expect(err).to.be.an.instanceof(Error);
+                    expect(fs.readdirSync('./test/mocks/subjects')).to.eql(['bar.txt', 'foo.txt']);
+                    done();
+                });
+        });
+
+        it('should count keywords by their match mode and store them under their term', function(done) {
+            analyzer.target = MOCK_CONFIG.target + '/bar.txt';
+            analyzer.keywordsList = './test/mocks/modes.json';
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['bar.txt']).to.eql({
+                        Alice: 2,
+                        Rabbit: 2,
+                        'White Rabbit': 0,
+                        'watch(es)?': 2
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should count grouped aliases and their group totals', function(done) {
+            analyzer.target = MOCK_CONFIG.target + '/bar.txt';
+            analyzer.keywordsList = './test/mocks/groups.json';
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['bar.txt']).to.eql({
+                        Alice: 2,
+                        Rabbit: 4,
+                        $groups: {
+                            Rabbit: {
+                                'White Rabbit': 0,
+                                Rabbit: 2,
+                                rabbit: 2
+                            }
+                        }
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should list the position and context of every match if positions is true', function(done) {
+            analyzer.target = MOCK_CONFIG.target + '/foo.txt';
+            analyzer.keywordsList = ['White Rabbit', 'whiskers'];
+            analyzer.positions = true;
+            analyzer.context = 10;
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['foo.txt'].$positions).to.eql([
+                        {
+                            keyword: 'White Rabbit',
+                            text: 'White Rabbit',
+                            line: 1,
+                            column: 163,
+                            context: ', and the White Rabbit was still'
+                        },
+                        {
+                            keyword: 'whiskers',
+                            text: 'whiskers',
+                            line: 1,
+                            column: 356,
+                            context: 'ears and whiskers, how late'
+                        }
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should match keywords against text extracted from HTML, Markdown and JSON', function(done) {
+            analyzer.target = './test/mocks/documents';
+            analyzer.keywordsList = ['Alice', 'Rabbit'];
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['page.html']).to.eql({ Alice: 1, Rabbit: 2 });
+                    expect(results['notes.md']).to.eql({ Alice: 2, Rabbit: 2 });
+                    expect(results['data.json']).to.eql({ Alice: 1, Rabbit: 2 });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should match words split by inline HTML tags and entities at their line and column', function(done) {
+            analyzer.target = './test/mocks/markup/team.html';
+            analyzer.keywordsList = ['R&D', 'Alice’s', 'Wonderland'];
+            analyzer.positions = true;
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['team.html'].$positions).to.eql([
+                        { keyword: 'R&D', text: 'R&D', line: 3, column: 4, context: 'R&D team: Alice’s work on Wonderl' },
+                        {
+                            keyword: 'Alice’s',
+                            text: 'Alice’s',
+                            line: 3,
+                            column: 18,
+                            context: 'R&D team: Alice’s work on Wonderland'
+                        },
+                        {
+                            keyword: 'Wonderland',
+                            text: 'Wonderland',
+                            line: 4,
+                            column: 13,
+                            context: 'R&D team: Alice’s work on Wonderland'
+                        }
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should match keywords against the raw text if extract is false', function(done) {
+            analyzer.target = './test/mocks/documents/page.html';
+            analyzer.keywordsList = ['Alice', 'Rabbit'];
+            analyzer.extract = false;
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['page.html']).to.eql({ Alice: 3, Rabbit: 5 });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should use extractors passed as options', function(done) {
+            analyzer.target = MOCK_CONFIG.target + '/foo.txt';
+            analyzer.keywordsList = ['Alice'];
+            analyzer.extractors = {
+                '.txt': function(text) {
+                    return Promise.resolve(text + ' Alice');
+                }
+            };
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['foo.txt'].Alice).to.equal(3);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with an error if an extractor fails', function(done) {
+            analyzer.target = MOCK_CONFIG.target + '/foo.txt';
+            analyzer.extractors = {
+                '.txt': function() {
+                    throw new Error('Extraction failed');
+                }
+            };
+            analyzer.analyze()
+                .catch(function(err) {
+                    expect(err.message).to.equal('Extraction failed');
+                    done();
+                });
+        });
+
+        it('should add word counts, densities, TF-IDF scores and corpus statistics if stats is true', function(done) {
+            analyzer.target = './test/mocks/tree';
+            analyzer.keywordsList = ['Alice', 'Rabbit'];
+            analyzer.include = '*.txt';
+            analyzer.exclude = 'docs/drafts';
+            analyzer.stats = true;
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['intro.txt'].$stats).to.eql({
+                        words: 5,
+                        density: { Alice: 20, Rabbit: 20 },
+                        tfidf: { Alice: 0.2, Rabbit: 0.2811 }
+                    });
+                    expect(results.$corpus).to.eql({
+                        files: 2,
+                        words: 9,
+                        documentFrequency: { Alice: 2, Rabbit: 1 },
+                        idf: { Alice: 1, Rabbit: 1.4055 }
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should report the most frequent terms if discover is true', function(done) {
+            analyzer.keywordsList = '';
+            analyzer.discover = true;
+            analyzer.top = 2;
+            analyzer.ngrams = 2;
+            analyzer.analyze()
+                .then(function(results) {
+                    var written = JSON.parse(fs.readFileSync(analyzer.outputPath, 'utf8'));
+
+                    expect(results).to.eql({
+                        unigrams: [{ term: 'Alice', count: 4 }, { term: 'Rabbit', count: 4 }],
+                        bigrams: [{ term: 'Oh dear', count: 2 }, { term: 'Alice like', count: 1 }]
+                    });
+                    expect(written).to.eql(results);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should write the discovered terms as a keyword list if keywordsOutputPath is set', function(done) {
+            var seedPath = './test/mocks/output/seed.json';
+
+            analyzer.discover = true;
+            analyzer.top = 1;
+            analyzer.keyName = 'terms';
+            analyzer.keywordsOutputPath = seedPath;
+            analyzer.analyze()
+                .then(function() {
+                    expect(JSON.parse(fs.readFileSync(seedPath, 'utf8'))).to.eql({
+                        terms: [
+                            { term: 'Alice', mode: 'word' },
+                            { term: 'Oh dear', mode: 'phrase' },
+                            { term: 'Oh my ears', mode: 'phrase' }
+                        ]
+                    });
+
+                    analyzer.keywordsList = seedPath;
+
+                    return analyzer.getKeywords();
+                })
+                .then(function(list) {
+                    expect(list.length).to.equal(3);
+
+                    return del.promise(seedPath);
+                })
+                .then(function() {
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with an error if discovery options are invalid', function(done) {
+            analyzer.discover = true;
+            analyzer.language = 'xx';
+            analyzer.analyze()
+                .catch(function(err) {
+                    expect(err.message).to.equal('No stop words for language: xx');
+                    done();
+                });
+        });
+
+        it('should check the counts against the thresholds of the keywords', function(done) {
+            analyzer.keywordsList = './test/mocks/thresholds.json';
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(analyzer.violations.map(function(violation) {
+                        return violation.message;
+                    })).to.eql([
+                        'bar.txt: "waistcoat" found 2 times, at most 0 allowed',
+                        'total: "watch" found 2 times, at least 3 required'
+                    ]);
+                    expect(results.$violations).to.eql(analyzer.violations);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should not add $violations if no keyword has thresholds', function(done) {
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results).to.not.have.property('$violations');
+                    expect(analyzer.violations).to.eql([]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with an error if format is not supported', function(done) {
+            analyzer.format = 'xml';
+            analyzer.analyze()
+                .catch(function(err) {
+                    expect(err).to.be.an.instanceof(Error);
+                    done();
+                });
+        });
+
+        it('should reject with an error if groupBy is not supported', function(done) {
+            analyzer.groupBy = 'keyword';
+            analyzer.analyze()
+                .catch(function(err) {
+                    expect(err).to.be.an.instanceof(Error);
+                    done();
+                });
+        });
+
+        it('should resolve with per-directory and total counts if rollup is true', function(done) {
+            analyzer.target = './test/mocks/tree';
+            analyzer.include = '*.txt';
+            analyzer.rollup = true;
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['docs/watch.txt']).to.be.an('object');
+                    expect(results.$directories.docs.late).to.equal(3);
+                    expect(results.$directories['docs/drafts'].late).to.equal(3);
+                    expect(results.$total.Alice).to.equal(2);
+                    expect(results.$total.late).to.equal(3);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should keep files named __proto__ and total keywords starting with $', function() {
+            analyzer.target = './test/mocks/proto';
+            analyzer.keywordsList = ['Alice', '$price'];
+            analyzer.rollup = true;
+
+            return analyzer.analyze()
+                .then(function(results) {
+                    expect(Object.keys(results)).to.eql(['__proto__', '$directories', '$total']);
+                    expect(results.__proto__).to.eql({ Alice: 1, $price: 1 });
+                    expect(results.$total).to.eql({ Alice: 1, $price: 1 });
+                });
+        });
+
+        it('should skip binary files and list them under $skipped', function(done) {
+            analyzer.target = './test/mocks/files';
+            analyzer.keywordsList = ['Alice', 'Rabbit'];
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results).to.not.have.property('image.bin');
+                    expect(results['story.txt']).to.eql({ Alice: 1, Rabbit: 2 });
+                    expect(results.$skipped).to.eql({ 'image.bin': 'binary' });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should count binary files if skipBinary is false', function(done) {
+            analyzer.target = './test/mocks/files';
+            analyzer.keywordsList = ['Alice', 'Rabbit'];
+            analyzer.skipBinary = false;
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['image.bin']).to.eql({ Alice: 1, Rabbit: 1 });
+                    expect(results).to.not.have.property('$skipped');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should skip files larger than maxFileSize', function(done) {
+            analyzer.target = './test/mocks/files';
+            analyzer.keywordsList = ['Alice', 'Rabbit'];
+            analyzer.maxFileSize = '50b';
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results).to.not.have.property('long.txt');
+                    expect(results['story.txt']).to.eql({ Alice: 1, Rabbit: 2 });
+                    expect(results.$skipped).to.eql({ 'image.bin': 'binary', 'long.txt': 'size' });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should only read the first maxFileSize bytes of larger files if oversized is "truncate"', function(done) {
+            analyzer.target = './test/mocks/files';
+            analyzer.keywordsList = ['Alice', 'Rabbit'];
+            analyzer.maxFileSize = 50;
+            analyzer.oversized = 'truncate';
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['long.txt']).to.eql({ Alice: 2, Rabbit: 0 });
+                    expect(results.$skipped).to.eql({ 'image.bin': 'binary' });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should match keywords and text folded alike by the folding options', function(done) {
+            analyzer.target = '-';
+            analyzer.stdin = StreamTest.fromChunks(['Die STRASSE und die Straße, cafe\u0301 und Café']);
+            analyzer.keywordsList = ['Straße', 'café'];
+            analyzer.ignoreCase = true;
+            analyzer.normalize = 'NFC';
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results.stdin).to.eql({ 'Straße': 2, 'café': 2 });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with an error if normalize or locale is invalid', function(done) {
+            analyzer.normalize = 'NFX';
+            analyzer.analyze()
+                .catch(function(err) {
+                    expect(err.message).to.equal('Unknown normalize option: NFX');
+                    done();
+                });
+        });
+
+        it('should analyze gzip files and the entries of zip and tar archives', function(done) {
+            analyzer.target = './test/mocks/archives';
+            analyzer.keywordsList = ['Alice', 'Rabbit'];
+            analyzer.exclude = ['broken.zip'];
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results).to.eql({
+                        'bundle.tar.gz!/docs/chapter2.md': { Alice: 1, Rabbit: 2 },
+                        'bundle.tar.gz!/docs/chapter1.txt': { Alice: 1, Rabbit: 0 },
+                        'bundle.tar.gz!/notes.txt': { Alice: 0, Rabbit: 2 },
+                        'bundle.zip!/docs/chapter1.txt': { Alice: 1, Rabbit: 0 },
+                        'bundle.zip!/docs/chapter2.md': { Alice: 1, Rabbit: 2 },
+                        'bundle.zip!/notes.txt': { Alice: 0, Rabbit: 2 },
+                        'log.txt.gz': { Alice: 2, Rabbit: 1 }
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should apply maxFileSize to archive entries and skip archives if archives is false', function(done) {
+            analyzer.target = './test/mocks/archives';
+            analyzer.keywordsList = ['Alice', 'Rabbit'];
+            analyzer.include = ['bundle.zip', 'log.txt.gz'];
+            analyzer.maxFileSize = 20;
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['bundle.zip!/notes.txt']).to.eql({ Alice: 0, Rabbit: 2 });
+                    expect(results.$skipped).to.eql({
+                        'bundle.zip!/docs/chapter1.txt': 'size',
+                        'bundle.zip!/docs/chapter2.md': 'size',
+                        'log.txt.gz': 'size'
+                    });
+
+                    analyzer.resultsMap = {};
+                    analyzer.skipped = {};
+                    analyzer.maxFileSize = 0;
+                    analyzer.archives = false;
+
+                    return analyzer.analyze();
+                })
+                .then(function(results) {
+                    expect(results).to.eql({ $skipped: { 'bundle.zip': 'binary', 'log.txt.gz': 'binary' } });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should apply the default limit of archive entries without maxFileSize', function() {
+            var maxEntrySize = archives.MAX_ENTRY_SIZE;
+
+            analyzer.target = './test/mocks/archives';
+            analyzer.keywordsList = ['Alice', 'Rabbit'];
+            analyzer.include = ['bundle.zip'];
+            archives.MAX_ENTRY_SIZE = 20;
+
+            return analyzer.analyze()
+                .then(function(results) {
+                    expect(results['bundle.zip!/notes.txt']).to.eql({ Alice: 0, Rabbit: 2 });
+                    expect(results.$skipped).to.eql({
+                        'bundle.zip!/docs/chapter1.txt': 'size',
+                        'bundle.zip!/docs/chapter2.md': 'size'
+                    });
+                })
+                .finally(function() {
+                    archives.MAX_ENTRY_SIZE = maxEntrySize;
+                });
+        });
+
+        it('should count forms of keywords under their term with stem', function(done) {
+            analyzer.target = '-';
+            analyzer.stdin = StreamTest.fromChunks(['Alice ran. The rabbits were running, runs and run.']);
+            analyzer.keywordsList = ['run', 'Rabbit'];
+            analyzer.stem = true;
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results.stdin).to.eql({
+                        run: 4,
+                        Rabbit: 1,
+                        $forms: {
+                            run: { ran: 1, running: 1, runs: 1, run: 1 },
+                            Rabbit: { rabbits: 1 }
+                        }
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should count forms of keywords named like object properties with stem', function(done) {
+            analyzer.target = '-';
+            analyzer.stdin = StreamTest.fromChunks(['hasOwnProperty constructors, constructor and toString']);
+            analyzer.keywordsList = ['constructor', 'toString'];
+            analyzer.stem = true;
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results.stdin).to.eql({
+                        constructor: 2,
+                        toString: 1,
+                        $forms: {
+                            constructor: { constructors: 1, constructor: 1 },
+                            toString: { toString: 1 }
+                        }
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with an error if there is no stemmer for the language', function(done) {
+            analyzer.stem = true;
+            analyzer.language = 'xx';
+            analyzer.analyze()
+                .catch(function(err) {
+                    expect(err.message).to.equal('No stemmer for language: xx');
+                    done();
+                });
+        });
+
+        it('should count keywords per heading of Markdown and HTML files with segment', function(done) {
+            analyzer.target = './test/mocks/segments';
+            analyzer.keywordsList = ['Alice', { group: 'animals', aliases: ['Rabbit'] }];
+            analyzer.segment = 'headings';
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['guide.md'].$segments).to.eql([
+                        { label: null, lines: [1, 2], counts: { Alice: 1, animals: 0, $groups: { animals: { Rabbit: 0 } } } },
+                        {
+                            label: 'Down the Rabbit Hole',
+                            lines: [3, 10],
+                            counts: { Alice: 1, animals: 2, $groups: { animals: { Rabbit: 2 } } }
+                        },
+                        {
+                            label: 'The Pool of Tears',
+                            lines: [11, 14],
+                            counts: { Alice: 0, animals: 1, $groups: { animals: { Rabbit: 1 } } }
+                        }
+                    ]);
+                    expect(results['guide.md'].Alice).to.equal(2);
+                    expect(results['page.html'].$segments.map(function(segment) {
+                        return [segment.label, segment.counts.Alice, segment.counts.animals];
+                    })).to.eql([
+                        ['Down the Rabbit Hole', 1, 2],
+                        ['pool', 1, 0]
+                    ]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should count keywords per range of lines with segment and segmentSize', function(done) {
+            analyzer.target = '-';
+            analyzer.stdin = StreamTest.fromChunks(['Alice\nRabbit\nAl', 'ice\n', 'Rabbit Alice\n']);
+            analyzer.keywordsList = ['Alice', 'Rabbit'];
+            analyzer.segment = 'lines';
+            analyzer.segmentSize = 2;
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results.stdin).to.eql({
+                        Alice: 3,
+                        Rabbit: 2,
+                        $segments: [
+                            { label: 'lines 1-2', lines: [1, 2], counts: { Alice: 1, Rabbit: 1 } },
+                            { label: 'lines 3-4', lines: [3, 4], counts: { Alice: 2, Rabbit: 1 } }
+                        ]
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with an error if segment or segmentSize is invalid', function(done) {
+            analyzer.segment = 'chapters';
+            analyzer.analyze()
+                .catch(function(err) {
+                    expect(err.message).to.equal('Unknown segment option: chapters');
+                    analyzer.segment = 'words';
+                    analyzer.segmentSize = -1;
+
+                    return analyzer.analyze();
+                })
+                .catch(function(err) {
+                    expect(err.message).to.equal('Invalid segment size: -1');
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should only count matches that satisfy near, within and exclude constraints', function(done) {
+            analyzer.target = '-';
+            analyzer.stdin = StreamTest.fromChunks([
+                'The Cheshire Cat grinned. A cat ate cat food.\n',
+                'The White Rabbit met the Queen.\nThe Queen and the Rabbit.'
+            ]);
+            analyzer.keywordsList = [
+                { term: 'Cat', mode: 'word', near: 'Cheshire', within: 1 },
+                { term: 'cat', mode: 'word', exclude: 'cat food' },
+                'Rabbit',
+                'Queen',
+                { term: 'White Rabbit', negative: true }
+            ];
+            analyzer.cooccurrence = 'line';
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results.stdin).to.eql({
+                        Cat: 1,
+                        cat: 1,
+                        Rabbit: 1,
+                        Queen: 2,
+                        $cooccurrence: {
+                            Cat: { cat: 1 },
+                            cat: { Cat: 1 },
+                            Queen: { Rabbit: 1 },
+                            Rabbit: { Queen: 1 }
+                        }
+                    });
+                    expect(results.$cooccurrence).to.eql(results.stdin.$cooccurrence);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should add up the co-occurrence of keywords in windows of words of every file', function(done) {
+            analyzer.target = './test/mocks/tree';
+            analyzer.include = '*.txt';
+            analyzer.keywordsList = ['Alice', 'Rabbit', 'watch'];
+            analyzer.cooccurrence = 1000;
+            analyzer.analyze()
+                .then(function(results) {
+                    expect(results['intro.txt'].$cooccurrence).to.eql({ Alice: { Rabbit: 1 }, Rabbit: { Alice: 1 } });
+                    expect(results.$cooccurrence).to.eql({
+                        Alice: { Rabbit: 1, watch: 1 },
+                        Rabbit: { Alice: 1 },
+                        watch: { Alice: 1 }
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with an error if cooccurrence is invalid', function(done) {
+            analyzer.cooccurrence = 'page';
+            analyzer.analyze()
+                .catch(function(err) {
+                    expect(err.message).to.equal('Invalid cooccurrence option: page');
+                    done();
+                });
+        });
+
+        describe('cache', function() {
+            var CACHE_DIR = './test/mocks/output/cache';
+
+            beforeEach(function() {
+                analyzer.target = './test/mocks/archives';
+                analyzer.include = ['bundle.zip', 'log.txt.gz'];
+                analyzer.keywordsList = ['Alice', 'Rabbit'];
+                analyzer.cache = true;
+                analyzer.cacheDir = CACHE_DIR;
+            });
+
+            afterEach(function() {
+                return del.promise(CACHE_DIR);
+            });
+
+            it('should restore the results of unchanged files from the cache', function() {
+                var second = new Analyzer(Object.assign({}, MOCK_CONFIG, {
+                    target: './test/mocks/archives',
+                    include: ['bundle.zip', 'log.txt.gz'],
+                    keywordsList: ['Alice', 'Rabbit'],
+                    cache: true,
+                    cacheDir: CACHE_DIR
+                }));
+                var search = sinon.spy(second, 'searchFile');
+                var done = sinon.spy();
+                var first;
+
+                second.on('file:done', done);
+
+                return analyzer.analyze()
+                    .then(function(results) {
+                        first = results;
+
+                        return second.analyze();
+                    })
+                    .then(function(results) {
+                        expect(results).to.eql(first);
+                        expect(results['bundle.zip!/notes.txt']).to.eql({ Alice: 0, Rabbit: 2 });
+                        expect(search).not.to.have.been.called;
+                        expect(done).to.have.been.calledWith('bundle.zip!/notes.txt', { Alice: 0, Rabbit: 2 });
+                    });
+            });
+
+            it('should search files again if the keywords or options changed', function() {
+                var search = sinon.spy(analyzer, 'searchFile');
+
+                return analyzer.analyze()
+                    .then(function() {
+                        analyzer.keywordsList = ['Alice'];
+
+                        return analyzer.analyze();
+                    })
+                    .then(function(results) {
+                        expect(results['bundle.zip!/notes.txt']).to.eql({ Alice: 0 });
+                        analyzer.maxFileSize = 20;
+
+                        return analyzer.analyze();
+                    })
+                    .then(function(results) {
+                        expect(search).to.have.callCount(6);
+                        expect(results.$skipped['bundle.zip!/docs/chapter1.txt']).to.equal('size');
+                        analyzer.maxFileSize = 0;
+
+                        return analyzer.analyze();
+                    })
+                    .then(function() {
+                        expect(search).to.have.callCount(6);
+                    });
+            });
+
+            it('should only hash the bytes read of files that are not skipped', function() {
+                var key = sinon.spy(cache.Cache.prototype, 'key');
+
+                analyzer.target = './test/mocks/files';
+                analyzer.include = [];
+                analyzer.maxFileSize = 50;
+
+                return analyzer.analyze()
+                    .then(function(results) {
+                        expect(results.$skipped).to.eql({ 'image.bin': 'binary', 'long.txt': 'size' });
+                        expect(key.args.map(function(args) {
+                            return args.slice(0, 2);
+                        })).to.eql([['test/mocks/files/story.txt', 43]]);
+                        analyzer.oversized = 'truncate';
+
+                        return analyzer.analyze();
+                    })
+                    .then(function(results) {
+                        expect(results['long.txt']).to.eql({ Alice: 2, Rabbit: 0 });
+                        expect(key).to.have.been.calledWith('test/mocks/files/long.txt', 50);
+                    })
+                    .finally(function() {
+                        key.restore();
+                    });
+            });
+
+            it('should search files again if a registered extractor changed', function() {
+                analyzer.target = './test/mocks/files/story.txt';
+                analyzer.include = [];
+                extractors.register('.txt', function(text) {
+                    return text.replace(/Rabbit/g, 'Hare');
+                });
+
+                return analyzer.analyze()
+                    .then(function(results) {
+                        expect(results['story.txt']).to.eql({ Alice: 1, Rabbit: 0 });
+                        extractors.unregister('.txt');
+
+                        return analyzer.analyze();
+                    })
+                    .then(function(results) {
+                        expect(results['story.txt']).to.eql({ Alice: 1, Rabbit: 2 });
+                    })
+                    .finally(function() {
+                        extractors.unregister('.txt');
+                    });
+            });
+
+            it('should not share results between files with the same content and another extension', function() {
+                analyzer.target = './test/mocks/cache';
+                analyzer.include = ['note.md'];
+
+                return analyzer.analyze()
+                    .then(function() {
+                        analyzer.include = [];
+
+                        return analyzer.analyze();
+                    })
+                    .then(function(results) {
+                        expect(results['note.md']).to.eql({ Alice: 1, Rabbit: 1 });
+                        expect(results['note.txt']).to.eql({ Alice: 1, Rabbit: 2 });
+                    });
+            });
+
+            it('should clear the cache first with clearCache and leave it alone without cache', function() {
+                var search = sinon.spy(analyzer, 'searchFile');
+
+                return analyzer.analyze()
+                    .then(function() {
+                        analyzer.clearCache = true;
+
+                        return analyzer.analyze();
+                    })
+                    .then(function() {
+                        expect(search).to.have.callCount(4);
+                        analyzer.clearCache = false;
+                        analyzer.cache = false;
+
+                        return analyzer.analyze();
+                    })
+                    .then(function() {
+                        expect(search).to.have.callCount(6);
+                        expect(fs.readdirSync(CACHE_DIR)).not.to.be.empty;
+                    });
+            });
+        });
+
+        it('should reject with an error if maxFileSize or oversized is invalid', function(done) {
+            analyzer.maxFileSize = '10 parsecs';
+            analyzer.analyze()
+                .catch(function(err) {
+                    expect(err.message).to.equal('Invalid file size: 10 parsecs');
+                    analyzer.maxFileSize = 0;
+                    analyzer.oversized = 'split';
+
+                    return analyzer.analyze();
+                })
+                .catch(function(err) {
+                    expect(err.message).to.equal('Unknown oversized option: split');
+                    done();
+                })
+                .catch(done);
+        });
+    });
+
+    describe('events', function() {
+        it('should emit start, file:start, file:done and end while keywords are counted', function(done) {
+            var events = [];
 
-            analyzer.analyze();
+            analyzer.on('start', function(total) {
+                events.push(['start', total]);
+            });
+            analyzer.on('file:start', function(key) {
+                events.push(['file:start', key]);
+            });
+            analyzer.on('file:done', function(key, counts) {
+                events.push(['file:done', key, counts.Alice]);
+            });
+            analyzer.on('end', function(results) {
+                events.push(['end', Object.keys(results).sort()]);
+            });
 
-            expect(spy).to.have.been.calledWith(analyzer.target);
+            analyzer.analyze()
+                .then(function() {
+                    expect(events[0]).to.eql(['start', 2]);
+                    expect(events.slice(1, 5)).to.deep.include.members([
+                        ['file:start', 'bar.txt'],
+                        ['file:start', 'foo.txt'],
+                        ['file:done', 'bar.txt', 2],
+                        ['file:done', 'foo.txt', 2]
+                    ]);
+                    expect(events[5]).to.eql(['end', ['bar.txt', 'foo.txt']]);
+                    done();
+                })
+                .catch(done);
         });
 
-        it('should reject with an error if target doesn\'t exist', function(done) {
-            analyzer.target = './fake';
+        it('should emit match with every match and the key of its file', function(done) {
+            var matches = [];
+
+            analyzer.target = MOCK_CONFIG.target + '/foo.txt';
+            analyzer.keywordsList = ['Alice'];
+            analyzer.on('match', function(match, key) {
+                matches.push([match.keyword, match.text, key]);
+            });
+
+            analyzer.analyze()
+                .then(function() {
+                    expect(matches).to.eql([['Alice', 'Alice', 'foo.txt'], ['Alice', 'Alice', 'foo.txt']]);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should emit file:skip with the key and reason of a skipped file', function(done) {
+            var spy = sinon.spy();
+
+            analyzer.target = './test/mocks/files';
+            analyzer.keywordsList = ['Alice'];
+            analyzer.on('file:skip', spy);
+
             analyzer.analyze()
+                .then(function() {
+                    expect(spy).to.have.been.calledOnce;
+                    expect(spy).to.have.been.calledWith('image.bin', 'binary');
+                    done();
+                })
+                .catch(done);
+        });
+
+        describe('if a file can\'t be read', function() {
+            beforeEach(function() {
+                var openFile = analyzer.openFile;
+
+                sinon.stub(analyzer, 'openFile', function(file) {
+                    if (/foo\.txt$/.test(file)) {
+                        return Promise.reject(new Error('EACCES: permission denied'));
+                    }
+
+                    return openFile.call(analyzer, file);
+                });
+            });
+
+            it('should emit error and leave the file out if there is an error listener', function(done) {
+                var spy = sinon.spy();
+
+                analyzer.on('error', spy);
+
+                analyzer.analyze()
+                    .then(function(results) {
+                        expect(spy).to.have.been.calledOnce;
+                        expect(spy.firstCall.args[0].message).to.equal('EACCES: permission denied');
+                        expect(spy.firstCall.args[1]).to.equal('foo.txt');
+                        expect(results).to.not.have.property('foo.txt');
+                        expect(results['bar.txt']).to.be.an('object');
+                        expect(results.$skipped).to.eql({ 'foo.txt': 'error' });
+                        done();
+                    })
+                    .catch(done);
+            });
+
+            it('should reject with the error if there is no error listener', function(done) {
+                analyzer.analyze()
+                    .then(function() {
+                        done(new Error('Expected a rejection'));
+                    })
+                    .catch(function(err) {
+                        expect(err.message).to.equal('EACCES: permission denied');
+                        done();
+                    });
+            });
+        });
+    });
+
+    describe('watch()', function() {
+        var WATCH_DIR = './test/mocks/output/watch';
+        var watcher;
+
+        beforeEach(function() {
+            return fs.mkdirAsync('./test/mocks/output')
+                .catch(function() {})
+                .then(function() {
+                    return fs.mkdirAsync(WATCH_DIR);
+                })
+                .then(function() {
+                    return Promise.all([
+                        fs.writeFileAsync(WATCH_DIR + '/a.txt', 'Alice and the White Rabbit'),
+                        fs.writeFileAsync(WATCH_DIR + '/b.txt', 'Rabbit')
+                    ]);
+                })
+                .then(function() {
+                    analyzer.target = WATCH_DIR;
+                    analyzer.keywordsList = ['Alice', 'Rabbit'];
+                });
+        });
+
+        afterEach(function() {
+            if (watcher) {
+                watcher.close();
+                watcher = null;
+            }
+
+            return del.promise(WATCH_DIR);
+        });
+
+        it('should analyze the target before resolving with the watcher', function() {
+            return analyzer.watch()
+                .then(function(started) {
+                    watcher = started;
+
+                    expect(watcher.close).to.be.a('function');
+                    expect(analyzer.resultsMap).to.eql({
+                        'a.txt': { Alice: 1, Rabbit: 1 },
+                        'b.txt': { Alice: 0, Rabbit: 1 }
+                    });
+                });
+        });
+
+        it('should re-analyze changed and added files and drop deleted files', function(done) {
+            var spy = sinon.spy(analyzer, 'grepFile');
+
+            analyzer.watch({ delay: 50 })
+                .then(function(started) {
+                    watcher = started;
+                    spy.reset();
+
+                    watcher.on('results', function(results) {
+                        var written = JSON.parse(fs.readFileSync(analyzer.outputPath, 'utf8'));
+
+                        expect(results).to.eql({
+                            'a.txt': { Alice: 2, Rabbit: 0 },
+                            'c.txt': { Alice: 0, Rabbit: 2 }
+                        });
+                        expect(written).to.eql(results);
+                        expect(spy).to.have.been.calledTwice;
+                        analyzer.grepFile.restore();
+                        done();
+                    });
+                    watcher.on('error', done);
+
+                    fs.writeFileSync(WATCH_DIR + '/a.txt', 'Alice and Alice');
+                    fs.writeFileSync(WATCH_DIR + '/c.txt', 'Rabbit, Rabbit');
+                    fs.unlinkSync(WATCH_DIR + '/b.txt');
+                })
+                .catch(done);
+        });
+
+        it('should keep updating after an update failed without an error listener', function(done) {
+            var update = analyzer.update;
+
+            analyzer.update = function() {
+                analyzer.update = update;
+
+                return Promise.reject(new Error('Update failed'));
+            };
+
+            analyzer.watch({ delay: 50 })
+                .then(function(started) {
+                    watcher = started;
+
+                    watcher.on('results', function(results) {
+                        expect(results['a.txt']).to.eql({ Alice: 2, Rabbit: 0 });
+                        done();
+                    });
+
+                    fs.writeFileSync(WATCH_DIR + '/b.txt', 'Rabbit and Rabbit');
+                    setTimeout(function() {
+                        fs.writeFileSync(WATCH_DIR + '/a.txt', 'Alice and Alice');
+                    }, 200);
+                })
+                .catch(done);
+        });
+
+        it('should discover the terms of the target again after changes with discover', function(done) {
+            analyzer.discover = true;
+            analyzer.ngrams = 1;
+
+            analyzer.watch({ delay: 50 })
+                .then(function(started) {
+                    watcher = started;
+
+                    watcher.on('results', function(report) {
+                        var written = JSON.parse(fs.readFileSync(analyzer.outputPath, 'utf8'));
+
+                        expect(report.unigrams).to.eql([{ term: 'Alice', count: 2 }, { term: 'Rabbit', count: 1 }]);
+                        expect(written).to.eql(report);
+                        done();
+                    });
+                    watcher.on('error', done);
+
+                    fs.writeFileSync(WATCH_DIR + '/a.txt', 'Alice and Alice');
+                })
+                .catch(done);
+        });
+
+        it('should reject with an error if the target is stdin', function(done) {
+            analyzer.target = '-';
+            analyzer.watch()
                 .catch(function(err) {
-                    expect(err).to.be.instanceof(Error);
+                    expect(err.message).to.equal('Cannot watch stdin');
                     done();
                 });
         });
+    });
 
-        it('should resolve with a results object with a key for each file analyzed', function(done) {
-            analyzer.analyze()
+    describe('update()', function() {
+        it('should drop the results of files that no longer exist', function() {
+            analyzer.keywordsList = ['Alice'];
+
+            return analyzer.analyze()
+                .then(function() {
+                    analyzer.resultsMap['missing.txt'] = { Alice: 1 };
+
+                    return analyzer.update([]);
+                })
                 .then(function(results) {
-                    expect(results).to.be.instanceof(Object);
-                    expect(results.foo).to.be.defined;
-                    expect(results.bar).to.be.defined;
-                    done();
+                    expect(results).to.not.have.property('missing.txt');
+                    expect(results).to.have.property('foo.txt');
                 });
         });
 
-        it('should work when analyzing a single file', function(done) {
-            analyzer.target = MOCK_CONFIG.target + '/foo.txt';
-            analyzer.analyze()
+        it('should only re-analyze files at or below the changed paths', function() {
+            var spy = sinon.spy(analyzer, 'grepFile');
+
+            return analyzer.analyze()
+                .then(function() {
+                    spy.reset();
+
+                    return analyzer.update([analyzer.target + '/foo.txt']);
+                })
+                .then(function() {
+                    expect(spy).to.have.been.calledOnce;
+                    expect(spy).to.have.been.calledWith('test/mocks/subjects/foo.txt');
+                    analyzer.grepFile.restore();
+                });
+        });
+
+        it('should keep the results of files named like object properties', function() {
+            analyzer.target = './test/mocks/props';
+            analyzer.keywordsList = ['Alice'];
+
+            return analyzer.analyze()
+                .then(function() {
+                    sinon.spy(analyzer, 'grepFile');
+
+                    return analyzer.update([]);
+                })
                 .then(function(results) {
-                    expect(results.foo).to.be.defined;
-                    expect(results.bar).to.be.undefined;
-                    done();
+                    expect(analyzer.grepFile).to.not.have.been.called;
+                    expect(results.hasOwnProperty).to.eql({ Alice: 1 });
+                    analyzer.grepFile.restore();
+                });
+        });
+
+        it('should keep the results of archive entries until their archive is gone', function() {
+            analyzer.target = './test/mocks/archives';
+            analyzer.keywordsList = ['Alice'];
+            analyzer.include = ['bundle.zip'];
+
+            return analyzer.analyze()
+                .then(function() {
+                    sinon.spy(analyzer, 'grepFile');
+
+                    return analyzer.update([]);
+                })
+                .then(function(results) {
+                    expect(analyzer.grepFile).to.not.have.been.called;
+                    expect(results).to.have.property('bundle.zip!/notes.txt');
+
+                    analyzer.include = ['log.txt.gz'];
+
+                    return analyzer.update([]);
+                })
+                .then(function(results) {
+                    expect(Object.keys(results)).to.eql(['log.txt.gz']);
+                    analyzer.grepFile.restore();
                 });
         });
     });
@@ -108,80 +1359,112 @@ describe('Analyzer', function() {
                     done();
                 });
         });
-    });
 
-    describe('grepFile()', function() {
-        var mockFile = MOCK_CONFIG.target + '/foo.txt';
-        var grepStub;
+        it('should grep at most concurrency files at once', function(done) {
+            var running = 0;
+            var maxRunning = 0;
 
-        beforeEach(function() {
-            grepStub = sinon.stub().returns(StreamTest.fromObjects(['foo\nbar']));
+            analyzer.target = './test/mocks/tree';
+            analyzer.concurrency = 2;
+            sinon.stub(analyzer, 'grepFile', function() {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
 
-            Analyzer = proxyquire('./../analyzer', {
-                'grep1': grepStub
+                return Promise.delay(5).then(function() {
+                    running--;
+                });
             });
 
-            analyzer = new Analyzer(MOCK_CONFIG);
+            analyzer.grepDir()
+                .then(function() {
+                    expect(analyzer.grepFile).to.have.callCount(6);
+                    expect(maxRunning).to.equal(2);
+                    done();
+                })
+                .catch(done);
         });
+    });
+
+    describe('grepFile()', function() {
+        var mockFile = MOCK_CONFIG.target + '/foo.txt';
+        var literalsFile = './test/mocks/literals.txt';
 
         it('should return a promise', function() {
             var result = analyzer.grepFile(mockFile);
             expect(result).to.be.an.instanceof(Promise);
         });
 
-        it('should prep the output path before performing the grep', function(done) {
-            var spy = sinon.spy(analyzer, 'prepOutputPath');
+        it('should not write the output', function(done) {
+            var spy = sinon.spy(analyzer, 'writeOutput');
             analyzer.grepFile(mockFile)
                 .then(function() {
-                    expect(spy).to.have.been.calledOnce;
+                    expect(spy).to.not.have.been.called;
                     done();
-                });
+                })
+                .catch(done);
         });
 
-        it('should perform a grep for exact keywords', function(done) {
-            var mock_keywords = ['Alice'];
-            var expectedFlags = '-Eo';
-
-            analyzer.keywords = mock_keywords;
+        it('should read the file as a stream', function(done) {
+            var spy = sinon.spy(fs, 'createReadStream');
 
             analyzer.grepFile(mockFile)
                 .then(function() {
-                    expect(grepStub).to.have.been.calledWith([expectedFlags, mock_keywords.join(), mockFile]);
+                    expect(spy).to.have.been.calledWith(mockFile);
+                    spy.restore();
                     done();
                 });
         });
 
-        it('should perform a grep for keywords and ignore case', function(done) {
-            var mock_keywords = ['Alice'];
-            var expectedFlags = '-Eio';
+        it('should count exact keywords', function(done) {
+            analyzer.keywords = ['alice', 'Alice'];
+
+            analyzer.grepFile(mockFile)
+                .then(function() {
+                    expect(analyzer.resultsMap['foo.txt']).to.eql({ alice: 0, Alice: 2 });
+                    done();
+                });
+        });
 
-            analyzer.keywords = mock_keywords;
+        it('should count keywords and ignore case', function(done) {
+            analyzer.keywords = ['ALICE'];
             analyzer.ignoreCase = true;
 
             analyzer.grepFile(mockFile)
                 .then(function() {
-                    expect(grepStub).to.have.been.calledWith([expectedFlags, mock_keywords.join(), mockFile]);
+                    expect(analyzer.resultsMap['foo.txt']).to.eql({ ALICE: 2 });
+                    done();
+                });
+        });
+
+        it('should treat keywords containing regex characters as literals', function(done) {
+            analyzer.keywords = ['C++', 'a.b', '(beta)', 'C'];
+
+            analyzer.grepFile(literalsFile)
+                .then(function() {
+                    expect(analyzer.resultsMap['literals.txt']).to.eql({
+                        'C++': 2,
+                        'a.b': 1,
+                        '(beta)': 1,
+                        C: 1
+                    });
                     done();
                 });
         });
 
-        it('should utilize the mapper and stringifier transforms', function(done) {
+        it('should utilize the mapper transform', function(done) {
             var mapperSpy = sinon.spy(analyzer, 'mapper');
-            var stringifierSpy = sinon.spy(analyzer, 'stringifier');
 
             analyzer.grepFile(mockFile)
                 .then(function() {
                     expect(mapperSpy).to.have.been.calledOnce;
-                    expect(stringifierSpy).to.have.been.calledOnce;
                     done();
                 });
         });
 
-        it('should create a write stream', function(done) {
-            var spy = sinon.spy(fs, 'createWriteStream');
-            analyzer.grepFile(mockFile)
-                .then(function() {
-                    expect(spy).to.have.been.calledOnce;
+        it('should reject with an error if the file can\'t be read', function(done) {
+            analyzer.grepStream(fs.createReadStream('./test/mocks/missing.txt'), 'missing.txt')
+                .catch(function(err) {
+                    expect(err.code).to.equal('ENOENT');
                     done();
                 });
         });
@@ -224,54 +1507,78 @@ describe('Analyzer', function() {
                 });
         });
 
-        it('should resolve with an array if the keywordsList json can be parsed successfully', function(done) {
+        it('should resolve with keyword objects alongside strings', function(done) {
+            analyzer.keywordsList = './test/mocks/modes.json';
+
             analyzer.getKeywords()
                 .then(function(keywords) {
-                    expect(Array.isArray(keywords)).to.be.true;
+                    expect(keywords[0]).to.equal('Alice');
+                    expect(keywords[1]).to.eql({ term: 'Rabbit', mode: 'word' });
                     done();
-                });
+                })
+                .catch(done);
         });
-    });
 
-    describe('stringifier()', function() {
-        it('should return an instance of a Transform Stream', function() {
-            var stringifier = analyzer.stringifier();
-            expect(stringifier).to.be.an.instanceof(Transform);
+        it('should reject with an error if a keyword has an unknown mode', function(done) {
+            analyzer.keywordsList = ['foo', { term: 'bar', mode: 'fuzzy' }];
+
+            analyzer.getKeywords()
+                .catch(function(err) {
+                    expect(err).to.be.an.instanceof(Error);
+                    done();
+                });
         });
 
-        describe('_transform()', function() {
-            it('should stringify an object and format output with a white space of 4', function(done) {
-                var expected = {
-                    foo: 1,
-                    bar: 2
-                };
+        it('should resolve with an array if the keywordsList json can be parsed successfully', function(done) {
+            analyzer.getKeywords()
+                .then(function(keywords) {
+                    expect(Array.isArray(keywords)).to.be.true;
+                    done();
+                });
+        });
 
-                var spy = sinon.spy(JSON, 'stringify');
-                var rstream = fs.createReadStream('./test/mocks/mock.json');
+        it('should merge the keywordFiles into keywordsList, leaving out duplicates', function(done) {
+            analyzer.keywordsList = ['Alice'];
+            analyzer.keywordFiles = ['./test/mocks/lists/keywords.txt', './test/mocks/lists/keywords.yml'];
 
-                var parser = new Transform({objectMode: true});
-                parser._transform = function(data, encoding, done) {
-                    var bufferString = data.toString();
-                    this.push(JSON.parse(bufferString));
+            analyzer.getKeywords()
+                .then(function(keywords) {
+                    expect(keywords).to.eql([
+                        'Alice',
+                        'Rabbit',
+                        'watch',
+                        { group: 'Rabbit', aliases: ['Rabbit', 'rabbit'], max: 1 }
+                    ]);
                     done();
-                };
+                })
+                .catch(done);
+        });
+    });
 
-                var stringifier = analyzer.stringifier();
+    describe('serialize()', function() {
+        var mockResults = {
+            'a.txt': { foo: 1, bar: 0 }
+        };
 
-                rstream
-                    .pipe(parser)
-                    .pipe(stringifier)
-                    .on('finish', function() {
-                        expect(spy).to.have.been.calledWith(expected, null, 4);
+        it('should format results as JSON by default', function() {
+            expect(analyzer.serialize(mockResults)).to.equal(JSON.stringify(mockResults, null, 4));
+        });
 
-                        done();
-                    })
-                    .on('error', function(err) {
-                        console.error(err);
+        it('should format results as a matrix for tabular formats', function() {
+            analyzer.format = 'csv';
+            expect(analyzer.serialize(mockResults)).to.equal('file,foo,bar\na.txt,1,0\n');
+        });
 
-                        done();
-                    });
-            });
+        it('should include rollup rows if rollup is true', function() {
+            analyzer.format = 'tsv';
+            analyzer.rollup = true;
+            expect(analyzer.serialize(mockResults)).to.equal('file\tfoo\tbar\na.txt\t1\t0\n$total\t1\t0\n');
+        });
+
+        it('should create a column for each keyword of the keyword list, including keywords starting with $', function() {
+            analyzer.format = 'csv';
+            analyzer.keywords = ['$price', 'foo'];
+            expect(analyzer.serialize({ 'a.txt': { $price: 2, foo: 1 } })).to.equal('file,$price,foo\na.txt,2,1\n');
         });
     });
 
@@ -290,7 +1597,7 @@ describe('Analyzer', function() {
                 var mapper = analyzer.mapper(mockPath);
 
                 var expectedMap = {
-                    myFile: {
+                    'myFile.txt': {
                         little: 1,
                         bunny: 1,
                         foo: 2,
@@ -357,28 +1664,61 @@ describe('Analyzer', function() {
                 });
         });
 
-        it('should try to create the output path file if it doesn\'t exist', function(done) {
-            var spy = sinon.spy(fs, 'open');
-
+        it('should not create the output file', function(done) {
             analyzer.outputPath = fakePath;
 
-            fs.lstatAsync(analyzer.outputPath)
-                .catch(function(err) {
-                    expect(err).to.be.an.instanceof(Error);
-                });
-
             analyzer.prepOutputPath()
                 .then(function() {
-                    expect(spy).to.have.been.calledWith(analyzer.outputPath, 'w+');
-                    fs.lstatAsync(analyzer.outputPath)
-                        .then(function(stats) {
-                            expect(stats.isFile()).to.be.true;
-                            done();
-                        });
+                    expect(fs.existsSync(fakePath)).to.be.false;
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should reject with an error if the directory can\'t be created', function(done) {
+            Analyzer = proxyquire('./../analyzer', {
+                'mkdirp': function(dir, cb) {
+                    return cb(new Error('EACCES'));
+                }
+            });
+            analyzer = new Analyzer(MOCK_CONFIG);
+
+            analyzer.prepOutputPath()
+                .catch(function(err) {
+                    expect(err.message).to.equal('EACCES');
+                    done();
                 });
         });
     });
 
+    describe('getFileKey()', function() {
+        it('should key files in the target directory by name', function() {
+            expect(analyzer.getFileKey(MOCK_CONFIG.target + '/foo.txt')).to.equal('foo.txt');
+        });
+
+        it('should key files in subdirectories by their path relative to the target directory', function() {
+            expect(analyzer.getFileKey(MOCK_CONFIG.target + '/a/b/foo.txt')).to.equal('a/b/foo.txt');
+        });
+
+        it('should not let files with the same name but different extensions collide', function() {
+            expect(analyzer.getFileKey(MOCK_CONFIG.target + '/a/index.md'))
+                .not.to.equal(analyzer.getFileKey(MOCK_CONFIG.target + '/a/index.html'));
+        });
+
+        it('should key a target file by name', function() {
+            analyzer.target = MOCK_CONFIG.target + '/foo.txt';
+            expect(analyzer.getFileKey(analyzer.target)).to.equal('foo.txt');
+        });
+
+        it('should key archive entries by the archive\'s key and their path inside it', function() {
+            expect(analyzer.getFileKey(MOCK_CONFIG.target + '/a/logs.zip!/2024/app.log'))
+                .to.equal('a/logs.zip!/2024/app.log');
+
+            analyzer.target = MOCK_CONFIG.target + '/logs.zip';
+            expect(analyzer.getFileKey(analyzer.target + '!/app.log')).to.equal('logs.zip!/app.log');
+        });
+    });
+
     describe('getKey()', function() {
         it('should return the same word provided as an argument if ignoreCase is false', function() {
             var expected = 'foo';
@@ -397,6 +1737,14 @@ describe('Analyzer', function() {
             expect(result).to.equal(expected);
         });
 
+        it('should fold the word and keys alike with the folding options', function() {
+            analyzer.ignoreCase = true;
+            analyzer.ignoreDiacritics = true;
+
+            expect(analyzer.getKey('STRASSE', { 'Straße': 1 })).to.equal('Straße');
+            expect(analyzer.getKey('resume', { 'résumé': 1 })).to.equal('résumé');
+        });
+
         it('should return undefined if no matching key is found in the provided map and ignoreCase is true', function() {
             var expected = undefined;
             var result;
@@ -0,0 +1,179 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var Promise = require('bluebird');
+var zlib = require('zlib');
+var archives = require('./../lib/archives');
+
+/**
+ * Lists the name and text of each entry of an archive
+ */
+function texts(entries) {
+    return entries.map(function(entry) {
+        return [entry.name, entry.data.toString()];
+    });
+}
+
+/**
+ * Builds a zip archive of one deflated file
+ */
+function deflatedZip(name, content) {
+    var data = zlib.deflateRawSync(content);
+    var local = Buffer.alloc(30);
+    var central = Buffer.alloc(46);
+    var end = Buffer.alloc(22);
+
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(name.length, 28);
+
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(1, 8);
+    end.writeUInt16LE(1, 10);
+    end.writeUInt32LE(46 + name.length, 12);
+    end.writeUInt32LE(30 + name.length + data.length, 16);
+
+    return Buffer.concat([local, Buffer.from(name), data, central, Buffer.from(name), end]);
+}
+
+describe('archives', function() {
+    describe('type()', function() {
+        it('should get the archive type of a file by its name', function() {
+            expect(['a.zip', 'a.TAR', 'a.tar.gz', 'a.tgz', 'a.log.gz', 'a.txt', '.gz'].map(archives.type))
+                .to.eql(['zip', 'tar', 'tgz', 'tgz', 'gzip', null, null]);
+        });
+    });
+
+    describe('extract()', function() {
+        it('should list the stored and deflated files of a zip archive', function() {
+            return archives.extract(fs.readFileSync('./test/mocks/archives/bundle.zip'), 'zip')
+                .then(function(entries) {
+                    expect(texts(entries)).to.eql([
+                        ['docs/chapter1.txt', 'Alice was beginning to get very tired.\n'],
+                        ['docs/chapter2.md', '# Rabbit\n\nThe White Rabbit ran by Alice.\n'],
+                        ['notes.txt', 'Rabbit Rabbit\n']
+                    ]);
+                });
+        });
+
+        it('should list the files of a gzipped tar archive', function() {
+            return archives.extract(fs.readFileSync('./test/mocks/archives/bundle.tar.gz'), 'tgz')
+                .then(function(entries) {
+                    expect(texts(entries)).to.eql([
+                        ['docs/chapter2.md', '# Rabbit\n\nThe White Rabbit ran by Alice.\n'],
+                        ['docs/chapter1.txt', 'Alice was beginning to get very tired.\n'],
+                        ['notes.txt', 'Rabbit Rabbit\n']
+                    ]);
+                });
+        });
+
+        it('should decompress a gzip file into one file without a name', function() {
+            return archives.extract(fs.readFileSync('./test/mocks/archives/log.txt.gz'), 'gzip')
+                .then(function(entries) {
+                    expect(texts(entries)).to.eql([['', 'Alice and the Rabbit, and Alice again.\n']]);
+                });
+        });
+
+        it('should pass files to an iterator one at a time', function() {
+            return Promise.mapSeries([['bundle.zip', 'zip'], ['bundle.tar.gz', 'tgz']], function(archive) {
+                var names = [];
+                var active = 0;
+
+                return archives.extract('./test/mocks/archives/' + archive[0], archive[1], {}, function(entry) {
+                        active++;
+                        expect(active).to.equal(1);
+                        names.push(entry.name);
+
+                        return Promise.delay(5).then(function() {
+                            active--;
+                        });
+                    })
+                    .then(function(result) {
+                        expect(result).to.equal(null);
+                        expect(names.sort()).to.eql(['docs/chapter1.txt', 'docs/chapter2.md', 'notes.txt']);
+                    });
+            });
+        });
+
+        it('should reject with an error if a zip archive is invalid', function() {
+            return archives.extract(fs.readFileSync('./test/mocks/archives/broken.zip'), 'zip')
+                .then(function() {
+                    throw new Error('Expected a rejection');
+                }, function(err) {
+                    expect(err.message).to.equal('Invalid zip archive');
+                });
+        });
+
+        it('should reject with an error if a zip entry uses another compression method', function() {
+            var buffer = fs.readFileSync('./test/mocks/archives/bundle.zip');
+            var central = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+
+            buffer.writeUInt16LE(14, central + 10);
+
+            return archives.extract(buffer, 'zip')
+                .then(function() {
+                    throw new Error('Expected a rejection');
+                }, function(err) {
+                    expect(err.message).to.equal('Unsupported compression method 14 of zip entry: docs/chapter1.txt');
+                });
+        });
+    });
+
+    describe('extract() with a limit', function() {
+        var content = Buffer.alloc(16 * 1024 * 1024, 'Alice ');
+
+        it('should stop decompressing a gzip file past the limit', function() {
+            return archives.extract(zlib.gzipSync(content), 'gzip', { limit: 100 })
+                .then(function(entries) {
+                    expect(entries[0].data).to.eql(content.slice(0, 100));
+                    expect(entries[0].size).to.be.above(100).and.below(1024 * 1024);
+                });
+        });
+
+        it('should stop inflating a zip entry past the limit and keep its declared size', function() {
+            return archives.extract(deflatedZip('bomb.txt', content), 'zip', { limit: 100 })
+                .then(function(entries) {
+                    expect(entries[0].name).to.equal('bomb.txt');
+                    expect(entries[0].data).to.eql(content.slice(0, 100));
+                    expect(entries[0].size).to.equal(content.length);
+                });
+        });
+
+        it('should keep the first bytes of tar entries and their full size', function() {
+            return archives.extract('./test/mocks/archives/bundle.tar.gz', 'tgz', { limit: 5 })
+                .then(function(entries) {
+                    expect(entries.map(function(entry) {
+                        return [entry.name, entry.data.toString(), entry.size];
+                    })).to.eql([
+                        ['docs/chapter2.md', '# Rab', 41],
+                        ['docs/chapter1.txt', 'Alice', 39],
+                        ['notes.txt', 'Rabbi', 14]
+                    ]);
+                });
+        });
+    });
+
+    describe('tar()', function() {
+        it('should throw an error if a header is invalid or the archive is cut short', function() {
+            var buffer = zlib.gunzipSync(fs.readFileSync('./test/mocks/archives/bundle.tar.gz'));
+
+            expect(function() {
+                archives.tar(buffer.slice(0, 1030));
+            }).to.throw('Unexpected end of tar archive');
+
+            buffer[600] = 120;
+
+            expect(function() {
+                archives.tar(buffer);
+            }).to.throw('Invalid tar archive');
+        });
+    });
+});
@@ -0,0 +1,145 @@
+var chai = require('chai');
+var expect = chai.expect;
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var path = require('path');
+var del = require('delete');
+var cache = require('./../lib/cache');
+
+var CACHE_DIR = './test/mocks/output/cache';
+var FILE = './test/mocks/literals.txt';
+
+describe('cache', function() {
+    afterEach(function() {
+        return del.promise(CACHE_DIR);
+    });
+
+    describe('Cache', function() {
+        it('should key files by their content, the keywords and the options', function() {
+            var options = { ignoreCase: true, stemmer: function(word) { return word; } };
+
+            return Promise.all([
+                    new cache.Cache({ keywords: ['Alice'], options: options }).key(FILE),
+                    new cache.Cache({ keywords: ['Alice'], options: options }).key(FILE),
+                    new cache.Cache({ keywords: ['Alice'], options: options }).key('./test/mocks/empty.txt'),
+                    new cache.Cache({ keywords: ['Rabbit'], options: options }).key(FILE),
+                    new cache.Cache({ keywords: ['Alice'], options: { ignoreCase: false } }).key(FILE),
+                    new cache.Cache({
+                        keywords: ['Alice'],
+                        options: { ignoreCase: true, stemmer: function(word) { return word.toLowerCase(); } }
+                    }).key(FILE)
+                ])
+                .then(function(keys) {
+                    expect(keys[0]).to.match(/^[0-9a-f]{64}$/);
+                    expect(keys[1]).to.equal(keys[0]);
+                    expect(keys.slice(2)).not.to.include(keys[0]);
+                    expect(keys[3]).not.to.equal(keys[4]);
+                });
+        });
+
+        it('should key files with the same content by their extension and archive type', function() {
+            var store = new cache.Cache({ keywords: ['Alice'] });
+            var archive = path.join(CACHE_DIR, 'log.tar.gz');
+
+            return fs.mkdirAsync(CACHE_DIR, { recursive: true })
+                .then(function() {
+                    return fs.copyFileAsync('./test/mocks/archives/log.txt.gz', archive);
+                })
+                .then(function() {
+                    return Promise.all([
+                        store.key('./test/mocks/cache/note.md'),
+                        store.key('./test/mocks/cache/note.txt'),
+                        store.key('./test/mocks/archives/log.txt.gz'),
+                        store.key(archive)
+                    ]);
+                })
+                .then(function(keys) {
+                    expect(keys[0]).not.to.equal(keys[1]);
+                    expect(keys[2]).not.to.equal(keys[3]);
+                });
+        });
+
+        it('should only hash the first bytes of a file if a length is given', function() {
+            var store = new cache.Cache({ keywords: ['Alice'] });
+
+            return Promise.all([store.key(FILE), store.key(FILE, 5), store.key(FILE, 5), store.key(FILE, 6)])
+                .then(function(keys) {
+                    expect(keys[1]).to.equal(keys[2]);
+                    expect(keys[1]).not.to.equal(keys[0]);
+                    expect(keys[3]).not.to.equal(keys[1]);
+                });
+        });
+
+        it('should reject if a file can\'t be read', function() {
+            return new cache.Cache().key('./test/mocks/missing.txt')
+                .then(function() {
+                    throw new Error('Expected a rejection');
+                }, function(err) {
+                    expect(err.code).to.equal('ENOENT');
+                });
+        });
+
+        it('should store values under a key in a subdirectory of the cache', function() {
+            var store = new cache.Cache({ dir: CACHE_DIR });
+            var key = 'ab' + new Array(63).join('c');
+
+            return store.get(key)
+                .then(function(value) {
+                    expect(value).to.equal(null);
+
+                    return store.set(key, { results: { '': { Alice: 1 } }, skipped: {} });
+                })
+                .then(function() {
+                    expect(fs.readdirSync(path.join(CACHE_DIR, 'ab'))).to.eql([key.slice(2) + '.json']);
+
+                    return store.get(key);
+                })
+                .then(function(value) {
+                    expect(value).to.eql({ results: { '': { Alice: 1 } }, skipped: {} });
+                });
+        });
+
+        it('should resolve with null for values that can\'t be parsed', function() {
+            var store = new cache.Cache({ dir: CACHE_DIR });
+            var key = 'abcdef';
+
+            return store.open()
+                .then(function() {
+                    return fs.mkdirAsync(path.join(CACHE_DIR, 'ab'));
+                })
+                .then(function() {
+                    return fs.writeFileAsync(store.path(key), '{"results":');
+                })
+                .then(function() {
+                    return store.get(key);
+                })
+                .then(function(value) {
+                    expect(value).to.equal(null);
+                });
+        });
+
+        it('should remove the cache directory when cleared', function() {
+            var store = new cache.Cache({ dir: CACHE_DIR });
+
+            return store.set('abcdef', {})
+                .then(function() {
+                    return store.clear();
+                })
+                .then(function() {
+                    expect(fs.existsSync(CACHE_DIR)).to.equal(false);
+
+                    return cache.clear(CACHE_DIR);
+                });
+        });
+
+        it('should check whether a file is inside the cache directory', function() {
+            var store = new cache.Cache({ dir: CACHE_DIR });
+
+            expect(new cache.Cache().dir).to.equal('.keyword-count-cache');
+            expect(store.contains(CACHE_DIR + '/ab/cdef.json')).to.equal(true);
+            expect(store.contains(path.resolve(CACHE_DIR))).to.equal(true);
+            expect(store.contains(CACHE_DIR + '-old/ab.json')).to.equal(false);
+            expect(store.contains('./test/mocks/output/results.json')).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+var chai = require('chai');
+var expect = chai.expect;
+var Promise = require('bluebird');
+var comparison = require('./../lib/compare');
+
+var MOCK_DIR = './test/mocks/runs';
+
+describe('compare', function() {
+    describe('compare()', function() {
+        var baseline = {
+            'a.md': { Alice: 2, Rabbit: 1 },
+            'b.md': { Alice: 1, Rabbit: 0 },
+            'c.md': { Alice: 1, Rabbit: 1, $positions: [] }
+        };
+        var current = {
+            'a.md': { Alice: 3, Rabbit: 1 },
+            'c.md': { Alice: 1, Rabbit: 1 },
+            'd.md': { Alice: 0, Rabbit: 4 }
+        };
+
+        it('should report the drift of each keyword in each file', function() {
+            var result = comparison.compare(baseline, current);
+
+            expect(result.files['a.md']).to.eql({
+                status: 'changed',
+                keywords: {
+                    Alice: { baseline: 2, current: 3, delta: 1, change: 50 },
+                    Rabbit: { baseline: 1, current: 1, delta: 0, change: 0 }
+                }
+            });
+            expect(result.files['c.md'].status).to.equal('unchanged');
+        });
+
+        it('should list added and removed files and count their missing keywords as 0', function() {
+            var result = comparison.compare(baseline, current);
+
+            expect(result.added).to.eql(['d.md']);
+            expect(result.removed).to.eql(['b.md']);
+            expect(result.files['b.md'].keywords.Alice).to.eql({ baseline: 1, current: 0, delta: -1, change: -100 });
+            expect(result.files['d.md'].keywords.Rabbit).to.eql({ baseline: 0, current: 4, delta: 4, change: null });
+        });
+
+        it('should report the drift of the total count of each keyword', function() {
+            expect(comparison.compare(baseline, current).total).to.eql({
+                Alice: { baseline: 4, current: 4, delta: 0, change: 0 },
+                Rabbit: { baseline: 2, current: 6, delta: 4, change: 200 }
+            });
+        });
+
+        it('should count keywords found in only one of the runs', function() {
+            var result = comparison.compare({ 'a.md': { Alice: 3 } }, { 'a.md': { Alice: 1, Cat: 2 } });
+
+            expect(result.files['a.md'].keywords).to.eql({
+                Alice: { baseline: 3, current: 1, delta: -2, change: -66.6667 },
+                Cat: { baseline: 0, current: 2, delta: 2, change: null }
+            });
+        });
+
+        it('should compare keywords and files named like object properties', function() {
+            var result = comparison.compare(
+                { constructor: { constructor: 1 }, 'a.md': { toString: 1 } },
+                { 'a.md': { toString: 1, constructor: 2 } }
+            );
+
+            expect(result.removed).to.eql(['constructor']);
+            expect(result.files['a.md'].keywords.constructor)
+                .to.eql({ baseline: 0, current: 2, delta: 2, change: null });
+            expect(result.total.constructor).to.eql({ baseline: 1, current: 2, delta: 1, change: 100 });
+        });
+    });
+
+    describe('format()', function() {
+        it('should format the comparison as JSON by default', function() {
+            var result = comparison.compare({}, {});
+
+            expect(comparison.format(result)).to.equal(JSON.stringify(result, null, 4));
+        });
+
+        it('should throw an error if the format is not supported', function() {
+            expect(function() {
+                comparison.format(comparison.compare({}, {}), 'xml');
+            }).to.throw('Unknown format: xml');
+        });
+    });
+
+    describe('read()', function() {
+        it('should read results written as JSON, grouped by directory', function(done) {
+            comparison.read(MOCK_DIR + '/baseline.json')
+                .then(function(report) {
+                    expect(comparison.compare(report, {}).removed).to.eql(['docs/a.md', 'docs/b.md', 'readme.md']);
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should read the file records of results written as ndjson', function(done) {
+            comparison.read(MOCK_DIR + '/current.ndjson')
+                .then(function(report) {
+                    expect(report).to.eql({
+                        'docs/a.md': { Alice: 3, Rabbit: 1 },
+                        'docs/c.md': { Alice: 0, Rabbit: 4 },
+                        'readme.md': { Alice: 0, Rabbit: 0 }
+                    });
+                    done();
+                })
+                .catch(done);
+        });
+
+        it('should read the single file record of ndjson results by extension or by its shape', function(done) {
+            Promise.all([comparison.read(MOCK_DIR + '/single.ndjson'), comparison.read(MOCK_DIR + '/single.json')])
+                .then(function(reports) {
+                    expect(reports[0]).to.eql({ 'a.txt': { Alice: 2, Rabbit: 0 } });
+                    expect(reports[1]).to.eql(reports[0]);
+                    done();
+                })
+                .catch(done);
+        });
+    });
+});
@@ -0,0 +1,49 @@
+var chai = require('chai');
+var expect = chai.expect;
+var path = require('path');
+var config = require('./../lib/config');
+
+var CONFIG_DIR = path.resolve('test/mocks/config');
+
+describe('config', function() {
+    describe('find()', function() {
+        it('should find the nearest configuration file in a directory or its ancestors', function() {
+            return config.find(path.join(CONFIG_DIR, 'nested/deeper'))
+                .then(function(file) {
+                    expect(file).to.equal(path.join(CONFIG_DIR, '.keywordcountrc'));
+                });
+        });
+    });
+
+    describe('load()', function() {
+        it('should resolve paths relative to the configuration file', function() {
+            return config.load(path.join(CONFIG_DIR, '.keywordcountrc'))
+                .then(function(options) {
+                    expect(options).to.eql({
+                        target: path.resolve('test/mocks/subjects'),
+                        keywordFiles: [path.resolve('test/mocks/lists/keywords.txt')],
+                        outputPath: '-',
+                        format: 'csv'
+                    });
+                });
+        });
+
+        it('should reject if the configuration is not an object', function() {
+            return config.load('test/mocks/lists/plain.csv')
+                .then(function() {
+                    throw new Error('Expected a rejection');
+                }, function(err) {
+                    expect(err.message).to.equal('Configuration must be an object: test/mocks/lists/plain.csv');
+                });
+        });
+    });
+
+    describe('loadNearest()', function() {
+        it('should load the nearest configuration file', function() {
+            return config.loadNearest(path.join(CONFIG_DIR, 'nested'))
+                .then(function(options) {
+                    expect(options.format).to.equal('csv');
+                });
+        });
+    });
+});
@@ -0,0 +1,111 @@
+var chai = require('chai');
+var expect = chai.expect;
+var Discovery = require('./../lib/discovery');
+
+var TEXT = 'Alice followed the White Rabbit. The white rabbit was late for the Queen of Hearts, ' +
+    'and the Queen of Hearts was not pleased. 42 rabbits!';
+
+describe('Discovery', function() {
+    var discovery;
+
+    beforeEach(function() {
+        discovery = new Discovery();
+        discovery.add(TEXT);
+    });
+
+    describe('constructor', function() {
+        it('should throw an error if ngrams is not 1, 2 or 3', function() {
+            expect(function() {
+                new Discovery({ ngrams: 4 });
+            }).to.throw('ngrams must be 1, 2 or 3: 4');
+        });
+
+        it('should throw an error if there are no stop words for the language', function() {
+            expect(function() {
+                new Discovery({ language: 'xx' });
+            }).to.throw('No stop words for language: xx');
+        });
+
+        it('should accept an unknown language if stop words are provided', function() {
+            expect(new Discovery({ language: 'xx', stopWords: ['und'] }).stopWords).to.eql({ und: true });
+        });
+    });
+
+    describe('top()', function() {
+        it('should list the most frequent unigrams, bigrams and trigrams by count, then alphabetically', function() {
+            var report = discovery.top(2);
+
+            expect(report).to.eql({
+                unigrams: [{ term: 'Hearts', count: 2 }, { term: 'Queen', count: 2 }],
+                bigrams: [{ term: 'Alice followed', count: 1 }, { term: 'White Rabbit', count: 1 }],
+                trigrams: [{ term: 'Queen of Hearts', count: 2 }, { term: 'followed the White', count: 1 }]
+            });
+        });
+
+        it('should skip stop words and numbers, and n-grams that start or end with them', function() {
+            var terms = discovery.top(100);
+            var all = terms.unigrams.concat(terms.bigrams, terms.trigrams).map(function(entry) {
+                return entry.term;
+            });
+
+            expect(all).to.not.include('the');
+            expect(all).to.not.include('42');
+            expect(all).to.not.include('Queen of');
+            expect(all).to.include('Queen of Hearts');
+        });
+
+        it('should not form n-grams across punctuation', function() {
+            var terms = discovery.top(100).bigrams.map(function(entry) {
+                return entry.term;
+            });
+
+            expect(terms).to.not.include('Rabbit The');
+            expect(terms).to.not.include('Hearts and');
+        });
+
+        it('should count terms that differ in case together under their most frequent form if ignoreCase is true', function() {
+            discovery = new Discovery({ ignoreCase: true, ngrams: 2 });
+            discovery.add(TEXT + ' The White Rabbit.');
+
+            expect(discovery.top(1)).to.eql({
+                unigrams: [{ term: 'Rabbit', count: 3 }],
+                bigrams: [{ term: 'White Rabbit', count: 3 }]
+            });
+        });
+
+        it('should use the stop words provided instead of the built-in list', function() {
+            discovery = new Discovery({ ngrams: 1, stopWords: ['Queen', 'Hearts'] });
+            discovery.add(TEXT);
+
+            expect(discovery.top(1).unigrams).to.eql([{ term: 'the', count: 3 }]);
+        });
+
+        it('should count words that are names of object properties', function() {
+            discovery = new Discovery({ ngrams: 1 });
+            discovery.add('hasOwnProperty constructor toString constructor hasOwnProperty');
+
+            expect(discovery.top(5).unigrams).to.eql([
+                { term: 'constructor', count: 2 },
+                { term: 'hasOwnProperty', count: 2 },
+                { term: 'toString', count: 1 }
+            ]);
+        });
+
+        it('should use the built-in stop words of the language', function() {
+            discovery = new Discovery({ ngrams: 1, language: 'de' });
+            discovery.add('Der Hase und der Hut');
+
+            expect(discovery.top(5).unigrams).to.eql([{ term: 'Hase', count: 1 }, { term: 'Hut', count: 1 }]);
+        });
+    });
+
+    describe('toKeywords()', function() {
+        it('should list unigrams as words and longer terms as phrases', function() {
+            expect(Discovery.toKeywords(discovery.top(1))).to.eql([
+                { term: 'Hearts', mode: 'word' },
+                { term: 'Alice followed', mode: 'phrase' },
+                { term: 'Queen of Hearts', mode: 'phrase' }
+            ]);
+        });
+    });
+});
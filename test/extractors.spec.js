@@ -0,0 +1,128 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var extractors = require('./../lib/extractors');
+
+var MOCK_DIR = './test/mocks/documents';
+
+/**
+ * Collapses whitespace so extracted text can be compared without its padding
+ */
+function squash(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+describe('extractors', function() {
+    describe('html()', function() {
+        var source = fs.readFileSync(MOCK_DIR + '/page.html', 'utf8');
+
+        it('should keep only visible text and decode entities', function() {
+            expect(squash(extractors.html(source).text)).to.equal('Alice & the Rabbit The White Rabbit was late.');
+        });
+
+        it('should keep the lines of the text and map its offsets back to the document', function() {
+            var extracted = extractors.html(source);
+            var map = new extractors.SourceMap(source, extracted.offsets);
+            var index = extracted.text.indexOf('The White');
+
+            expect(extracted.text.split('\n').length).to.equal(source.split('\n').length);
+            expect(map.offset(index)).to.equal(source.indexOf('The White'));
+            expect(map.position(index)).to.eql({ line: 10, column: 22 });
+        });
+
+        it('should decode numeric entities', function() {
+            expect(squash(extractors.html('caf&#233; &#x2014; &bogus;').text)).to.equal('café — &bogus;');
+        });
+
+        it('should only break words at block-level tags', function() {
+            var html = '<p>R&amp;D team: Alice&rsquo;s work on Wonder<em>land</em></p><p>Rabbit<!-- - -->hole<br>end</p>';
+
+            expect(squash(extractors.html(html).text)).to.equal('R&D team: Alice’s work on Wonderland Rabbithole end');
+        });
+    });
+
+    describe('markdown()', function() {
+        var source = fs.readFileSync(MOCK_DIR + '/notes.md', 'utf8');
+
+        it('should remove code fences, link URLs, reference definitions and autolinks', function() {
+            expect(squash(extractors.markdown(source))).to.equal('# Alice Alice followed the White Rabbit . Rabbit hole');
+        });
+
+        it('should keep the line and column of the text', function() {
+            var extracted = extractors.markdown(source);
+
+            expect(extracted.length).to.equal(source.length);
+            expect(extracted.split('\n').length).to.equal(source.split('\n').length);
+        });
+    });
+
+    describe('json()', function() {
+        var source = fs.readFileSync(MOCK_DIR + '/data.json', 'utf8');
+
+        it('should keep only string values', function() {
+            expect(squash(extractors.json(source))).to.equal('the White Rabbit Alice and the "Rabbit"');
+        });
+
+        it('should keep the line and column of the text', function() {
+            var extracted = extractors.json(source);
+
+            expect(extracted.length).to.equal(source.length);
+            expect(extracted.split('\n')[1].indexOf('the White')).to.equal(source.split('\n')[1].indexOf('the White'));
+        });
+    });
+
+    describe('get()', function() {
+        afterEach(function() {
+            extractors.unregister('.txt');
+        });
+
+        it('should get the extractor registered for a file\'s extension regardless of case', function() {
+            expect(extractors.get('path/to/page.HTML')).to.equal(extractors.html);
+            expect(extractors.get('notes.md')).to.equal(extractors.markdown);
+            expect(extractors.get('data.json')).to.equal(extractors.json);
+        });
+
+        it('should return null if no extractor is registered for a file\'s extension', function() {
+            expect(extractors.get('notes.txt')).to.be.null;
+            expect(extractors.get('notes')).to.be.null;
+        });
+
+        it('should get extractors added with register()', function() {
+            var extractor = function(text) {
+                return text;
+            };
+
+            extractors.register(['.txt'], extractor);
+
+            expect(extractors.get('notes.txt')).to.equal(extractor);
+        });
+
+        it('should list the registered extractors with registered()', function() {
+            var extractor = function(text) {
+                return text;
+            };
+
+            extractors.register('.TXT', extractor);
+
+            expect(extractors.registered()['.txt']).to.equal(extractor);
+            expect(extractors.registered()['.md']).to.equal(extractors.markdown);
+        });
+
+        it('should prefer overrides to the registry', function() {
+            var extractor = function(text) {
+                return text;
+            };
+
+            expect(extractors.get('page.html', { '.html': extractor })).to.equal(extractor);
+            expect(extractors.get('page.html', { '.html': null })).to.be.null;
+        });
+    });
+
+    describe('register()', function() {
+        it('should throw an error if the extractor is not a function', function() {
+            expect(function() {
+                extractors.register('.txt', 'text');
+            }).to.throw(Error);
+        });
+    });
+});
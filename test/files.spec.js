@@ -0,0 +1,51 @@
+var chai = require('chai');
+var expect = chai.expect;
+var files = require('./../lib/files');
+
+describe('files', function() {
+    describe('isBinary()', function() {
+        it('should consider content with a NUL byte binary', function() {
+            expect(files.isBinary(Buffer.from('Alice\u0000Rabbit'))).to.be.true;
+            expect(files.isBinary(Buffer.from('Alice met the Rabbit. Café'))).to.be.false;
+        });
+    });
+
+    describe('parseSize()', function() {
+        it('should parse numbers of bytes and sizes with a unit', function() {
+            expect(files.parseSize(512)).to.equal(512);
+            expect(files.parseSize('512')).to.equal(512);
+            expect(files.parseSize('4k')).to.equal(4096);
+            expect(files.parseSize('1.5MB')).to.equal(1572864);
+            expect(files.parseSize('1g')).to.equal(1073741824);
+        });
+
+        it('should throw an error if the size is not valid', function() {
+            expect(function() {
+                files.parseSize('-1');
+            }).to.throw('Invalid file size: -1');
+            expect(function() {
+                files.parseSize('10 parsecs');
+            }).to.throw('Invalid file size: 10 parsecs');
+        });
+    });
+
+    describe('inspect()', function() {
+        it('should resolve with the size of a file and whether it is binary', function() {
+            return Promise.all([
+                files.inspect('test/mocks/files/story.txt'),
+                files.inspect('test/mocks/files/image.bin')
+            ]).then(function(info) {
+                expect(info).to.eql([{ size: 43, binary: false }, { size: 14, binary: true }]);
+            });
+        });
+
+        it('should reject if the file does not exist', function() {
+            return files.inspect('test/mocks/files/missing.txt')
+                .then(function() {
+                    throw new Error('Expected a rejection');
+                }, function(err) {
+                    expect(err.code).to.equal('ENOENT');
+                });
+        });
+    });
+});
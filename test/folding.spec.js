@@ -0,0 +1,69 @@
+var chai = require('chai');
+var expect = chai.expect;
+var folding = require('./../lib/folding');
+
+describe('folding', function() {
+    describe('validate()', function() {
+        it('should accept supported options', function() {
+            expect(function() {
+                folding.validate({});
+                folding.validate({ normalize: 'NFKC', locale: 'tr', ignoreDiacritics: true });
+            }).to.not.throw();
+        });
+
+        it('should throw an error if the normalize form is not supported', function() {
+            expect(function() {
+                folding.validate({ normalize: 'NFD' });
+            }).to.throw('Unknown normalize option: NFD');
+        });
+
+        it('should throw an error if the locale is not valid', function() {
+            expect(function() {
+                folding.validate({ locale: 'not a locale' });
+            }).to.throw('Invalid locale: not a locale');
+        });
+    });
+
+    describe('createFolder()', function() {
+        it('should leave text as it is without options', function() {
+            expect(folding.createFolder()('Straße Café')).to.equal('Straße Café');
+        });
+
+        it('should fold case fully if ignoreCase is true', function() {
+            var fold = folding.createFolder({ ignoreCase: true });
+
+            expect(fold('Straße')).to.equal(fold('STRASSE'));
+            expect(fold('ΣΟΦΟΣ')).to.equal(fold('σοφος'));
+        });
+
+        it('should fold the Turkish dotted and dotless i by the tr locale', function() {
+            var fold = folding.createFolder({ ignoreCase: true, locale: 'tr' });
+
+            expect(fold('İ')).to.equal('i');
+            expect(fold('I')).to.equal('ı');
+            expect(fold('I')).to.not.equal(fold('i'));
+        });
+
+        it('should fold composed and decomposed characters alike if normalize is NFC', function() {
+            var fold = folding.createFolder({ normalize: 'NFC' });
+
+            expect(fold('caf\u00e9')).to.equal(fold('cafe\u0301'));
+            expect(fold('\ufb01')).to.not.equal(fold('fi'));
+        });
+
+        it('should fold compatibility characters to their plain form if normalize is NFKC', function() {
+            var fold = folding.createFolder({ normalize: 'NFKC', ignoreCase: true });
+
+            expect(fold('ﬁ')).to.equal('fi');
+            expect(fold('Ａ')).to.equal('a');
+            expect(fold('Ⅸ')).to.equal('ix');
+        });
+
+        it('should drop accents if ignoreDiacritics is true', function() {
+            var fold = folding.createFolder({ ignoreDiacritics: true });
+
+            expect(fold('r\u00e9sum\u00e9')).to.equal('resume');
+            expect(fold('cafe\u0301')).to.equal('cafe');
+        });
+    });
+});
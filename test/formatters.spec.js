@@ -0,0 +1,203 @@
+var chai = require('chai');
+var expect = chai.expect;
+var formatters = require('./../lib/formatters');
+
+var MOCK_RESULTS = {
+    'docs/a.md': { foo: 1, 'bar, baz': 0 },
+    'readme.md': { foo: 2, 'bar, baz': 3 }
+};
+
+var MOCK_ROLLUP = {
+    directories: { docs: { foo: 1, 'bar, baz': 0 } },
+    total: { foo: 3, 'bar, baz': 3 }
+};
+
+describe('formatters', function() {
+    var rows;
+
+    beforeEach(function() {
+        rows = formatters.toRows(MOCK_RESULTS);
+    });
+
+    describe('toRows()', function() {
+        it('should create a row for each file', function() {
+            expect(rows).to.eql([
+                { type: 'file', path: 'docs/a.md', counts: MOCK_RESULTS['docs/a.md'] },
+                { type: 'file', path: 'readme.md', counts: MOCK_RESULTS['readme.md'] }
+            ]);
+        });
+
+        it('should add rows for each directory and the total if a rollup is provided', function() {
+            rows = formatters.toRows(MOCK_RESULTS, MOCK_ROLLUP);
+
+            expect(rows.slice(2)).to.eql([
+                { type: 'directory', path: 'docs', counts: MOCK_ROLLUP.directories.docs },
+                { type: 'total', path: null, counts: MOCK_ROLLUP.total }
+            ]);
+        });
+    });
+
+    describe('toMatrix()', function() {
+        it('should create a header row and a row of counts for each file', function() {
+            expect(formatters.toMatrix(rows)).to.eql([
+                ['file', 'foo', 'bar, baz'],
+                ['docs/a.md', 1, 0],
+                ['readme.md', 2, 3]
+            ]);
+        });
+
+        it('should skip metadata and fill in missing keywords with 0', function() {
+            rows[0].counts = { foo: 1, $meta: {} };
+
+            expect(formatters.toMatrix(rows)).to.eql([
+                ['file', 'foo', 'bar, baz'],
+                ['docs/a.md', 1, 0],
+                ['readme.md', 2, 3]
+            ]);
+        });
+
+        it('should create a column for each keyword of a list, including keywords starting with $', function() {
+            rows[0].counts = { foo: 1, $price: 2 };
+
+            expect(formatters.toMatrix(rows, ['$price', 'foo'])).to.eql([
+                ['file', '$price', 'foo'],
+                ['docs/a.md', 2, 1],
+                ['readme.md', 0, 2]
+            ]);
+        });
+
+        it('should fill in missing keywords named like object properties with 0', function() {
+            expect(formatters.toMatrix([
+                { type: 'file', path: 'a.md', counts: { constructor: 1 } },
+                { type: 'file', path: 'b.md', counts: { toString: 2 } }
+            ])).to.eql([
+                ['file', 'constructor', 'toString'],
+                ['a.md', 1, 0],
+                ['b.md', 0, 2]
+            ]);
+        });
+    });
+
+    describe('json()', function() {
+        it('should stringify the report with a white space of 4', function() {
+            expect(formatters.json(MOCK_RESULTS, rows)).to.equal(JSON.stringify(MOCK_RESULTS, null, 4));
+        });
+    });
+
+    describe('ndjson()', function() {
+        it('should output one JSON record per line', function() {
+            var lines = formatters.ndjson(MOCK_RESULTS, formatters.toRows(MOCK_RESULTS, MOCK_ROLLUP)).split('\n');
+
+            expect(lines.length).to.equal(5);
+            expect(JSON.parse(lines[0])).to.eql({ type: 'file', path: 'docs/a.md', counts: MOCK_RESULTS['docs/a.md'] });
+            expect(JSON.parse(lines[3])).to.eql({ type: 'total', counts: MOCK_ROLLUP.total });
+            expect(lines[4]).to.equal('');
+        });
+    });
+
+    describe('csv()', function() {
+        it('should output a comma separated matrix and quote cells with commas', function() {
+            expect(formatters.csv(MOCK_RESULTS, rows)).to.equal(
+                'file,foo,"bar, baz"\n' +
+                'docs/a.md,1,0\n' +
+                'readme.md,2,3\n'
+            );
+        });
+
+        it('should label directory and total rows', function() {
+            var output = formatters.csv(MOCK_RESULTS, formatters.toRows(MOCK_RESULTS, MOCK_ROLLUP));
+
+            expect(output.split('\n').slice(3)).to.eql(['docs/,1,0', '$total,3,3', '']);
+        });
+    });
+
+    describe('tsv()', function() {
+        it('should output a tab separated matrix', function() {
+            expect(formatters.tsv(MOCK_RESULTS, rows)).to.equal(
+                'file\tfoo\tbar, baz\n' +
+                'docs/a.md\t1\t0\n' +
+                'readme.md\t2\t3\n'
+            );
+        });
+    });
+
+    describe('markdown()', function() {
+        it('should output a Markdown table', function() {
+            expect(formatters.markdown(MOCK_RESULTS, rows)).to.equal(
+                '| file | foo | bar, baz |\n' +
+                '| --- | ---: | ---: |\n' +
+                '| docs/a.md | 1 | 0 |\n' +
+                '| readme.md | 2 | 3 |\n'
+            );
+        });
+
+        it('should escape pipes in cells', function() {
+            rows = formatters.toRows({ 'a|b.md': { foo: 1 } });
+
+            expect(formatters.markdown({}, rows).split('\n')[2]).to.equal('| a\\|b.md | 1 |');
+        });
+    });
+
+    describe('discovery()', function() {
+        var report = {
+            unigrams: [{ term: 'Rabbit', count: 3 }],
+            bigrams: [{ term: 'White Rabbit', count: 2 }]
+        };
+
+        it('should stringify the report as JSON', function() {
+            expect(formatters.discovery('json', report)).to.equal(JSON.stringify(report, null, 4));
+        });
+
+        it('should output one JSON record per term', function() {
+            expect(formatters.discovery('ndjson', report).split('\n')).to.eql([
+                '{"ngram":"unigrams","term":"Rabbit","count":3}',
+                '{"ngram":"bigrams","term":"White Rabbit","count":2}',
+                ''
+            ]);
+        });
+
+        it('should output a row with the number of words and count of each term', function() {
+            expect(formatters.discovery('csv', report)).to.equal(
+                'term,words,count\n' +
+                'Rabbit,1,3\n' +
+                'White Rabbit,2,2\n'
+            );
+            expect(formatters.discovery('markdown', report).split('\n')[1]).to.equal('| --- | ---: | ---: |');
+        });
+    });
+
+    describe('comparison()', function() {
+        var report = {
+            files: {
+                'a.md': { status: 'added', keywords: { foo: { baseline: 0, current: 2, delta: 2, change: null } } }
+            },
+            added: ['a.md'],
+            removed: [],
+            total: { foo: { baseline: 1, current: 2, delta: 1, change: 100 } }
+        };
+
+        it('should stringify the comparison as JSON', function() {
+            expect(formatters.comparison('json', report)).to.equal(JSON.stringify(report, null, 4));
+        });
+
+        it('should output one JSON record per file and keyword and per total', function() {
+            var lines = formatters.comparison('ndjson', report).split('\n');
+
+            expect(JSON.parse(lines[0])).to.eql({
+                type: 'file', path: 'a.md', status: 'added', keyword: 'foo',
+                baseline: 0, current: 2, delta: 2, change: null
+            });
+            expect(JSON.parse(lines[1])).to.eql({
+                type: 'total', keyword: 'foo', baseline: 1, current: 2, delta: 1, change: 100
+            });
+        });
+
+        it('should output a row per file and keyword and leave a null change empty', function() {
+            expect(formatters.comparison('tsv', report)).to.equal(
+                'file\tstatus\tkeyword\tbaseline\tcurrent\tdelta\tchange\n' +
+                'a.md\tadded\tfoo\t0\t2\t2\t\n' +
+                '$total\t\tfoo\t1\t2\t1\t100\n'
+            );
+        });
+    });
+});
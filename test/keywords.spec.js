@@ -0,0 +1,161 @@
+var chai = require('chai');
+var expect = chai.expect;
+var keywords = require('./../lib/keywords');
+
+describe('keywords', function() {
+    describe('normalize()', function() {
+        it('should match plain strings as substrings', function() {
+            expect(keywords.normalize('mad')).to.eql({ term: 'mad', mode: 'substring' });
+        });
+
+        it('should default the mode of keyword objects to substring', function() {
+            expect(keywords.normalize({ term: 'mad' })).to.eql({ term: 'mad', mode: 'substring' });
+        });
+
+        it('should keep the mode of keyword objects', function() {
+            expect(keywords.normalize({ term: 'mad', mode: 'word' })).to.eql({ term: 'mad', mode: 'word' });
+        });
+
+        it('should throw an error if a keyword has no term', function() {
+            expect(function() {
+                keywords.normalize({ mode: 'word' });
+            }).to.throw(Error);
+        });
+
+        it('should throw an error if a keyword has an unknown mode', function() {
+            expect(function() {
+                keywords.normalize({ term: 'mad', mode: 'fuzzy' });
+            }).to.throw(/Unknown mode/);
+        });
+
+        it('should throw an error if a regex keyword is invalid', function() {
+            expect(function() {
+                keywords.normalize({ term: '(mad', mode: 'regex' });
+            }).to.throw(/Invalid regex/);
+        });
+    });
+
+    describe('normalizeAll()', function() {
+        it('should expand keyword groups into aliases that inherit the group\'s mode', function() {
+            expect(keywords.normalizeAll([
+                'Alice',
+                { group: 'Cat', mode: 'word', aliases: ['Cat', { term: 'the cat', mode: 'phrase' }] }
+            ])).to.eql([
+                { term: 'Alice', mode: 'substring' },
+                { term: 'Cat', mode: 'word', group: 'Cat' },
+                { term: 'the cat', mode: 'phrase', group: 'Cat' }
+            ]);
+        });
+
+        it('should throw an error if thresholds are invalid or set on grouped aliases', function() {
+            expect(function() {
+                keywords.normalizeAll([{ term: 'TODO', max: -1 }]);
+            }).to.throw(/non-negative/);
+            expect(function() {
+                keywords.normalizeAll([{ group: 'Cat', aliases: ['Cat'], min: 'one' }]);
+            }).to.throw(/non-negative/);
+            expect(function() {
+                keywords.normalizeAll([{ group: 'Cat', aliases: [{ term: 'Cat', min: 1 }] }]);
+            }).to.throw('Set thresholds on keyword group "Cat" instead of its aliases');
+        });
+
+        it('should normalize near terms, within and exclude phrases and pass them on to aliases', function() {
+            expect(keywords.normalizeAll([
+                { term: 'Cat', near: 'Cheshire', within: 5, exclude: ['cat food', { term: 'cat flap', mode: 'phrase' }] },
+                { group: 'Queen', near: ['Hearts'], aliases: ['Queen', { term: 'queen', near: 'croquet', within: 2 }] }
+            ])).to.eql([
+                {
+                    term: 'Cat',
+                    mode: 'substring',
+                    near: [{ term: 'Cheshire', mode: 'substring' }],
+                    within: 5,
+                    exclude: [{ term: 'cat food', mode: 'substring' }, { term: 'cat flap', mode: 'phrase' }]
+                },
+                { term: 'Queen', mode: 'substring', group: 'Queen', near: [{ term: 'Hearts', mode: 'substring' }], within: 10 },
+                { term: 'queen', mode: 'substring', group: 'Queen', near: [{ term: 'croquet', mode: 'substring' }], within: 2 }
+            ]);
+        });
+
+        it('should add negative keywords to the exclude phrases of every other keyword', function() {
+            expect(keywords.normalizeAll([
+                { term: 'Cat', exclude: 'cat food' },
+                { term: 'cat flap', mode: 'phrase', negative: true },
+                'Alice'
+            ])).to.eql([
+                {
+                    term: 'Cat',
+                    mode: 'substring',
+                    exclude: [{ term: 'cat food', mode: 'substring' }, { term: 'cat flap', mode: 'phrase' }]
+                },
+                { term: 'Alice', mode: 'substring', exclude: [{ term: 'cat flap', mode: 'phrase' }] }
+            ]);
+        });
+
+        it('should throw an error if constraints are invalid', function() {
+            expect(function() {
+                keywords.normalizeAll([{ term: 'Cat', near: [] }]);
+            }).to.throw('near of keyword "Cat" is empty');
+            expect(function() {
+                keywords.normalizeAll([{ term: 'Cat', near: 'Cheshire', within: 1.5 }]);
+            }).to.throw('within of keyword "Cat" must be a non-negative integer');
+            expect(function() {
+                keywords.normalizeAll([{ term: 'Cat', within: 5 }]);
+            }).to.throw('within of keyword "Cat" needs near terms');
+            expect(function() {
+                keywords.normalizeAll([{ term: 'Cat', exclude: [{ term: '(', mode: 'regex' }] }]);
+            }).to.throw(/Invalid regex for keyword "\("/);
+        });
+
+        it('should throw an error if a group has no aliases', function() {
+            expect(function() {
+                keywords.normalizeAll([{ group: 'Cat', aliases: [] }]);
+            }).to.throw(/no aliases/);
+        });
+    });
+
+    describe('createCounts()', function() {
+        it('should set keyword and group counts to 0 and nest alias counts under $groups', function() {
+            expect(keywords.createCounts(['Alice', { group: 'Cat', aliases: ['Cheshire Cat', 'Cat'] }])).to.eql({
+                Alice: 0,
+                Cat: 0,
+                $groups: {
+                    Cat: { 'Cheshire Cat': 0, Cat: 0 }
+                }
+            });
+        });
+
+        it('should nest the alias counts of groups named like object properties', function() {
+            expect(keywords.createCounts([{ group: 'valueOf', aliases: ['toString', 'constructor'] }])).to.eql({
+                valueOf: 0,
+                $groups: {
+                    valueOf: { toString: 0, constructor: 0 }
+                }
+            });
+        });
+    });
+
+    describe('names()', function() {
+        it('should list keyword terms and group names once, in order', function() {
+            expect(keywords.names(['$price', { group: 'Cat', aliases: ['Cat'] }, { term: 'Alice' }, '$price']))
+                .to.eql(['$price', 'Cat', 'Alice']);
+        });
+    });
+
+    describe('countMatch()', function() {
+        it('should count matches of keywords and of grouped aliases toward their group', function() {
+            var counts = keywords.createCounts(['Alice', { group: 'Cat', aliases: ['Cheshire Cat', 'Cat'] }]);
+
+            keywords.countMatch(counts, { keyword: 'Alice' });
+            keywords.countMatch(counts, { keyword: 'Cat', group: 'Cat' });
+            keywords.countMatch(counts, { keyword: 'Cheshire Cat', group: 'Cat' });
+
+            expect(counts).to.eql({
+                Alice: 1,
+                Cat: 2,
+                $groups: {
+                    Cat: { 'Cheshire Cat': 1, Cat: 1 }
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,26 @@
+var chai = require('chai');
+var expect = chai.expect;
+var maps = require('./../lib/maps');
+
+describe('maps', function() {
+    describe('create()', function() {
+        it('should create a map that finds no inherited properties', function() {
+            var map = maps.create();
+
+            map.__proto__ = 1;
+
+            expect(map.constructor).to.be.undefined;
+            expect(Object.keys(map)).to.eql(['__proto__']);
+        });
+    });
+
+    describe('own()', function() {
+        it('should only get values a map has of its own', function() {
+            var map = { Alice: 2 };
+
+            expect(maps.own(map, 'Alice', 0)).to.equal(2);
+            expect(maps.own(map, 'constructor', 0)).to.equal(0);
+            expect(maps.has(map, 'toString')).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,320 @@
+var chai = require('chai');
+var expect = chai.expect;
+var Transform = require('stream').Transform;
+var StreamTest = require('streamtest')['v2'];
+var Matcher = require('./../lib/matcher');
+
+/**
+ * Pipes chunks through a matcher stream and calls back with the matches
+ */
+function collect(matcher, chunks, cb) {
+    StreamTest.fromChunks(chunks)
+        .pipe(matcher.stream())
+        .pipe(StreamTest.toObjects(cb));
+}
+
+describe('Matcher', function() {
+    describe('stream()', function() {
+        it('should return an instance of a Transform Stream', function() {
+            var matcher = new Matcher(['foo']);
+            expect(matcher.stream()).to.be.an.instanceof(Transform);
+        });
+
+        it('should push the keyword, matched text and offset of each match', function(done) {
+            var matcher = new Matcher(['foo', 'bar']);
+
+            collect(matcher, ['a foo and a bar'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'foo', text: 'foo', index: 2 },
+                    { keyword: 'bar', text: 'bar', index: 12 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should match keywords named like object properties', function(done) {
+            var matcher = new Matcher(['hasOwnProperty', 'constructor', { term: 'toString', mode: 'word' }]);
+
+            collect(matcher, ['constructor, toString and hasOwnProperty'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'constructor', text: 'constructor', index: 0 },
+                    { keyword: 'toString', text: 'toString', index: 13 },
+                    { keyword: 'hasOwnProperty', text: 'hasOwnProperty', index: 26 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should find matches that span chunk boundaries', function(done) {
+            var matcher = new Matcher(['White Rabbit', 'late']);
+
+            collect(matcher, ['the Wh', 'ite Rab', 'bit was la', 'te'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'White Rabbit', text: 'White Rabbit', index: 4 },
+                    { keyword: 'late', text: 'late', index: 21 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should decode multi-byte characters split across buffers', function(done) {
+            var matcher = new Matcher(['café']);
+            var buffer = Buffer.from('un café');
+
+            collect(matcher, [buffer.slice(0, 6), buffer.slice(6)], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'café', text: 'café', index: 3 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should report leftmost-longest matches without overlaps', function(done) {
+            var matcher = new Matcher(['Rabbit', 'White Rabbit', 'bit', 'ab']);
+
+            collect(matcher, ['White Rabbit, Rabbit, abbit'], function(err, matches) {
+                expect(matches.map(function(match) {
+                    return match.keyword;
+                })).to.eql(['White Rabbit', 'Rabbit', 'ab', 'bit']);
+                done(err);
+            });
+        });
+
+        it('should match keywords that are suffixes of other keywords', function(done) {
+            var matcher = new Matcher(['abcd', 'bc']);
+
+            collect(matcher, ['abce'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'bc', text: 'bc', index: 1 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should match regardless of case if ignoreCase is true', function(done) {
+            var matcher = new Matcher(['Alice', 'alice'], {ignoreCase: true});
+
+            collect(matcher, ['ALICE and alice'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'Alice', text: 'ALICE', index: 0 },
+                    { keyword: 'Alice', text: 'alice', index: 10 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should fold case fully if ignoreCase is true', function(done) {
+            var matcher = new Matcher(['Straße'], {ignoreCase: true});
+
+            collect(matcher, ['STRASSE, strasse and Straße'], function(err, matches) {
+                expect(matches.map(function(match) {
+                    return match.text;
+                })).to.eql(['STRASSE', 'strasse', 'Straße']);
+                done(err);
+            });
+        });
+
+        it('should fold case by the rules of the locale', function(done) {
+            var matcher = new Matcher([{ term: 'istanbul', mode: 'word' }, { term: 'ılık', mode: 'word' }],
+                {ignoreCase: true, locale: 'tr'});
+
+            collect(matcher, ['İSTANBUL ILIK ISTANBUL'], function(err, matches) {
+                expect(matches.map(function(match) {
+                    return match.text;
+                })).to.eql(['İSTANBUL', 'ILIK']);
+                done(err);
+            });
+        });
+
+        it('should match composed and decomposed characters alike if normalize is NFC', function(done) {
+            var matcher = new Matcher([{ term: 'caf\u00e9', mode: 'word' }], {normalize: 'NFC'});
+
+            collect(matcher, ['caf\u00e9 and cafe\u0301 but not cafe'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'caf\u00e9', text: 'caf\u00e9', index: 0 },
+                    { keyword: 'caf\u00e9', text: 'cafe\u0301', index: 9 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should match compatibility characters with their plain form if normalize is NFKC', function(done) {
+            var matcher = new Matcher(['file', 'A1'], {normalize: 'NFKC'});
+
+            collect(matcher, ['\ufb01le \uff21\uff11'], function(err, matches) {
+                expect(matches.map(function(match) {
+                    return match.keyword;
+                })).to.eql(['file', 'A1']);
+                done(err);
+            });
+        });
+
+        it('should match regardless of accents if ignoreDiacritics is true', function(done) {
+            var matcher = new Matcher([{ term: 'cafe', mode: 'word' }, 'resume'], {ignoreDiacritics: true});
+
+            collect(matcher, ['caf\u00e9, cafe\u0301, cafes, r\u00e9sum\u00e9'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'cafe', text: 'caf\u00e9', index: 0 },
+                    { keyword: 'cafe', text: 'cafe\u0301', index: 6 },
+                    { keyword: 'resume', text: 'r\u00e9sum\u00e9', index: 20 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should only match whole words for word keywords', function(done) {
+            var matcher = new Matcher([{ term: 'mad', mode: 'word' }]);
+
+            collect(matcher, ['mad, made, nomad, (mad) m', 'ad mad'], function(err, matches) {
+                expect(matches.map(function(match) {
+                    return match.index;
+                })).to.eql([0, 19, 24, 28]);
+                done(err);
+            });
+        });
+
+        it('should use Unicode-aware word boundaries', function(done) {
+            var matcher = new Matcher([{ term: 'café', mode: 'word' }, { term: 'кот', mode: 'word' }]);
+
+            collect(matcher, ['cafés café котик кот'], function(err, matches) {
+                expect(matches.map(function(match) {
+                    return match.text;
+                })).to.eql(['café', 'кот']);
+                done(err);
+            });
+        });
+
+        it('should only check word boundaries at edges of word keywords that are word characters', function(done) {
+            var matcher = new Matcher([{ term: 'C++', mode: 'word' }]);
+
+            collect(matcher, ['C++x and AC++'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'C++', text: 'C++', index: 0 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should match phrase keywords across line breaks and runs of whitespace', function(done) {
+            var matcher = new Matcher([{ term: 'March Hare', mode: 'phrase' }]);
+
+            collect(matcher, ['a March\n   Hare, a March Ha', 're and a March Hares'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'March Hare', text: 'March\n   Hare', index: 2 },
+                    { keyword: 'March Hare', text: 'March Hare', index: 19 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should match regex keywords within each line', function(done) {
+            var matcher = new Matcher([{ term: 'colou?r', mode: 'regex' }, { term: '^late$', mode: 'regex' }]);
+
+            collect(matcher, ['color and col', 'our\nlate\r\nlater'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'colou?r', text: 'color', index: 0 },
+                    { keyword: 'colou?r', text: 'colour', index: 10 },
+                    { keyword: '^late$', text: 'late', index: 17 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should report leftmost-longest matches across modes', function(done) {
+            var matcher = new Matcher([
+                'Rabbit',
+                { term: 'White\\s+Rabbit', mode: 'regex' },
+                { term: 'the white', mode: 'phrase' }
+            ], {ignoreCase: true});
+
+            collect(matcher, ['White  Rabbit, the white Rabbit'], function(err, matches) {
+                expect(matches.map(function(match) {
+                    return match.keyword;
+                })).to.eql(['White\\s+Rabbit', 'the white', 'Rabbit']);
+                done(err);
+            });
+        });
+
+        it('should push the group of grouped aliases', function(done) {
+            var matcher = new Matcher([{ group: 'Cat', aliases: ['Cheshire Cat', 'cat'] }]);
+
+            collect(matcher, ['Cheshire Cat'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'Cheshire Cat', text: 'Cheshire Cat', index: 0, group: 'Cat' }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should add the line and column of each match if positions is true', function(done) {
+            var matcher = new Matcher([{ term: 'March Hare', mode: 'phrase' }, 'Alice'], {positions: true});
+
+            collect(matcher, ['Alice\nand the March\n', 'Hare\r\n  Alice'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'Alice', text: 'Alice', index: 0, line: 1, column: 1 },
+                    { keyword: 'March Hare', text: 'March\nHare', index: 14, line: 2, column: 9 },
+                    { keyword: 'Alice', text: 'Alice', index: 28, line: 4, column: 3 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should add a snippet of the surrounding text if context is set', function(done) {
+            var matcher = new Matcher(['Alice'], {positions: true, context: 6});
+
+            collect(matcher, ['said the\nCat to Al', 'ice, and then'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'Alice', text: 'Alice', index: 16, line: 2, column: 8, context: 'at to Alice, and' }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should match words with the same stems as keywords with stem', function(done) {
+            var matcher = new Matcher(['run', 'White Rabbit', 'C++'], {stem: true});
+
+            collect(matcher, ['He ran to the white rab', 'bits, running; C++ runs.'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'run', text: 'ran', index: 3 },
+                    { keyword: 'White Rabbit', text: 'white rabbits', index: 14 },
+                    { keyword: 'run', text: 'running', index: 29 },
+                    { keyword: 'C++', text: 'C++', index: 38 },
+                    { keyword: 'run', text: 'runs', index: 42 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should not match stemmed phrases across punctuation or inside words', function(done) {
+            var matcher = new Matcher(['White Rabbit', 'run'], {stem: true});
+
+            collect(matcher, ['white, rabbit brunch rerun'], function(err, matches) {
+                expect(matches).to.eql([]);
+                done(err);
+            });
+        });
+
+        it('should use a stemmer function as the stem option', function(done) {
+            var matcher = new Matcher(['Hase'], {stem: function(word) {
+                return word.toLowerCase().replace(/n$/, '');
+            }});
+
+            collect(matcher, ['Ein Hase, zwei Hasen'], function(err, matches) {
+                expect(matches).to.eql([
+                    { keyword: 'Hase', text: 'Hase', index: 4 },
+                    { keyword: 'Hase', text: 'Hasen', index: 15 }
+                ]);
+                done(err);
+            });
+        });
+
+        it('should not push anything when there are no keywords', function(done) {
+            var matcher = new Matcher([]);
+
+            collect(matcher, ['foo'], function(err, matches) {
+                expect(matches).to.eql([]);
+                done(err);
+            });
+        });
+    });
+});
@@ -0,0 +1,88 @@
+var chai = require('chai');
+var expect = chai.expect;
+var Progress = require('./../lib/progress');
+
+describe('Progress', function() {
+    var output;
+    var stream;
+    var progress;
+
+    beforeEach(function() {
+        output = [];
+        stream = {
+            columns: 60,
+            write: function(data) {
+                output.push(data);
+            }
+        };
+        progress = new Progress(stream, { width: 10, interval: 0 });
+    });
+
+    describe('line()', function() {
+        it('should show the bar, the percentage, the count and the label', function() {
+            progress.start(4);
+            progress.tick('docs/intro.md');
+
+            expect(progress.line()).to.equal('[==>       ] 25% 1/4 docs/intro.md');
+        });
+
+        it('should fill the bar once every file is done', function() {
+            progress.start(2);
+            progress.tick();
+            progress.tick();
+
+            expect(progress.line()).to.equal('[==========] 100% 2/2');
+        });
+
+        it('should cut the line to the columns of the stream', function() {
+            progress.start(1);
+            progress.label = new Array(100).join('a');
+
+            expect(progress.line()).to.have.length(59);
+        });
+    });
+
+    describe('render()', function() {
+        it('should rewrite the line', function() {
+            progress.start(2);
+
+            expect(output).to.eql(['\r\u001b[K[>         ] 0% 0/2']);
+        });
+
+        it('should not rewrite the line more often than the interval', function() {
+            progress = new Progress(stream, { width: 10, interval: 10000 });
+            progress.start(3);
+            progress.tick();
+            progress.tick();
+
+            expect(output).to.have.length(1);
+
+            progress.tick();
+
+            expect(output).to.have.length(2);
+        });
+    });
+
+    describe('log()', function() {
+        it('should write a message above the bar and render the bar again', function() {
+            progress.start(1);
+            progress.log('docs/intro.md: 2 matches');
+
+            expect(output.slice(1)).to.eql([
+                '\r\u001b[Kdocs/intro.md: 2 matches\n',
+                '\r\u001b[K[>         ] 0% 0/1'
+            ]);
+        });
+    });
+
+    describe('end()', function() {
+        it('should end the line of the bar', function() {
+            progress.start(1);
+            progress.tick();
+            progress.end();
+
+            expect(output[output.length - 1]).to.equal('\n');
+            expect(progress.visible).to.be.false;
+        });
+    });
+});
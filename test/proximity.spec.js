@@ -0,0 +1,176 @@
+var chai = require('chai');
+var expect = chai.expect;
+var Promise = require('bluebird');
+var StreamTest = require('streamtest')['v2'];
+var proximity = require('./../lib/proximity');
+
+var TEXT = 'The Cheshire Cat grinned. A cat ate cat food.\nThe cat sat.';
+
+/**
+ * Streams chunks of text through constraints and resolves with them
+ */
+function constrain(keywords, chunks, opts) {
+    var constraints = new proximity.Constraints(keywords, opts || { ignoreCase: true });
+
+    return new Promise(function(resolve, reject) {
+        StreamTest.fromChunks(chunks)
+            .pipe(constraints.stream())
+            .on('error', reject)
+            .on('end', function() {
+                resolve(constraints);
+            })
+            .resume();
+    });
+}
+
+/**
+ * Gets the matches of a word in TEXT
+ */
+function matches(keyword, word) {
+    var list = [];
+    var pattern = new RegExp('\\b' + word + '\\b', 'gi');
+    var match;
+
+    while ((match = pattern.exec(TEXT))) {
+        list.push({ keyword: keyword, text: match[0], index: match.index });
+    }
+
+    return list;
+}
+
+/**
+ * Splits TEXT into chunks of a number of characters
+ */
+function chunks(size) {
+    return TEXT.match(new RegExp('[\\s\\S]{1,' + size + '}', 'g'));
+}
+
+describe('proximity', function() {
+    describe('validate()', function() {
+        it('should accept "line" and positive integers', function() {
+            proximity.validate('line');
+            proximity.validate(50);
+            proximity.validate(undefined);
+        });
+
+        it('should throw for other values', function() {
+            ['lines', -1, 2.5, '50'].forEach(function(value) {
+                expect(function() {
+                    proximity.validate(value);
+                }).to.throw('Invalid cooccurrence option: ' + value);
+            });
+        });
+    });
+
+    describe('matrix()', function() {
+        it('should count the units that hold each pair of different keys', function() {
+            expect(proximity.matrix([
+                { unit: 0, key: 'Alice' },
+                { unit: 0, key: 'Rabbit' },
+                { unit: 0, key: 'Rabbit' },
+                { unit: 1, key: 'Alice' },
+                { unit: 2, key: 'Alice' },
+                { unit: 2, key: 'Rabbit' },
+                { unit: 2, key: 'Queen' }
+            ])).to.eql({
+                Alice: { Rabbit: 2, Queen: 1 },
+                Rabbit: { Alice: 2, Queen: 1 },
+                Queen: { Alice: 1, Rabbit: 1 }
+            });
+        });
+
+        it('should count keys named like object properties', function() {
+            var cells = proximity.matrix([
+                { unit: 0, key: 'constructor' },
+                { unit: 0, key: 'toString' },
+                { unit: 1, key: 'constructor' },
+                { unit: 1, key: 'hasOwnProperty' }
+            ]);
+
+            expect(proximity.addMatrix(Object.create(null), cells)).to.eql({
+                constructor: { toString: 1, hasOwnProperty: 1 },
+                toString: { constructor: 1 },
+                hasOwnProperty: { constructor: 1 }
+            });
+        });
+
+        it('should add matrices', function() {
+            expect(proximity.addMatrix(
+                { Alice: { Rabbit: 2 }, Rabbit: { Alice: 2 } },
+                { Alice: { Rabbit: 1, Queen: 1 }, Rabbit: { Alice: 1 }, Queen: { Alice: 1 } }
+            )).to.eql({
+                Alice: { Rabbit: 3, Queen: 1 },
+                Rabbit: { Alice: 3 },
+                Queen: { Alice: 1 }
+            });
+        });
+    });
+
+    describe('Constraints', function() {
+        it('should only have rules for keywords with near terms or exclude phrases', function() {
+            expect(new proximity.Constraints(['cat', { term: 'Alice', negative: true }]).hasRules()).to.equal(true);
+            expect(new proximity.Constraints(['cat', 'Alice']).hasRules()).to.equal(false);
+        });
+
+        it('should allow matches with a near term at most within words before or after them', function() {
+            return Promise.mapSeries([1, 7, TEXT.length], function(size) {
+                    return constrain([{ term: 'cat', mode: 'word', near: ['Cheshire', 'sat'], within: 2 }], chunks(size))
+                        .then(function(constraints) {
+                            expect(matches('cat', 'cat').map(function(match) {
+                                return constraints.allows(match);
+                            })).to.eql([true, false, false, true]);
+                        });
+                });
+        });
+
+        it('should count the words between a match and a near term', function() {
+            return Promise.mapSeries([2, 3], function(within) {
+                    return constrain([{ term: 'cat', mode: 'word', near: 'Cheshire', within: within }], [TEXT])
+                        .then(function(constraints) {
+                            expect(constraints.allows(matches('cat', 'cat')[1])).to.equal(within === 3);
+                        });
+                });
+        });
+
+        it('should not take near terms that overlap a match as near', function() {
+            return constrain([{ term: 'Cheshire Cat', near: 'Cat', within: 0 }], [TEXT])
+                .then(function(constraints) {
+                    expect(constraints.allows(matches('Cheshire Cat', 'Cheshire Cat')[0])).to.equal(false);
+                });
+        });
+
+        it('should reject matches inside exclude phrases', function() {
+            return constrain([{ term: 'cat', mode: 'word', exclude: 'cat food' }, 'sat'], chunks(5))
+                .then(function(constraints) {
+                    expect(matches('cat', 'cat').map(function(match) {
+                        return constraints.allows(match);
+                    })).to.eql([true, true, false, true]);
+                    expect(constraints.allows(matches('sat', 'sat')[0])).to.equal(true);
+                });
+        });
+
+        it('should keep the rules of aliases apart by group', function() {
+            return constrain([{ group: 'Cat', exclude: 'Cheshire Cat', aliases: ['Cat'] }, 'Cat'], [TEXT])
+                .then(function(constraints) {
+                    var match = matches('Cat', 'Cat')[0];
+
+                    expect(constraints.allows(Object.assign({ group: 'Cat' }, match))).to.equal(false);
+                    expect(constraints.allows(match)).to.equal(true);
+                });
+        });
+
+        it('should find the line or window of words of a match', function() {
+            return constrain([], chunks(4))
+                .then(function(constraints) {
+                    var cats = matches('cat', 'cat');
+
+                    expect(cats.map(function(match) {
+                        return constraints.unit(match, 'line');
+                    })).to.eql([0, 0, 0, 1]);
+                    expect(cats.map(function(match) {
+                        return constraints.unit(match, 4);
+                    })).to.eql([0, 1, 1, 2]);
+                });
+        });
+    });
+});
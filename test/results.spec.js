@@ -0,0 +1,79 @@
+var chai = require('chai');
+var expect = chai.expect;
+var results = require('./../lib/results');
+
+var MOCK_RESULTS = {
+    'docs/a/index.md': { foo: 1, bar: 0 },
+    'docs/b/index.md': { foo: 2, bar: 1 },
+    'readme.md': { foo: 0, bar: 4 }
+};
+
+describe('results', function() {
+    describe('isMetaKey()', function() {
+        it('should return true for the keys of metadata only', function() {
+            expect(results.isMetaKey('$total')).to.be.true;
+            expect(results.isMetaKey('$stats')).to.be.true;
+            expect(results.isMetaKey('total')).to.be.false;
+            expect(results.isMetaKey('$price')).to.be.false;
+        });
+    });
+
+    describe('addCounts()', function() {
+        it('should add keyword counts and skip metadata', function() {
+            var totals = { foo: 1 };
+
+            results.addCounts(totals, { foo: 2, bar: 3, $price: 1, $groups: { bar: { bar: 3 } } });
+
+            expect(totals).to.eql({ foo: 3, bar: 3, $price: 1 });
+        });
+
+        it('should add keywords and directories named like object properties', function() {
+            var rollup = results.rollup({
+                'constructor/a.md': { constructor: 1, toString: 2 },
+                'constructor/b.md': { constructor: 1, toString: 0 }
+            });
+
+            expect(results.addCounts({}, { constructor: 2, valueOf: 1 })).to.eql({ constructor: 2, valueOf: 1 });
+            expect(rollup.directories).to.eql({ constructor: { constructor: 2, toString: 2 } });
+            expect(rollup.total).to.eql({ constructor: 2, toString: 2 });
+        });
+    });
+
+    describe('rollup()', function() {
+        it('should sum counts for each directory including its subdirectories', function() {
+            var rollup = results.rollup(MOCK_RESULTS);
+
+            expect(rollup.directories).to.eql({
+                'docs/a': { foo: 1, bar: 0 },
+                docs: { foo: 3, bar: 1 },
+                'docs/b': { foo: 2, bar: 1 }
+            });
+        });
+
+        it('should sum counts for all files', function() {
+            expect(results.rollup(MOCK_RESULTS).total).to.eql({ foo: 3, bar: 5 });
+        });
+    });
+
+    describe('groupByDirectory()', function() {
+        it('should nest file results under their directory', function() {
+            expect(results.groupByDirectory(MOCK_RESULTS)).to.eql({
+                'docs/a': { 'index.md': MOCK_RESULTS['docs/a/index.md'] },
+                'docs/b': { 'index.md': MOCK_RESULTS['docs/b/index.md'] },
+                '.': { 'readme.md': MOCK_RESULTS['readme.md'] }
+            });
+        });
+    });
+
+    describe('flatten()', function() {
+        it('should turn results grouped by directory back into a map of file keys', function() {
+            expect(results.flatten(results.groupByDirectory(MOCK_RESULTS))).to.eql(MOCK_RESULTS);
+        });
+
+        it('should leave out metadata', function() {
+            var report = Object.assign({ $total: { foo: 3, bar: 5 } }, MOCK_RESULTS);
+
+            expect(results.flatten(report)).to.eql(MOCK_RESULTS);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var Promise = require('bluebird');
+var StreamTest = require('streamtest')['v2'];
+var segments = require('./../lib/segments');
+
+/**
+ * Streams chunks of text through a segmenter and resolves with its segments
+ */
+function split(opts, chunks) {
+    var segmenter = new segments.Segmenter(opts);
+
+    return new Promise(function(resolve, reject) {
+        StreamTest.fromChunks(chunks)
+            .pipe(segmenter.stream())
+            .on('error', reject)
+            .on('end', function() {
+                resolve(segmenter.segments());
+            })
+            .resume();
+    });
+}
+
+describe('segments', function() {
+    describe('validate()', function() {
+        it('should throw for unknown modes and sizes that are not positive integers', function() {
+            expect(function() {
+                segments.validate({ segment: 'chapters' });
+            }).to.throw('Unknown segment option: chapters');
+            expect(function() {
+                segments.validate({ segment: 'lines', segmentSize: 0 });
+            }).to.throw('Invalid segment size: 0');
+            expect(function() {
+                segments.validate({ segment: 'words', segmentSize: 2.5 });
+            }).to.throw('Invalid segment size: 2.5');
+            expect(function() {
+                segments.validate({ segment: 'headings' });
+            }).not.to.throw();
+        });
+    });
+
+    describe('markdownHeadings()', function() {
+        it('should find ATX and setext headings outside of fenced code', function() {
+            var text = fs.readFileSync('./test/mocks/segments/guide.md', 'utf8');
+
+            expect(segments.markdownHeadings(text)).to.eql([
+                { start: text.indexOf('# Down'), label: 'Down the Rabbit Hole' },
+                { start: text.indexOf('The Pool'), label: 'The Pool of Tears' }
+            ]);
+        });
+
+        it('should strip closing hashes and ignore indented code', function() {
+            expect(segments.markdownHeadings('## Alice ##\n    Rabbit\n    ---\n#hashtag')).to.eql([
+                { start: 0, label: 'Alice' }
+            ]);
+        });
+    });
+
+    describe('htmlHeadings()', function() {
+        it('should find headings by their text and sections by id or aria-label outside of comments', function() {
+            var text = '<!-- <h2>No</h2> --><h2 class="a">Alice\n<b>Rabbit</b></h2>' +
+                '<section aria-label=\'Pool\'></section><section><script>"<h1>"</script>';
+
+            expect(segments.htmlHeadings(text)).to.eql([
+                { start: text.indexOf('<h2 class'), label: 'Alice Rabbit' },
+                { start: text.indexOf('<section aria'), label: 'Pool' },
+                { start: text.indexOf('<section><'), label: 'section' }
+            ]);
+        });
+    });
+
+    describe('Segmenter', function() {
+        it('should split text into ranges of lines across chunks', function() {
+            return split({ segment: 'lines', segmentSize: 2 }, ['Alice\nRab', 'bit\n\nQueen\n', 'King\n'])
+                .then(function(list) {
+                    expect(list).to.eql([
+                        { label: 'lines 1-2', lines: [1, 2], start: 0, end: 13 },
+                        { label: 'lines 3-4', lines: [3, 4], start: 13, end: 20 },
+                        { label: 'lines 5-5', lines: [5, 5], start: 20, end: 25 }
+                    ]);
+                });
+        });
+
+        it('should split text into windows of words and count a word split across chunks once', function() {
+            return split({ segment: 'words', segmentSize: 2 }, ['Alice and the Whi', 'te\nRabbit'])
+                .then(function(list) {
+                    expect(list).to.eql([
+                        { label: 'words 1-2', lines: [1, 1], start: 0, end: 10 },
+                        { label: 'words 3-4', lines: [1, 2], start: 10, end: 20 },
+                        { label: 'words 5-5', lines: [2, 2], start: 20, end: 26 }
+                    ]);
+                });
+        });
+
+        it('should split Markdown and HTML files at their headings and leave out sections of only markup', function() {
+            var markdown = fs.readFileSync('./test/mocks/segments/guide.md', 'utf8');
+            var html = fs.readFileSync('./test/mocks/segments/page.html', 'utf8');
+
+            return split({ segment: 'headings', file: 'guide.md' }, [markdown.slice(0, 40), markdown.slice(40)])
+                .then(function(list) {
+                    expect(list.map(function(segment) {
+                        return [segment.label, segment.lines];
+                    })).to.eql([
+                        [null, [1, 2]],
+                        ['Down the Rabbit Hole', [3, 10]],
+                        ['The Pool of Tears', [11, 14]]
+                    ]);
+
+                    return split({ segment: 'headings', file: 'page.HTML' }, [html]);
+                })
+                .then(function(list) {
+                    expect(list.map(function(segment) {
+                        return [segment.label, segment.lines];
+                    })).to.eql([
+                        ['Down the Rabbit Hole', [4, 5]],
+                        ['pool', [6, 10]]
+                    ]);
+                });
+        });
+
+        it('should keep other files whole when splitting at headings', function() {
+            return split({ segment: 'headings', file: 'notes.txt' }, ['# Alice\n', 'Rabbit\n'])
+                .then(function(list) {
+                    expect(list).to.eql([{ label: null, lines: [1, 2], start: 0, end: 15 }]);
+
+                    return split({ segment: 'headings', file: 'empty.md' }, []);
+                })
+                .then(function(list) {
+                    expect(list).to.eql([]);
+                });
+        });
+    });
+
+    describe('find()', function() {
+        it('should find the segment an offset belongs to', function() {
+            var list = [{ start: 0 }, { start: 10 }, { start: 20 }];
+
+            expect(segments.find(list, 0)).to.equal(0);
+            expect(segments.find(list, 15)).to.equal(1);
+            expect(segments.find(list, 20)).to.equal(2);
+            expect(segments.find([{ start: 5 }], 2)).to.equal(-1);
+            expect(segments.find([], 2)).to.equal(-1);
+        });
+    });
+});
@@ -0,0 +1,221 @@
+var chai = require('chai');
+var expect = chai.expect;
+var http = require('http');
+var fs = require('fs');
+var Promise = require('bluebird');
+var server = require('./../lib/server');
+
+/**
+ * Sends a request to a listening server and resolves with its status and
+ * parsed JSON body
+ */
+function request(app, opts, body) {
+    return new Promise(function(resolve, reject) {
+        var req = http.request(Object.assign({
+            host: '127.0.0.1',
+            port: app.address().port
+        }, opts), function(res) {
+            var text = '';
+
+            res.setEncoding('utf8');
+            res.on('data', function(chunk) {
+                text += chunk;
+            });
+            res.on('end', function() {
+                resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) });
+            });
+        });
+
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Posts a JSON body to `/analyze`
+ */
+function analyze(app, data) {
+    return request(app, {
+        method: 'POST',
+        path: '/analyze',
+        headers: { 'Content-Type': 'application/json' }
+    }, JSON.stringify(data));
+}
+
+describe('server', function() {
+    var app;
+
+    beforeEach(function(done) {
+        app = server.createServer({
+            defaults: { keywordsList: ['Alice'] },
+            maxBodySize: '1k'
+        });
+        app.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(function(done) {
+        app.close(done);
+    });
+
+    describe('GET /health', function() {
+        it('should respond with the status and version', function() {
+            return request(app, { method: 'GET', path: '/health' })
+                .then(function(res) {
+                    expect(res.status).to.equal(200);
+                    expect(res.body).to.eql({ status: 'ok', version: require('./../package.json').version });
+                });
+        });
+    });
+
+    describe('POST /analyze', function() {
+        it('should respond with the results of text', function() {
+            return analyze(app, { text: 'Alice ran after Alice', keywords: ['Alice', 'run'], options: { stem: true } })
+                .then(function(res) {
+                    expect(res.status).to.equal(200);
+                    expect(res.body).to.eql({
+                        stdin: { Alice: 2, run: 1, $forms: { Alice: { Alice: 2 }, run: { ran: 1 } } }
+                    });
+                });
+        });
+
+        it('should respond with the results of files keyed by name without decompressing archives', function() {
+            var zip = fs.readFileSync('./test/mocks/archives/bundle.zip').toString('base64');
+
+            return analyze(app, {
+                    files: { 'a.md': '# Alice', 'docs/b.txt': 'Alice and Alice', 'bundle.zip': { base64: zip } }
+                })
+                .then(function(res) {
+                    expect(res.status).to.equal(200);
+                    expect(res.body).to.eql({
+                        'a.md': { Alice: 1 },
+                        'docs/b.txt': { Alice: 2 },
+                        $skipped: { 'bundle.zip': 'binary' }
+                    });
+                });
+        });
+
+        it('should read uploaded files and a keyword list file from a multipart body', function() {
+            var body = [
+                '--XyZ',
+                'Content-Disposition: form-data; name="keywords"; filename="keywords.txt"',
+                '',
+                'Rabbit\nWhite Rabbit',
+                '--XyZ',
+                'Content-Disposition: form-data; name="files"; filename="story.txt"',
+                'Content-Type: text/plain',
+                '',
+                'The White Rabbit met a Rabbit',
+                '--XyZ--',
+                ''
+            ].join('\r\n');
+
+            return request(app, {
+                    method: 'POST',
+                    path: '/analyze',
+                    headers: { 'Content-Type': 'multipart/form-data; boundary=XyZ' }
+                }, body)
+                .then(function(res) {
+                    expect(res.status).to.equal(200);
+                    expect(res.body).to.eql({ 'story.txt': { Rabbit: 1, 'White Rabbit': 1 } });
+                });
+        });
+
+        it('should analyze a text/plain body with the default keywords', function() {
+            return request(app, {
+                    method: 'POST',
+                    path: '/analyze',
+                    headers: { 'Content-Type': 'text/plain' }
+                }, 'Alice')
+                .then(function(res) {
+                    expect(res.body).to.eql({ stdin: { Alice: 1 } });
+                });
+        });
+
+        it('should respond with 413 if the body is larger than maxBodySize', function() {
+            return analyze(app, { text: new Array(2000).join('a') })
+                .then(function(res) {
+                    expect(res.status).to.equal(413);
+                    expect(res.body).to.eql({ error: 'Request body is larger than 1024 bytes' });
+                });
+        });
+
+        it('should respond with 400 if the request is invalid', function() {
+            return Promise.mapSeries([
+                    [{ text: 'Alice', options: { outputPath: '/tmp/out.json' } }, 'Unknown option: outputPath'],
+                    [{ text: 'Alice', options: { maxFileSize: '1gb' } }, 'Unknown option: maxFileSize'],
+                    [{ text: 'Alice', options: { archives: true } }, 'Unknown option: archives'],
+                    [{ files: { '../escape.txt': 'Alice' } }, 'Invalid file name: ../escape.txt'],
+                    [{ text: 'Alice', files: { 'a.txt': 'Alice' } }, 'Send either text or files, not both'],
+                    [{ keywords: ['Alice'] }, 'Send text or files to analyze'],
+                    [{ text: 'Alice', options: { segment: 'pages' } }, 'Unknown segment option: pages'],
+                    [{ text: 'Alice', keywords: [{ term: 'Alice', mode: 'fuzzy' }] },
+                        'Unknown mode "fuzzy" for keyword "Alice"'],
+                    [{ text: 'Alice', keywords: [{ term: '(a+)+$', mode: 'regex' }] },
+                        'Regex keywords are not allowed: (a+)+$'],
+                    [{ text: 'Alice', keywords: [{ term: 'Alice', near: [{ term: 'R.*t', mode: 'regex' }] }] },
+                        'Regex keywords are not allowed: R.*t'],
+                    [{ text: 'Alice', keywords: ['Alice', { term: 'C.t', mode: 'regex', negative: true }] },
+                        'Regex keywords are not allowed: C.t']
+                ], function(entry) {
+                    return analyze(app, entry[0])
+                        .then(function(res) {
+                            expect(res.status).to.equal(400);
+                            expect(res.body).to.eql({ error: entry[1] });
+                        });
+                });
+        });
+    });
+
+    it('should respond with 500 if the analysis fails for another reason', function() {
+        var brokenApp = server.createServer({ defaults: { keywordsList: './test/mocks/missing.json' } });
+
+        return Promise.fromCallback(function(callback) {
+                brokenApp.listen(0, '127.0.0.1', callback);
+            })
+            .then(function() {
+                return analyze(brokenApp, { text: 'Alice' });
+            })
+            .then(function(res) {
+                expect(res.status).to.equal(500);
+                expect(res.body.error).to.match(/ENOENT/);
+            })
+            .finally(function() {
+                return Promise.fromCallback(function(callback) {
+                    brokenApp.close(callback);
+                });
+            });
+    });
+
+    it('should allow regex keywords if allowRegex is set', function() {
+        var regexApp = server.createServer({ allowRegex: true });
+
+        return Promise.fromCallback(function(callback) {
+                regexApp.listen(0, '127.0.0.1', callback);
+            })
+            .then(function() {
+                return analyze(regexApp, { text: 'Alice and Alan', keywords: [{ term: 'Al[a-z]+', mode: 'regex' }] });
+            })
+            .then(function(res) {
+                expect(res.status).to.equal(200);
+                expect(res.body).to.eql({ stdin: { 'Al[a-z]+': 2 } });
+            })
+            .finally(function() {
+                return Promise.fromCallback(function(callback) {
+                    regexApp.close(callback);
+                });
+            });
+    });
+
+    it('should respond with 404 and 405 for other paths and methods', function() {
+        return request(app, { method: 'GET', path: '/results' })
+            .then(function(res) {
+                expect(res.status).to.equal(404);
+
+                return request(app, { method: 'GET', path: '/analyze' });
+            })
+            .then(function(res) {
+                expect(res.status).to.equal(405);
+                expect(res.headers.allow).to.equal('POST');
+            });
+    });
+});
@@ -0,0 +1,119 @@
+var chai = require('chai');
+var expect = chai.expect;
+var sources = require('./../lib/sources');
+
+describe('sources', function() {
+    describe('text()', function() {
+        it('should list one keyword per line and skip blank lines and comments', function() {
+            expect(sources.text('# comment\nAlice\n\n  Rabbit  \r\nwatch\n')).to.eql(['Alice', 'Rabbit', 'watch']);
+        });
+    });
+
+    describe('json()', function() {
+        it('should read the keyword array of an object or a top-level array', function() {
+            expect(sources.json('{"words": ["Alice"]}', 'words')).to.eql(['Alice']);
+            expect(sources.json('["Alice", "Rabbit"]', 'keywords')).to.eql(['Alice', 'Rabbit']);
+        });
+
+        it('should throw an error if there is no keyword array', function() {
+            expect(function() {
+                sources.json('{"words": ["Alice"]}', 'keywords');
+            }).to.throw('Keyword list has no "keywords" array');
+        });
+    });
+
+    describe('yaml()', function() {
+        it('should read keywords, modes and groups', function() {
+            expect(sources.yaml('keywords:\n  - Alice\n  - term: watch\n    mode: word\n', 'keywords')).to.eql([
+                'Alice',
+                { term: 'watch', mode: 'word' }
+            ]);
+        });
+    });
+
+    describe('csv()', function() {
+        it('should read the first cell of every row if there is no header', function() {
+            expect(sources.csv('Alice\nRabbit,ignored\n\n')).to.eql(['Alice', 'Rabbit']);
+        });
+
+        it('should read modes, groups and thresholds from the columns of a header row', function() {
+            expect(sources.csv(
+                'term,mode,group,min,max,scope\n' +
+                'Alice,,,1,,total\n' +
+                'Rabbit,word,Rabbit,,3,\n' +
+                'rabbit,word,Rabbit,,,\n' +
+                '"watch, then",phrase,,,,\n'
+            )).to.eql([
+                { term: 'Alice', min: 1, scope: 'total' },
+                {
+                    group: 'Rabbit',
+                    aliases: [{ term: 'Rabbit', mode: 'word' }, { term: 'rabbit', mode: 'word' }],
+                    max: 3
+                },
+                { term: 'watch, then', mode: 'phrase' }
+            ]);
+        });
+
+        it('should group rows by groups named like object properties', function() {
+            expect(sources.csv('term,group\nconstructor,valueOf\ntoString,valueOf\n')).to.eql([
+                { group: 'valueOf', aliases: ['constructor', 'toString'] }
+            ]);
+        });
+
+        it('should read near, within and exclude constraints with terms separated by |', function() {
+            expect(sources.csv(
+                'term,mode,near,within,exclude\n' +
+                'Cat,word,Cheshire | grin,5,\n' +
+                'cat,,,,cat food|cat flap\n'
+            )).to.eql([
+                { term: 'Cat', mode: 'word', near: ['Cheshire', 'grin'], within: 5 },
+                { term: 'cat', exclude: ['cat food', 'cat flap'] }
+            ]);
+        });
+
+        it('should unescape doubled quotes in quoted cells', function() {
+            expect(sources.csv('term\n"say ""hi"""\n')).to.eql(['say "hi"']);
+        });
+    });
+
+    describe('load()', function() {
+        it('should pick the parser by the file extension', function() {
+            return Promise.all([
+                sources.load('test/mocks/lists/keywords.txt', 'keywords'),
+                sources.load('test/mocks/lists/keywords.yml', 'keywords'),
+                sources.load('test/mocks/lists/plain.csv', 'keywords'),
+                sources.load('test/mocks/keywords.json', 'keywords')
+            ]).then(function(lists) {
+                expect(lists[0]).to.eql(['Alice', 'Rabbit', 'watch']);
+                expect(lists[1][2]).to.eql({ group: 'Rabbit', aliases: ['Rabbit', 'rabbit'], max: 1 });
+                expect(lists[2]).to.eql(['Alice', 'Rabbit']);
+                expect(lists[3]).to.be.an('array');
+            });
+        });
+
+        it('should reject if the file is empty', function() {
+            return sources.load('test/mocks/empty.txt', 'keywords')
+                .then(function() {
+                    throw new Error('Expected a rejection');
+                }, function(err) {
+                    expect(err.message).to.equal('Keyword list file is empty: test/mocks/empty.txt');
+                });
+        });
+    });
+
+    describe('merge()', function() {
+        it('should concatenate lists and leave out keywords and groups already listed', function() {
+            expect(sources.merge([
+                ['Alice', { group: 'Rabbit', aliases: ['Rabbit'] }],
+                [{ term: 'Alice', mode: 'word' }, 'watch', { group: 'Rabbit', aliases: ['rabbit'] }]
+            ])).to.eql(['Alice', { group: 'Rabbit', aliases: ['Rabbit'] }, 'watch']);
+        });
+
+        it('should merge keywords named like object properties', function() {
+            expect(sources.merge([
+                ['hasOwnProperty', 'constructor'],
+                ['constructor', 'toString']
+            ])).to.eql(['hasOwnProperty', 'constructor', 'toString']);
+        });
+    });
+});
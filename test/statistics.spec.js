@@ -0,0 +1,120 @@
+var chai = require('chai');
+var expect = chai.expect;
+var statistics = require('./../lib/statistics');
+
+describe('statistics', function() {
+    describe('countWords()', function() {
+        it('should count runs of letters and numbers as words', function() {
+            expect(statistics.countWords('Alice, the White Rabbit -- and 42 cats!')).to.equal(7);
+        });
+
+        it('should count words with apostrophes and non-Latin letters once', function() {
+            expect(statistics.countWords('don\'t Alice’s café naïve Алиса')).to.equal(5);
+        });
+
+        it('should return 0 for text without words', function() {
+            expect(statistics.countWords(' -- ... ')).to.equal(0);
+        });
+    });
+
+    describe('WordCounter', function() {
+        it('should count words split across chunks once', function() {
+            var counter = new statistics.WordCounter();
+
+            counter.write('Alice foll');
+            counter.write('owed the Rabbit\'');
+            counter.write('s watch ');
+            counter.write('home');
+
+            expect(counter.end()).to.equal(6);
+        });
+    });
+
+    describe('fileStats()', function() {
+        it('should add the word count and the density of each keyword', function() {
+            var counts = { Alice: 1, Rabbit: 3, $groups: { Rabbit: { Rabbit: 3 } } };
+
+            expect(statistics.fileStats(counts, 8)).to.eql({
+                words: 8,
+                density: { Alice: 12.5, Rabbit: 37.5 }
+            });
+        });
+
+        it('should round the density and set it to 0 for files without words', function() {
+            expect(statistics.fileStats({ Alice: 1 }, 3).density.Alice).to.equal(33.3333);
+            expect(statistics.fileStats({ Alice: 0 }, 0).density.Alice).to.equal(0);
+        });
+
+        it('should add the density of keywords starting with $ or named like object properties', function() {
+            var counts = { $price: 1, $stats: {} };
+            var density;
+
+            Object.defineProperty(counts, '__proto__', { value: 2, enumerable: true });
+            density = statistics.fileStats(counts, 4).density;
+
+            expect(Object.keys(density)).to.eql(['$price', '__proto__']);
+            expect(density.$price).to.equal(25);
+            expect(density.__proto__).to.equal(50);
+        });
+    });
+
+    describe('annotate()', function() {
+        var resultsMap;
+
+        beforeEach(function() {
+            resultsMap = {
+                'a.txt': { Alice: 2, Rabbit: 1, $stats: statistics.fileStats({ Alice: 2, Rabbit: 1 }, 10) },
+                'b.txt': { Alice: 0, Rabbit: 1, $stats: statistics.fileStats({ Alice: 0, Rabbit: 1 }, 5) },
+                'c.txt': { Alice: 0, Rabbit: 0, $stats: statistics.fileStats({ Alice: 0, Rabbit: 0 }, 0) }
+            };
+        });
+
+        it('should resolve corpus statistics with the document frequency and idf of each keyword', function() {
+            expect(statistics.annotate(resultsMap)).to.eql({
+                files: 3,
+                words: 15,
+                documentFrequency: { Alice: 1, Rabbit: 2 },
+                idf: { Alice: 1.6931, Rabbit: 1.2877 }
+            });
+        });
+
+        it('should add the TF-IDF score of each keyword to every file', function() {
+            statistics.annotate(resultsMap);
+
+            expect(resultsMap['a.txt'].$stats.tfidf).to.eql({ Alice: 0.3386, Rabbit: 0.1288 });
+            expect(resultsMap['b.txt'].$stats.tfidf).to.eql({ Alice: 0, Rabbit: 0.2575 });
+            expect(resultsMap['c.txt'].$stats.tfidf).to.eql({ Alice: 0, Rabbit: 0 });
+        });
+
+        it('should score keywords named like object properties', function() {
+            var corpus;
+
+            resultsMap = {
+                'a.txt': { constructor: 1, toString: 0, $stats: statistics.fileStats({ constructor: 1, toString: 0 }, 4) },
+                'b.txt': { constructor: 1, toString: 1, $stats: statistics.fileStats({ constructor: 1, toString: 1 }, 4) }
+            };
+            corpus = statistics.annotate(resultsMap);
+
+            expect(corpus.documentFrequency).to.eql({ constructor: 2, toString: 1 });
+            expect(corpus.idf).to.eql({ constructor: 1, toString: 1.4055 });
+            expect(resultsMap['a.txt'].$stats.tfidf).to.eql({ constructor: 0.25, toString: 0 });
+        });
+
+        it('should score keywords starting with $', function() {
+            resultsMap = {
+                'a.txt': { $price: 1, $stats: statistics.fileStats({ $price: 1 }, 4) },
+                'b.txt': { $price: 0, $stats: statistics.fileStats({ $price: 0 }, 4) }
+            };
+
+            expect(statistics.annotate(resultsMap).documentFrequency).to.eql({ $price: 1 });
+            expect(resultsMap['a.txt'].$stats.tfidf).to.eql({ $price: 0.3514 });
+        });
+
+        it('should skip metadata and files without statistics', function() {
+            resultsMap.$total = { Alice: 2, Rabbit: 2 };
+            resultsMap['d.txt'] = { Alice: 4, Rabbit: 0 };
+
+            expect(statistics.annotate(resultsMap).files).to.equal(3);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+var chai = require('chai');
+var expect = chai.expect;
+var stemmers = require('./../lib/stemmers');
+
+describe('stemmers', function() {
+    describe('porter()', function() {
+        it('should strip English suffixes', function() {
+            var words = ['caresses', 'ponies', 'cats', 'agreed', 'hopping', 'filing', 'happy',
+                'relational', 'hopefulness', 'adjustment', 'generalization', 'controll'];
+
+            expect(words.map(stemmers.porter)).to.eql(['caress', 'poni', 'cat', 'agre', 'hop',
+                'file', 'happi', 'relat', 'hope', 'adjust', 'gener', 'control']);
+        });
+
+        it('should leave words shorter than three letters as they are', function() {
+            expect(stemmers.porter('as')).to.equal('as');
+        });
+    });
+
+    describe('english()', function() {
+        it('should stem regular and irregular forms of a word alike', function() {
+            expect(['run', 'Runs', 'running', 'ran'].map(stemmers.english)).to.eql(['run', 'run', 'run', 'run']);
+            expect(['mouse', 'mice'].map(stemmers.english)).to.eql(['mous', 'mous']);
+        });
+
+        it('should only lower case words with other than the letters a to z', function() {
+            expect(stemmers.english('Cafés')).to.equal('cafés');
+        });
+    });
+
+    describe('register()', function() {
+        afterEach(function() {
+            stemmers.unregister(['xx', 'yy']);
+        });
+
+        it('should register a stemmer for one or more languages', function() {
+            var stemmer = function(word) {
+                return word;
+            };
+
+            stemmers.register(['XX', 'yy'], stemmer);
+
+            expect(stemmers.get('xx')).to.equal(stemmer);
+            expect(stemmers.get('YY')).to.equal(stemmer);
+        });
+
+        it('should throw an error if the stemmer is not a function', function() {
+            expect(function() {
+                stemmers.register('xx', 'stem');
+            }).to.throw('Stemmer must be a function');
+        });
+
+        it('should remove a stemmer with unregister()', function() {
+            stemmers.register('xx', function(word) {
+                return word;
+            });
+            stemmers.unregister('xx');
+
+            expect(stemmers.get('xx')).to.equal(null);
+        });
+    });
+
+    describe('resolve()', function() {
+        it('should resolve with null if stem is not set', function() {
+            expect(stemmers.resolve(false, 'en')).to.equal(null);
+        });
+
+        it('should get the stemmer of the language if stem is true', function() {
+            expect(stemmers.resolve(true)).to.equal(stemmers.english);
+            expect(stemmers.resolve(true, 'en')).to.equal(stemmers.english);
+        });
+
+        it('should get the stemmer of a language code or use a stemmer function', function() {
+            var stemmer = function(word) {
+                return word;
+            };
+
+            expect(stemmers.resolve('en', 'de')).to.equal(stemmers.english);
+            expect(stemmers.resolve(stemmer)).to.equal(stemmer);
+        });
+
+        it('should throw an error if there is no stemmer for the language', function() {
+            expect(function() {
+                stemmers.resolve(true, 'xx');
+            }).to.throw('No stemmer for language: xx');
+        });
+    });
+});
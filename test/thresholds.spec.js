@@ -0,0 +1,100 @@
+var chai = require('chai');
+var expect = chai.expect;
+var thresholds = require('./../lib/thresholds');
+
+var MOCK_RESULTS = {
+    'a.md': { TODO: 2, License: 0 },
+    'b.md': { TODO: 0, License: 1 },
+    $total: { TODO: 2, License: 1 }
+};
+
+describe('thresholds', function() {
+    describe('validate()', function() {
+        it('should accept keywords with valid thresholds or none', function() {
+            expect(function() {
+                thresholds.validate({ term: 'TODO' }, 'TODO');
+                thresholds.validate({ term: 'TODO', min: 0, max: 2, scope: 'total' }, 'TODO');
+            }).to.not.throw();
+        });
+
+        it('should throw an error if a bound is not a non-negative number', function() {
+            expect(function() {
+                thresholds.validate({ term: 'TODO', max: -1 }, 'TODO');
+            }).to.throw('Thresholds of keyword "TODO" must be non-negative numbers');
+            expect(function() {
+                thresholds.validate({ term: 'TODO', min: '1' }, 'TODO');
+            }).to.throw(/non-negative/);
+        });
+
+        it('should throw an error if min is greater than max', function() {
+            expect(function() {
+                thresholds.validate({ term: 'TODO', min: 2, max: 1 }, 'TODO');
+            }).to.throw('min of keyword "TODO" is greater than its max');
+        });
+
+        it('should throw an error if the scope is unknown', function() {
+            expect(function() {
+                thresholds.validate({ term: 'TODO', max: 0, scope: 'directory' }, 'TODO');
+            }).to.throw('Unknown scope "directory" for keyword "TODO"');
+        });
+    });
+
+    describe('fromKeywords()', function() {
+        it('should list the thresholds of keywords and groups with a default scope of file', function() {
+            expect(thresholds.fromKeywords([
+                'Alice',
+                { term: 'TODO', max: 0 },
+                { group: 'License', aliases: ['MIT', 'Apache'], min: 1, scope: 'total' }
+            ])).to.eql([
+                { keyword: 'TODO', scope: 'file', max: 0 },
+                { keyword: 'License', scope: 'total', min: 1 }
+            ]);
+        });
+    });
+
+    describe('check()', function() {
+        it('should return a violation for every file outside a file threshold', function() {
+            expect(thresholds.check([{ keyword: 'TODO', scope: 'file', max: 0 }], MOCK_RESULTS)).to.eql([{
+                keyword: 'TODO',
+                scope: 'file',
+                file: 'a.md',
+                count: 2,
+                max: 0,
+                message: 'a.md: "TODO" found 2 times, at most 0 allowed'
+            }]);
+        });
+
+        it('should check total thresholds against the sum of all files', function() {
+            expect(thresholds.check([{ keyword: 'License', scope: 'total', min: 2 }], MOCK_RESULTS)).to.eql([{
+                keyword: 'License',
+                scope: 'total',
+                file: null,
+                count: 1,
+                min: 2,
+                message: 'total: "License" found 1 time, at least 2 required'
+            }]);
+        });
+
+        it('should check the counts of keywords named like object properties', function() {
+            expect(thresholds.check([{ keyword: 'constructor', scope: 'total', min: 1 }], {}).map(function(violation) {
+                return violation.message;
+            })).to.eql(['total: "constructor" found 0 times, at least 1 required']);
+        });
+
+        it('should check total thresholds of keywords starting with $', function() {
+            expect(thresholds.check([{ keyword: '$price', scope: 'total', max: 2 }], {
+                'a.md': { $price: 2, $stats: { words: 4 } },
+                'b.md': { $price: 1 }
+            }).map(function(violation) {
+                return violation.message;
+            })).to.eql(['total: "$price" found 3 times, at most 2 allowed']);
+        });
+
+        it('should return no violations if every count is within bounds', function() {
+            expect(thresholds.check([
+                { keyword: 'TODO', scope: 'total', min: 1, max: 2 },
+                { keyword: 'License', scope: 'file', min: 0 }
+            ], MOCK_RESULTS)).to.eql([]);
+        });
+    });
+});
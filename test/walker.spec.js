@@ -0,0 +1,83 @@
+var chai = require('chai');
+var expect = chai.expect;
+var Promise = require('bluebird');
+var walk = require('./../lib/walker');
+
+var MOCK_TREE = './test/mocks/tree';
+
+describe('walker', function() {
+    it('should return a promise', function() {
+        var result = walk(MOCK_TREE);
+        expect(result).to.be.an.instanceof(Promise);
+    });
+
+    it('should resolve with every file in the directory and its subdirectories', function(done) {
+        walk(MOCK_TREE)
+            .then(function(files) {
+                expect(files).to.eql([
+                    'test/mocks/tree/docs/.kcignore',
+                    'test/mocks/tree/docs/drafts/draft.txt',
+                    'test/mocks/tree/docs/guide/rabbit.md',
+                    'test/mocks/tree/docs/notes.log',
+                    'test/mocks/tree/docs/watch.txt',
+                    'test/mocks/tree/intro.txt'
+                ]);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should only resolve with files matching the include globs', function(done) {
+        walk(MOCK_TREE, { include: ['*.md', 'docs/*.txt'] })
+            .then(function(files) {
+                expect(files).to.eql([
+                    'test/mocks/tree/docs/guide/rabbit.md',
+                    'test/mocks/tree/docs/watch.txt'
+                ]);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should skip files and directories matching the exclude globs', function(done) {
+        walk(MOCK_TREE, { exclude: 'docs/drafts', include: '*.txt' })
+            .then(function(files) {
+                expect(files).to.eql([
+                    'test/mocks/tree/docs/watch.txt',
+                    'test/mocks/tree/intro.txt'
+                ]);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should skip paths listed in ignore files relative to the ignore file\'s directory', function(done) {
+        walk(MOCK_TREE, { ignoreFiles: ['.kcignore'] })
+            .then(function(files) {
+                expect(files).to.eql([
+                    'test/mocks/tree/docs/guide/rabbit.md',
+                    'test/mocks/tree/docs/watch.txt',
+                    'test/mocks/tree/intro.txt'
+                ]);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should resolve with the same files if entries are inspected one at a time', function(done) {
+        Promise.all([walk(MOCK_TREE), walk(MOCK_TREE, { concurrency: 1 })])
+            .then(function(results) {
+                expect(results[1]).to.eql(results[0]);
+                done();
+            })
+            .catch(done);
+    });
+
+    it('should reject with an error if the directory doesn\'t exist', function(done) {
+        walk('./fake')
+            .catch(function(err) {
+                expect(err).to.be.an.instanceof(Error);
+                done();
+            });
+    });
+});
@@ -0,0 +1,124 @@
+var chai = require('chai');
+var expect = chai.expect;
+var Promise = require('bluebird');
+var fs = Promise.promisifyAll(require('fs'));
+var path = require('path');
+var del = require('delete');
+var Watcher = require('./../lib/watcher');
+
+var WATCH_DIR = 'test/mocks/output/watch';
+
+describe('Watcher', function() {
+    var watcher;
+
+    beforeEach(function() {
+        return fs.mkdirAsync(path.dirname(WATCH_DIR))
+            .catch(function() {})
+            .then(function() {
+                return fs.mkdirAsync(WATCH_DIR);
+            })
+            .then(function() {
+                return fs.writeFileAsync(WATCH_DIR + '/a.txt', 'Alice');
+            });
+    });
+
+    afterEach(function() {
+        if (watcher) {
+            watcher.close();
+            watcher = null;
+        }
+
+        return del.promise(WATCH_DIR);
+    });
+
+    it('should resolve with the watcher once watching has begun', function() {
+        watcher = new Watcher(WATCH_DIR);
+
+        return watcher.start()
+            .then(function(started) {
+                expect(started).to.equal(watcher);
+                expect(Object.keys(watcher.watchers)).to.eql([WATCH_DIR]);
+            });
+    });
+
+    it('should emit one change event with the paths changed in a batch', function(done) {
+        watcher = new Watcher(WATCH_DIR, { delay: 50 });
+
+        watcher.on('change', function(paths) {
+            expect(paths).to.eql([WATCH_DIR + '/a.txt', WATCH_DIR + '/b.txt']);
+            done();
+        });
+
+        watcher.start()
+            .then(function() {
+                fs.writeFileSync(WATCH_DIR + '/a.txt', 'Rabbit');
+                fs.writeFileSync(WATCH_DIR + '/b.txt', 'Rabbit');
+            })
+            .catch(done);
+    });
+
+    it('should watch directories added after it started', function(done) {
+        watcher = new Watcher(WATCH_DIR, { delay: 50 });
+
+        watcher.once('change', function() {
+            expect(watcher.watchers).to.have.property(WATCH_DIR + '/docs');
+
+            watcher.once('change', function(paths) {
+                expect(paths).to.eql([WATCH_DIR + '/docs/c.txt']);
+                done();
+            });
+
+            fs.writeFileSync(WATCH_DIR + '/docs/c.txt', 'Cat');
+        });
+
+        watcher.start()
+            .then(function() {
+                fs.mkdirSync(WATCH_DIR + '/docs');
+            })
+            .catch(done);
+    });
+
+    it('should only report changes to the file if it watches a file', function(done) {
+        watcher = new Watcher(WATCH_DIR + '/a.txt', { delay: 50 });
+
+        watcher.on('change', function(paths) {
+            expect(paths).to.eql([WATCH_DIR + '/a.txt']);
+            done();
+        });
+
+        watcher.start()
+            .then(function() {
+                fs.writeFileSync(WATCH_DIR + '/b.txt', 'Rabbit');
+                fs.writeFileSync(WATCH_DIR + '/a.txt', 'Rabbit');
+            })
+            .catch(done);
+    });
+
+    it('should not emit changes after it is closed', function(done) {
+        watcher = new Watcher(WATCH_DIR, { delay: 20 });
+
+        watcher.on('change', function() {
+            done(new Error('Change emitted after close'));
+        });
+
+        watcher.start()
+            .then(function() {
+                fs.writeFileSync(WATCH_DIR + '/a.txt', 'Rabbit');
+                watcher.close();
+
+                expect(watcher.watchers).to.eql({});
+                setTimeout(done, 60);
+            })
+            .catch(done);
+    });
+
+    it('should reject if the root does not exist', function(done) {
+        watcher = new Watcher(WATCH_DIR + '/missing');
+
+        watcher.start()
+            .catch(function(err) {
+                expect(err.code).to.equal('ENOENT');
+                done();
+            });
+    });
+});